@@ -0,0 +1,217 @@
+// scripts/query.js
+// Runs a search against a saved index.json with the same query engine the app uses
+//
+// Usage:
+//   node scripts/query.js [query] [--input <index.json>] [--text-index <text-index.json>]
+//                         [--annotations <annotations.json>] [--tag <tag>]
+//                         [--person <name>] [--role <role>] [--type <type>] [--kind <kind>] [--source <id>]
+//                         [--dated <high|medium|low|unknown>]
+//                         [--sort <name|person|type|kind|source|date|documentDate|exhibit|size|relevance>] [--order <asc|desc>]
+//                         [--limit <n>] [--json | --csv | --cite <bluebook|apa|chicago|short>]
+//
+// The query uses the search box syntax, e.g. 'person:ewell date:2021 -draft'.
+// --annotations reads an export from the app's Annotations menu, so tag:, note:
+// and --tag work and search words also match notes.
+// Results print one per line as path, person, date, document date and size; --json
+// prints the matching file objects, --csv a table and --cite a numbered citation
+// list instead, as the app's export buttons do.
+
+import { readFile } from 'node:fs/promises';
+import { readSnapshot } from '../src/utils/snapshot.js';
+import { readTextIndex, searchTextIndex } from '../src/utils/textIndex.js';
+import { parseQuery } from '../src/utils/searchQuery.js';
+import { runQuery, getFilePersons, DEFAULT_CRITERIA, ROLE_FILTERS, KIND_FILTERS, SORT_KEYS } from '../src/utils/queryEngine.js';
+import { DATED_FILTERS } from '../src/utils/documentDates.js';
+import { filesToCsv } from '../src/utils/fileExport.js';
+import { CITATION_STYLES, formatCitationList } from '../src/utils/citations.js';
+import { readAnnotationsExport } from '../src/utils/annotations.js';
+
+const DEFAULT_INPUT = 'public/index.json';
+
+/**
+ * Parses command line flags into an options object
+ * @param {Array} args - process.argv without the node and script entries
+ * @returns {Object} Query options
+ */
+function parseArgs(args) {
+  const options = {
+    ...DEFAULT_CRITERIA,
+    input: DEFAULT_INPUT,
+    textIndex: null,
+    annotations: null,
+    limit: null,
+    json: false,
+    csv: false,
+    cite: null
+  };
+  const searchWords = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const value = args[i + 1];
+
+    switch (args[i]) {
+      case '--input':
+        options.input = value;
+        i++;
+        break;
+      case '--text-index':
+        options.textIndex = value;
+        i++;
+        break;
+      case '--annotations':
+        options.annotations = value;
+        i++;
+        break;
+      case '--person':
+        options.person = value;
+        i++;
+        break;
+      case '--role':
+        options.role = readChoice('role', value, ROLE_FILTERS);
+        i++;
+        break;
+      case '--type':
+        options.type = value;
+        i++;
+        break;
+      case '--kind':
+        options.kind = readChoice('kind', value, KIND_FILTERS);
+        i++;
+        break;
+      case '--source':
+        options.source = value;
+        i++;
+        break;
+      case '--tag':
+        options.tag = value;
+        i++;
+        break;
+      case '--dated':
+        options.dated = readChoice('document date confidence', value, DATED_FILTERS);
+        i++;
+        break;
+      case '--sort':
+        options.sort = readChoice('sort', value, SORT_KEYS);
+        i++;
+        break;
+      case '--order':
+        options.order = value;
+        i++;
+        break;
+      case '--limit':
+        options.limit = parseInt(value, 10);
+        i++;
+        break;
+      case '--json':
+        options.json = true;
+        break;
+      case '--csv':
+        options.csv = true;
+        break;
+      case '--cite':
+        if (!CITATION_STYLES.some(style => style.id === value)) {
+          throw new Error(`Unknown citation style: ${value} (use ${CITATION_STYLES.map(style => style.id).join(', ')})`);
+        }
+        options.cite = value;
+        i++;
+        break;
+      case '--help':
+        console.log('Usage: node scripts/query.js [query] [--input <index.json>] [--text-index <text-index.json>] [--annotations <annotations.json>] [--person <name>] [--role <role>] [--type <type>] [--kind <kind>] [--source <id>] [--tag <tag>] [--dated <confidence>] [--sort <key>] [--order <asc|desc>] [--limit <n>] [--json | --csv | --cite <style>]');
+        process.exit(0);
+        break;
+      default:
+        if (args[i].startsWith('--')) {
+          throw new Error(`Unknown option: ${args[i]}`);
+        }
+        searchWords.push(args[i]);
+    }
+  }
+
+  options.search = searchWords.join(' ');
+  return options;
+}
+
+/**
+ * Checks a flag value against the values the query engine knows
+ * @param {string} name - What the value is, for the error message
+ * @param {string} value - Flag value
+ * @param {Array} choices - Allowed values
+ * @returns {string} The value
+ * @throws {Error} If the value is not one of the choices
+ */
+function readChoice(name, value, choices) {
+  if (!choices.includes(value)) {
+    throw new Error(`Unknown ${name}: ${value} (use ${choices.join(', ')})`);
+  }
+  return value;
+}
+
+/**
+ * Reads a JSON file written by scripts/snapshot.js
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<Object>} Parsed content
+ */
+async function readJson(filePath) {
+  return JSON.parse(await readFile(filePath, 'utf8'));
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const snapshot = readSnapshot(await readJson(options.input));
+  if (!snapshot) {
+    throw new Error(`${options.input} is not a usable snapshot`);
+  }
+
+  const parsedQuery = parseQuery(options.search);
+  parsedQuery.errors.forEach(queryError => {
+    console.warn(`Query: ${queryError.message} (at "${options.search.substring(queryError.start, queryError.end)}")`);
+  });
+
+  // Full-text matches per term, as useTextIndex provides them in the app
+  let textMatchesByTerm = null;
+  if (options.textIndex) {
+    const textIndex = readTextIndex(await readJson(options.textIndex));
+    if (!textIndex) {
+      throw new Error(`${options.textIndex} is not a usable text index`);
+    }
+    textMatchesByTerm = new Map(parsedQuery.textTerms.map(term => [term, searchTextIndex(textIndex, term)]));
+  }
+
+  // Reviewers' annotations, matched to the snapshot's files by URL
+  let annotations = null;
+  if (options.annotations) {
+    const imported = readAnnotationsExport(await readJson(options.annotations), snapshot.files);
+    if (imported.unmatched > 0) {
+      console.warn(`${imported.unmatched} annotated files are not in ${options.input}`);
+    }
+    annotations = imported.annotations;
+  }
+
+  const results = runQuery(snapshot.files, { ...options, search: parsedQuery }, { textMatchesByTerm, annotations });
+  const shown = options.limit > 0 ? results.slice(0, options.limit) : results;
+
+  if (options.json) {
+    console.log(JSON.stringify(shown, null, 2));
+    return;
+  }
+  if (options.csv) {
+    process.stdout.write(filesToCsv(shown, annotations));
+    return;
+  }
+  if (options.cite) {
+    process.stdout.write(formatCitationList(shown, options.cite));
+    return;
+  }
+
+  shown.forEach(file => {
+    const documentDate = file.documentDate ? `${file.documentDate.value} (${file.documentDate.confidence})` : 'Unknown';
+    console.log([file.path || file.filename, getFilePersons(file).join(', '), file.date, documentDate, file.size].join('\t'));
+  });
+  console.error(`${results.length} of ${snapshot.files.length} files match`);
+}
+
+main().catch(err => {
+  console.error('Query failed:', err.message);
+  process.exit(1);
+});
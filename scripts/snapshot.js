@@ -0,0 +1,259 @@
+// scripts/snapshot.js
+// Crawls the configured archive sources under Node and writes a static index.json snapshot
+//
+// Usage:
+//   node scripts/snapshot.js [--source <id>] [--url <listing url>] [--input <saved listing.html>]
+//                            [--output <path>] [--max-depth <n>] [--concurrency <n>]
+//                            [--format <auto|apache|apache-table|nginx|nginx-json|lighttpd|iis>]
+//                            [--text]
+//
+// Without --source or --url every source in src/config/sources.js is crawled.
+// --text also downloads every PDF and .txt file and writes their page text to
+// text-index.json next to the snapshot, which powers full-text search in the app.
+// The first page and PDF metadata of those documents also supply document dates
+// that filenames don't (see src/utils/documentDates.js).
+//
+// The app requests index.json from the path it is served under on startup. The dev
+// server serves it from public/, and `npm run build` copies it and text-index.json
+// into dist/ next to the built index.html, so run the snapshot before building.
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import fetch from 'node-fetch';
+import { JSDOM } from 'jsdom';
+import { crawlSource, getSourcePathPrefix } from '../src/utils/directoryCrawler.js';
+import { createSnapshot } from '../src/utils/snapshot.js';
+import { createTextIndex } from '../src/utils/textIndex.js';
+import { isExtractable, extractDocument } from './textExtraction.js';
+import { extractHeaderDate, parsePdfMetadataDate, pickDocumentDate } from '../src/utils/documentDates.js';
+import { ARCHIVE_SOURCES } from '../src/config/sources.js';
+
+const DEFAULT_OUTPUT = 'public/index.json';
+
+// jsdom supplies the DOMParser that browsers provide to parseDirectoryListing
+const { DOMParser } = new JSDOM('').window;
+
+/**
+ * Parses command line flags into an options object
+ * @param {Array} args - process.argv without the node and script entries
+ * @returns {Object} Snapshot options
+ */
+function parseArgs(args) {
+  const options = {
+    source: null,
+    url: null,
+    input: null,
+    output: DEFAULT_OUTPUT,
+    maxDepth: null,
+    concurrency: 3,
+    format: null,
+    text: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const value = args[i + 1];
+
+    switch (args[i]) {
+      case '--source':
+        options.source = value;
+        i++;
+        break;
+      case '--url':
+        options.url = value;
+        i++;
+        break;
+      case '--input':
+        options.input = value;
+        i++;
+        break;
+      case '--output':
+        options.output = value;
+        i++;
+        break;
+      case '--max-depth':
+        options.maxDepth = parseInt(value, 10);
+        i++;
+        break;
+      case '--concurrency':
+        options.concurrency = parseInt(value, 10);
+        i++;
+        break;
+      case '--format':
+        options.format = value;
+        i++;
+        break;
+      case '--text':
+        options.text = true;
+        break;
+      case '--help':
+        console.log('Usage: node scripts/snapshot.js [--source <id>] [--url <listing url>] [--input <saved listing.html>] [--output <path>] [--max-depth <n>] [--concurrency <n>] [--format <name>] [--text]');
+        process.exit(0);
+        break;
+      default:
+        throw new Error(`Unknown option: ${args[i]}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Fetches a listing page directly - no CORS proxy is needed outside the browser
+ * @param {string} url - Directory listing URL
+ * @returns {Promise<string>} Raw HTML
+ */
+async function fetchHtml(url) {
+  const response = await fetch(url, {
+    headers: {
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  return response.text();
+}
+
+/**
+ * Extracts the text of every PDF and text file into a full-text index
+ * @param {Array} files - Crawled file objects
+ * @param {number} concurrency - Documents downloaded at once
+ * @returns {Promise<Object>} { textIndex, documentDates }; textIndex is ready to be written
+ *   as JSON, documentDates maps file URLs to dates found inside the documents
+ */
+async function buildTextIndex(files, concurrency) {
+  const queue = files.filter(isExtractable);
+  const documents = {};
+  const documentDates = new Map();
+  const errors = [];
+  let done = 0;
+
+  console.log(`Extracting text from ${queue.length} documents...`);
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const file = queue.shift();
+
+      try {
+        const { pages, creationDate } = await extractDocument(file);
+        documents[file.url] = { pages };
+
+        const documentDate = pickDocumentDate(extractHeaderDate(pages[0]), parsePdfMetadataDate(creationDate));
+        if (documentDate) documentDates.set(file.url, documentDate);
+      } catch (err) {
+        errors.push({ url: file.url, message: err.message });
+      }
+
+      done++;
+      if (done % 10 === 0 || queue.length === 0) {
+        console.log(`  ${done} documents processed, ${errors.length} failed`);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: concurrency }, worker));
+
+  return { textIndex: createTextIndex(documents, errors), documentDates };
+}
+
+/**
+ * Resolves which sources to crawl from the command line options
+ * @param {Object} options - Parsed command line options
+ * @returns {Array} Source configurations with command line overrides applied
+ */
+function selectSources(options) {
+  let sources = ARCHIVE_SOURCES;
+
+  if (options.url) {
+    sources = [{ id: 'custom', label: new URL(options.url).host, url: options.url, parser: 'auto', proxy: 'none', maxDepth: 5 }];
+  } else if (options.source) {
+    sources = ARCHIVE_SOURCES.filter(source => source.id === options.source);
+    if (sources.length === 0) {
+      throw new Error(`Unknown source: ${options.source}. Configured: ${ARCHIVE_SOURCES.map(s => s.id).join(', ')}`);
+    }
+  }
+
+  return sources.map(source => ({
+    ...source,
+    maxDepth: options.input ? 0 : (options.maxDepth !== null ? options.maxDepth : source.maxDepth),
+    parser: options.format || source.parser
+  }));
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const sources = selectSources(options);
+  let loadHtml = fetchHtml;
+
+  if (options.input) {
+    if (sources.length !== 1) {
+      throw new Error('--input needs a single source; pass --source <id> or --url <listing url>');
+    }
+
+    // A saved listing is parsed on its own; its links still resolve against the source URL
+    const savedHtml = await readFile(options.input, 'utf8');
+    loadHtml = async () => savedHtml;
+    console.log(`Parsing saved listing ${options.input}...`);
+  }
+
+  const files = [];
+  const errors = [];
+
+  for (const source of sources) {
+    console.log(`Crawling ${source.label} (${source.url})...`);
+
+    const result = await crawlSource(source, loadHtml, {
+      concurrency: options.concurrency,
+      DOMParser,
+      pathPrefix: getSourcePathPrefix(source, sources),
+      onProgress: ({ foldersScanned, foldersPending, filesFound }) => {
+        console.log(`  ${foldersScanned} folders scanned, ${foldersPending} pending, ${filesFound} files found`);
+      }
+    });
+
+    files.push(...result.files);
+    errors.push(...result.errors);
+  }
+
+  if (files.length === 0) {
+    throw new Error('No files found in the directory listing');
+  }
+
+  if (errors.length > 0) {
+    console.warn(`${errors.length} subfolder(s) could not be loaded:`);
+    errors.forEach(err => console.warn(`  ${err.url}: ${err.message}`));
+  }
+
+  await mkdir(path.dirname(options.output), { recursive: true });
+  let snapshotFiles = files;
+
+  if (options.text) {
+    const { textIndex, documentDates } = await buildTextIndex(files, options.concurrency);
+    const textOutput = path.join(path.dirname(options.output), 'text-index.json');
+
+    await writeFile(textOutput, JSON.stringify(textIndex));
+
+    // A filename date wins over an equally confident one found inside the document
+    snapshotFiles = files.map(file => (documentDates.has(file.url)
+      ? { ...file, documentDate: pickDocumentDate(file.documentDate, documentDates.get(file.url)) }
+      : file));
+
+    console.log(`Wrote text of ${textIndex.documentCount} documents to ${textOutput}`);
+    if (textIndex.errors.length > 0) {
+      console.warn(`${textIndex.errors.length} document(s) could not be read:`);
+      textIndex.errors.forEach(err => console.warn(`  ${err.url}: ${err.message}`));
+    }
+  }
+
+  const snapshot = createSnapshot(snapshotFiles, { sources, errors });
+  await writeFile(options.output, JSON.stringify(snapshot, null, 2));
+
+  console.log(`Wrote ${files.length} files to ${options.output}`);
+}
+
+main().catch(err => {
+  console.error('Snapshot failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,85 @@
+// scripts/textExtraction.js
+// Downloads PDF and text documents and extracts their text page by page for the full-text index,
+// along with the PDF creation date used as a last-resort document date
+
+import fetch from 'node-fetch';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+const MAX_DOCUMENT_BYTES = 50 * 1024 * 1024; // Larger files are skipped
+
+/**
+ * Checks whether a file's text can be extracted
+ * @param {Object} file - Parsed file object
+ * @returns {boolean} True for .pdf and .txt files
+ */
+export function isExtractable(file) {
+  return file.type !== 'folder' && /\.(pdf|txt)$/i.test(new URL(file.url).pathname);
+}
+
+/**
+ * Downloads a document and returns its text, one string per page
+ * Plain text files are treated as a single page.
+ * @param {Object} file - Parsed file object
+ * @returns {Promise<Object>} { pages, creationDate }; creationDate is the raw PDF date string or null
+ */
+export async function extractDocument(file) {
+  if (file.sizeBytes > MAX_DOCUMENT_BYTES) {
+    throw new Error(`File is larger than ${MAX_DOCUMENT_BYTES / 1024 / 1024}M`);
+  }
+
+  const response = await fetch(file.url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  if (/\.txt$/i.test(new URL(file.url).pathname)) {
+    return { pages: [normalizeText(await response.text())], creationDate: null };
+  }
+
+  const data = new Uint8Array(await response.arrayBuffer());
+  return extractPdf(data);
+}
+
+/**
+ * Extracts the text layer of every page of a PDF and its creation date
+ * @param {Uint8Array} data - PDF file contents
+ * @returns {Promise<Object>} { pages, creationDate }
+ */
+async function extractPdf(data) {
+  const pdf = await getDocument({
+    data: data,
+    isEvalSupported: false,
+    disableFontFace: true,
+    useSystemFonts: false,
+    verbosity: 0
+  }).promise;
+
+  try {
+    const { info } = await pdf.getMetadata();
+    const pages = [];
+
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+      const text = content.items
+        .map(item => item.str + (item.hasEOL ? '\n' : ' '))
+        .join('');
+
+      pages.push(normalizeText(text));
+      page.cleanup();
+    }
+
+    return { pages, creationDate: (info && info.CreationDate) || null };
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Collapses runs of whitespace so snippets read cleanly
+ * @param {string} text - Raw extracted text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,58 @@
+// server/index.js
+// Standalone listing proxy: node server/index.js
+// Serves /proxy?url= for directory listings and /file-proxy?url= for ZIP downloads
+//
+// Environment:
+//   PROXY_PORT            - Port to listen on (default 8787)
+//   PROXY_ALLOWED_ORIGINS - Comma separated origins that may be fetched
+//   PROXY_CACHE_TTL       - Seconds a response is served from cache before revalidating
+
+import http from 'node:http';
+import { createListingProxy, createFileProxy, DEFAULT_ALLOWED_ORIGINS } from './listingProxy.js';
+
+const PORT = Number(process.env.PROXY_PORT) || 8787;
+const ALLOWED_ORIGINS = process.env.PROXY_ALLOWED_ORIGINS
+  ? process.env.PROXY_ALLOWED_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+  : DEFAULT_ALLOWED_ORIGINS;
+const CACHE_TTL = (Number(process.env.PROXY_CACHE_TTL) || 300) * 1000;
+
+const listingProxy = createListingProxy({
+  allowedOrigins: ALLOWED_ORIGINS,
+  cacheTtl: CACHE_TTL
+});
+
+const fileProxy = createFileProxy({
+  allowedOrigins: ALLOWED_ORIGINS
+});
+
+const handlers = {
+  '/proxy': listingProxy,
+  '/file-proxy': fileProxy
+};
+
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const handler = handlers[pathname];
+
+  if (!handler) {
+    res.statusCode = 404;
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.end('Not found');
+    return;
+  }
+
+  handler(req, res, (err) => {
+    if (res.headersSent) {
+      res.destroy(err);
+      return;
+    }
+    res.statusCode = 500;
+    res.end(err ? err.message : 'Internal error');
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Listing proxy running at http://localhost:${PORT}/proxy?url=`);
+  console.log(`File proxy running at http://localhost:${PORT}/file-proxy?url=`);
+  console.log(`Allowed origins: ${ALLOWED_ORIGINS.join(', ')}`);
+});
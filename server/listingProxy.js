@@ -0,0 +1,312 @@
+// server/listingProxy.js
+// First-party replacement for the public CORS proxies used by useDirectoryData,
+// plus a relay that streams archive files to the ZIP download
+
+import { createHash } from 'node:crypto';
+import fetch from 'node-fetch';
+import { getSourceOrigins } from '../src/config/sources.js';
+
+// By default only the hosts of the configured archive sources may be fetched
+export const DEFAULT_ALLOWED_ORIGINS = getSourceOrigins();
+
+/**
+ * Creates a connect-style middleware that fetches `?url=` from an allowlisted
+ * origin and returns the body as text with CORS headers.
+ * Works as webpack-dev-server middleware and inside the standalone server.
+ * @param {Object} options - Proxy settings
+ * @param {Array} options.allowedOrigins - Origins (scheme + host) that may be fetched
+ * @param {number} options.cacheTtl - Milliseconds a cached response is served without revalidating
+ * @param {number} options.maxEntries - Maximum number of responses kept in memory
+ * @param {number} options.maxBytes - Largest upstream body that will be relayed
+ * @returns {Function} (req, res, next) request handler
+ */
+export function createListingProxy(options = {}) {
+  const {
+    allowedOrigins = DEFAULT_ALLOWED_ORIGINS,
+    cacheTtl = 5 * 60 * 1000,
+    maxEntries = 200,
+    maxBytes = 5 * 1024 * 1024
+  } = options;
+
+  const allowed = new Set(allowedOrigins.map(origin => new URL(origin).origin));
+  const cache = new Map();
+
+  /**
+   * Returns the cached entry for a URL, fetching or revalidating upstream as needed
+   * @param {string} targetUrl - Allowlisted URL to fetch
+   * @returns {Promise<Object>} { entry, cacheStatus }
+   */
+  const getEntry = async (targetUrl) => {
+    const cached = cache.get(targetUrl);
+
+    if (cached && Date.now() - cached.fetchedAt < cacheTtl) {
+      return { entry: cached, cacheStatus: 'HIT' };
+    }
+
+    const headers = {
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+    };
+
+    // Ask upstream whether our stale copy is still current
+    if (cached && cached.upstreamEtag) {
+      headers['If-None-Match'] = cached.upstreamEtag;
+    }
+    if (cached && cached.lastModified) {
+      headers['If-Modified-Since'] = cached.lastModified;
+    }
+
+    const response = await fetchAllowed(targetUrl, headers, allowed);
+
+    if (response.status === 304 && cached) {
+      cached.fetchedAt = Date.now();
+      return { entry: cached, cacheStatus: 'REVALIDATED' };
+    }
+
+    if (!response.ok) {
+      throw new ProxyError(502, `Upstream returned HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const declaredLength = Number(response.headers.get('content-length'));
+    if (declaredLength > maxBytes) {
+      throw new ProxyError(502, 'Upstream response is too large');
+    }
+
+    const body = await response.text();
+    if (Buffer.byteLength(body) > maxBytes) {
+      throw new ProxyError(502, 'Upstream response is too large');
+    }
+
+    const upstreamEtag = response.headers.get('etag');
+    const entry = {
+      body: body,
+      contentType: response.headers.get('content-type') || 'text/html; charset=utf-8',
+      upstreamEtag: upstreamEtag,
+      // Upstream ETags are reused as-is; otherwise derive one from the body
+      etag: upstreamEtag || `W/"${createHash('sha1').update(body).digest('hex')}"`,
+      lastModified: response.headers.get('last-modified'),
+      fetchedAt: Date.now()
+    };
+
+    // Re-insert so Map order doubles as least-recently-fetched order
+    cache.delete(targetUrl);
+    cache.set(targetUrl, entry);
+    if (cache.size > maxEntries) {
+      cache.delete(cache.keys().next().value);
+    }
+
+    return { entry, cacheStatus: cached ? 'REFRESHED' : 'MISS' };
+  };
+
+  return async function listingProxy(req, res, next) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'If-None-Match, If-Modified-Since');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag, Last-Modified, X-Proxy-Cache');
+
+    if (req.method === 'OPTIONS') {
+      res.statusCode = 204;
+      res.end();
+      return;
+    }
+
+    try {
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        throw new ProxyError(405, 'Only GET and HEAD are supported');
+      }
+
+      const targetUrl = getTargetUrl(req.url, allowed);
+      const { entry, cacheStatus } = await getEntry(targetUrl);
+
+      res.setHeader('Content-Type', entry.contentType);
+      res.setHeader('ETag', entry.etag);
+      res.setHeader('Cache-Control', `public, max-age=${Math.floor(cacheTtl / 1000)}`);
+      res.setHeader('X-Proxy-Cache', cacheStatus);
+      if (entry.lastModified) {
+        res.setHeader('Last-Modified', entry.lastModified);
+      }
+
+      if (isNotModified(req.headers, entry)) {
+        res.statusCode = 304;
+        res.end();
+        return;
+      }
+
+      res.statusCode = 200;
+      res.end(req.method === 'HEAD' ? undefined : entry.body);
+    } catch (err) {
+      if (!(err instanceof ProxyError)) {
+        console.warn('Listing proxy failed:', err.message);
+        err = new ProxyError(502, `Upstream request failed: ${err.message}`);
+      }
+
+      if (res.headersSent) {
+        next(err);
+        return;
+      }
+
+      res.statusCode = err.status;
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      res.end(err.message);
+    }
+  };
+}
+
+/**
+ * Creates a connect-style middleware that streams the file at `?url=` from an
+ * allowlisted origin with CORS headers, so the browser can read its bytes.
+ * Nothing is cached: files can be large and are only fetched on request.
+ * @param {Object} options - Relay settings
+ * @param {Array} options.allowedOrigins - Origins (scheme + host) that may be fetched
+ * @param {number} options.maxBytes - Largest upstream file that will be relayed
+ * @returns {Function} (req, res, next) request handler
+ */
+export function createFileProxy(options = {}) {
+  const {
+    allowedOrigins = DEFAULT_ALLOWED_ORIGINS,
+    maxBytes = 2 * 1024 * 1024 * 1024
+  } = options;
+
+  const allowed = new Set(allowedOrigins.map(origin => new URL(origin).origin));
+
+  return async function fileProxy(req, res, next) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Length');
+
+    if (req.method === 'OPTIONS') {
+      res.statusCode = 204;
+      res.end();
+      return;
+    }
+
+    try {
+      if (req.method !== 'GET') {
+        throw new ProxyError(405, 'Only GET is supported');
+      }
+
+      const targetUrl = getTargetUrl(req.url, allowed);
+      const response = await fetchAllowed(targetUrl, {}, allowed);
+
+      if (!response.ok) {
+        throw new ProxyError(502, `Upstream returned HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const declaredLength = response.headers.get('content-length');
+      if (Number(declaredLength) > maxBytes) {
+        throw new ProxyError(502, 'Upstream file is too large');
+      }
+
+      res.statusCode = 200;
+      res.setHeader('Content-Type', response.headers.get('content-type') || 'application/octet-stream');
+      if (declaredLength) {
+        res.setHeader('Content-Length', declaredLength);
+      }
+
+      // Stop downloading when the browser gives up on the file
+      res.on('close', () => response.body.destroy());
+      response.body.on('error', err => res.destroy(err));
+      response.body.pipe(res);
+    } catch (err) {
+      if (!(err instanceof ProxyError)) {
+        console.warn('File proxy failed:', err.message);
+        err = new ProxyError(502, `Upstream request failed: ${err.message}`);
+      }
+
+      if (res.headersSent) {
+        next(err);
+        return;
+      }
+
+      res.statusCode = err.status;
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      res.end(err.message);
+    }
+  };
+}
+
+/**
+ * Error carrying the HTTP status the proxy should respond with
+ */
+class ProxyError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ProxyError';
+    this.status = status;
+  }
+}
+
+/**
+ * Fetches a URL, following redirects only while they stay on allowlisted origins
+ * @param {string} url - Allowlisted URL
+ * @param {Object} headers - Request headers
+ * @param {Set} allowed - Allowlisted origins
+ * @returns {Promise<Response>} The final upstream response
+ */
+async function fetchAllowed(url, headers, allowed) {
+  let currentUrl = url;
+
+  for (let redirects = 0; redirects <= 5; redirects++) {
+    const response = await fetch(currentUrl, { headers, redirect: 'manual' });
+    const location = response.headers.get('location');
+
+    if (response.status < 300 || response.status >= 400 || response.status === 304 || !location) {
+      return response;
+    }
+
+    const nextUrl = new URL(location, currentUrl);
+    if (!allowed.has(nextUrl.origin)) {
+      throw new ProxyError(403, `Redirect to disallowed origin: ${nextUrl.origin}`);
+    }
+    currentUrl = nextUrl.toString();
+  }
+
+  throw new ProxyError(502, 'Too many redirects');
+}
+
+/**
+ * Extracts and validates the `url` query parameter
+ * @param {string} requestUrl - Path and query of the incoming request
+ * @param {Set} allowed - Allowlisted origins
+ * @returns {string} The upstream URL
+ */
+function getTargetUrl(requestUrl, allowed) {
+  const target = new URL(requestUrl, 'http://localhost').searchParams.get('url');
+
+  if (!target) {
+    throw new ProxyError(400, 'Missing url parameter');
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(target);
+  } catch {
+    throw new ProxyError(400, 'Invalid url parameter');
+  }
+
+  if (!allowed.has(parsed.origin)) {
+    throw new ProxyError(403, `Origin not allowed: ${parsed.origin}`);
+  }
+
+  parsed.hash = '';
+  return parsed.toString();
+}
+
+/**
+ * Evaluates the client's conditional request headers against a cached entry
+ * @param {Object} headers - Incoming request headers
+ * @param {Object} entry - Cached response
+ * @returns {boolean} True if a 304 should be sent
+ */
+function isNotModified(headers, entry) {
+  const ifNoneMatch = headers['if-none-match'];
+
+  // If-None-Match takes precedence over If-Modified-Since
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(',').map(tag => tag.trim()).some(tag => tag === '*' || tag === entry.etag);
+  }
+
+  const ifModifiedSince = headers['if-modified-since'];
+  if (ifModifiedSince && entry.lastModified) {
+    return Date.parse(entry.lastModified) <= Date.parse(ifModifiedSince);
+  }
+
+  return false;
+}
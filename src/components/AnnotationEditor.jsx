@@ -0,0 +1,98 @@
+// src/components/AnnotationEditor.jsx
+import React, { useState, useEffect } from 'react';
+import { REVIEWED_TAG, SUGGESTED_TAGS, normalizeTag } from '../utils/annotations.js';
+
+/**
+ * Reviewed mark, tags and note for one file
+ * The note is saved when the field loses focus; tags are saved as they change.
+ * @param {Object} props
+ * @param {Object} props.file - File being annotated
+ * @param {Object} props.annotation - Its current annotation
+ * @param {Array} props.knownTags - Tags in use on other files, offered as suggestions
+ * @param {Function} props.onChange - Called with { tags } or { note }
+ */
+function AnnotationEditor({ file, annotation, knownTags, onChange }) {
+  const [tagDraft, setTagDraft] = useState('');
+  const [noteDraft, setNoteDraft] = useState(annotation.note);
+  const reviewed = annotation.tags.includes(REVIEWED_TAG);
+  const shownTags = annotation.tags.filter(tag => tag !== REVIEWED_TAG);
+  const suggestions = [...new Set([...knownTags, ...SUGGESTED_TAGS])]
+    .filter(tag => tag !== REVIEWED_TAG && !annotation.tags.includes(tag));
+
+  // Imports and other tabs can change the note underneath an unedited field
+  useEffect(() => {
+    setNoteDraft(annotation.note);
+  }, [file.id, annotation.note]);
+
+  const setReviewed = (value) => {
+    onChange({ tags: value ? [REVIEWED_TAG, ...annotation.tags] : annotation.tags.filter(tag => tag !== REVIEWED_TAG) });
+  };
+
+  const addTag = () => {
+    const tag = normalizeTag(tagDraft);
+    setTagDraft('');
+    if (tag && !annotation.tags.includes(tag)) {
+      onChange({ tags: [...annotation.tags, tag] });
+    }
+  };
+
+  const saveNote = () => {
+    if (noteDraft !== annotation.note) onChange({ note: noteDraft });
+  };
+
+  return (
+    <section className="annotation-editor" aria-label="Review notes">
+      <label className="filter-checkbox">
+        <input type="checkbox" checked={reviewed} onChange={(e) => setReviewed(e.target.checked)} />
+        Reviewed
+      </label>
+
+      <div className="annotation-tags">
+        {shownTags.map(tag => (
+          <span key={tag} className="file-tag">
+            {tag}
+            <button
+              className="file-tag-remove"
+              onClick={() => onChange({ tags: annotation.tags.filter(other => other !== tag) })}
+              aria-label={`Remove tag ${tag}`}
+              title="Remove tag"
+            >
+              ×
+            </button>
+          </span>
+        ))}
+        <input
+          type="text"
+          className="annotation-tag-input"
+          placeholder="Add a tag..."
+          list="annotation-tag-suggestions"
+          value={tagDraft}
+          onChange={(e) => setTagDraft(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' || e.key === ',') {
+              e.preventDefault();
+              addTag();
+            }
+          }}
+          onBlur={addTag}
+          aria-label="Add a tag"
+        />
+        <datalist id="annotation-tag-suggestions">
+          {suggestions.map(tag => <option key={tag} value={tag} />)}
+        </datalist>
+      </div>
+
+      <textarea
+        className="annotation-note"
+        placeholder="Notes (searchable)"
+        rows="3"
+        value={noteDraft}
+        onChange={(e) => setNoteDraft(e.target.value)}
+        onBlur={saveNote}
+        aria-label="Notes"
+      />
+    </section>
+  );
+}
+
+export default AnnotationEditor;
@@ -0,0 +1,66 @@
+// src/components/AnnotationsMenu.jsx
+import React, { useState, useRef } from 'react';
+import { saveBlob } from '../utils/fileExport.js';
+
+/**
+ * Shares annotations between reviewers as JSON files
+ * Imports are merged into the annotations already stored; nothing is overwritten.
+ * @param {Object} props
+ * @param {number} props.count - Number of annotated files
+ * @param {string} props.error - Storage problem to show, or null
+ * @param {Function} props.onExport - Returns the export object
+ * @param {Function} props.onImport - Called with parsed JSON; resolves to { imported, unmatched }
+ * @param {string} props.filename - Name for exported files
+ */
+function AnnotationsMenu({ count, error, onExport, onImport, filename }) {
+  const [message, setMessage] = useState(null); // { text, failed }
+  const inputRef = useRef(null);
+
+  const exportAnnotations = () => {
+    const text = JSON.stringify(onExport(), null, 2) + '\n';
+    saveBlob(new Blob([text], { type: 'application/json;charset=utf-8' }), filename);
+  };
+
+  const importFile = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = ''; // Choosing the same file again still triggers a change
+    if (!file) return;
+
+    try {
+      const { imported, unmatched } = await onImport(JSON.parse(await file.text()));
+      setMessage({
+        text: `Imported notes for ${imported} ${imported === 1 ? 'file' : 'files'}`
+          + (unmatched > 0 ? `; ${unmatched} ${unmatched === 1 ? 'file is' : 'files are'} not in the archive` : ''),
+        failed: false
+      });
+    } catch (err) {
+      setMessage({ text: `Could not import ${file.name}: ${err.message}`, failed: true });
+    }
+  };
+
+  return (
+    <div className="export-menu annotations-menu" role="group" aria-label="Annotations">
+      <span className="filter-label">Annotations ({count} {count === 1 ? 'file' : 'files'}):</span>
+      <button className="pagination-btn" onClick={exportAnnotations} disabled={count === 0}>
+        Export
+      </button>
+      <button className="pagination-btn" onClick={() => inputRef.current.click()}>
+        Import
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept="application/json,.json"
+        onChange={importFile}
+        hidden
+      />
+      {(error || message) && (
+        <span className={`annotations-message${error || message.failed ? ' failed' : ''}`} role="status">
+          {error || message.text}
+        </span>
+      )}
+    </div>
+  );
+}
+
+export default AnnotationsMenu;
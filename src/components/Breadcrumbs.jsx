@@ -0,0 +1,37 @@
+// src/components/Breadcrumbs.jsx
+import React from 'react';
+import { getBreadcrumbs } from '../utils/folderTree.js';
+
+/**
+ * Breadcrumb trail from the archive root to the current folder
+ * @param {Object} props
+ * @param {string} props.currentFolder - Path of the folder being browsed
+ * @param {string} props.currentName - Name of a file in that folder, shown last on its detail page
+ * @param {Function} props.onSelectFolder - Called with a folder path
+ */
+function Breadcrumbs({ currentFolder, currentName = null, onSelectFolder }) {
+  const crumbs = getBreadcrumbs(currentFolder);
+  if (currentName) {
+    crumbs.push({ name: currentName, path: null });
+  }
+
+  return (
+    <nav className="breadcrumbs" aria-label="Breadcrumb">
+      <ol>
+        {crumbs.map((crumb, index) => (
+          <li key={crumb.path === null ? 'current' : crumb.path}>
+            {index === crumbs.length - 1 ? (
+              <span aria-current="page">{crumb.name}</span>
+            ) : (
+              <button className="breadcrumb-link" onClick={() => onSelectFolder(crumb.path)}>
+                {crumb.name}
+              </button>
+            )}
+          </li>
+        ))}
+      </ol>
+    </nav>
+  );
+}
+
+export default Breadcrumbs;
@@ -0,0 +1,69 @@
+// src/components/ChangeLogPanel.jsx
+import React from 'react';
+
+/**
+ * Collapsible history of what changed between past fetches
+ * @param {Object} props
+ * @param {Array} props.entries - Change log entries from useDirectoryData, newest first
+ */
+function ChangeLogPanel({ entries }) {
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const renderFileList = (items, describe) => (
+    <ul className="changelog-files">
+      {items.map(item => (
+        <li key={item.url}>
+          <a href={item.url} target="_blank" rel="noopener noreferrer" title={item.path}>
+            {item.displayName}
+          </a>
+          {describe && <span className="changelog-detail"> {describe(item)}</span>}
+        </li>
+      ))}
+    </ul>
+  );
+
+  const describeChange = (item) => item.fields
+    .map(field => `${field}: ${item.before[field]} → ${item.after[field]}`)
+    .join(', ');
+
+  return (
+    <details className="changelog-panel">
+      <summary>Change history ({entries.length} {entries.length === 1 ? 'update' : 'updates'})</summary>
+      <ol className="changelog-entries">
+        {entries.map(entry => (
+          <li key={entry.fetchedAt} className="changelog-entry">
+            <div className="changelog-heading">
+              <strong>{new Date(entry.fetchedAt).toLocaleString()}</strong>
+              <span>
+                {' '}• {entry.added.length} added, {entry.removed.length} removed, {entry.changed.length} changed
+                {' '}since {new Date(entry.previousFetchedAt).toLocaleString()}
+              </span>
+            </div>
+            {entry.added.length > 0 && (
+              <details>
+                <summary>Added ({entry.added.length})</summary>
+                {renderFileList(entry.added)}
+              </details>
+            )}
+            {entry.removed.length > 0 && (
+              <details>
+                <summary>Removed ({entry.removed.length})</summary>
+                {renderFileList(entry.removed)}
+              </details>
+            )}
+            {entry.changed.length > 0 && (
+              <details>
+                <summary>Changed ({entry.changed.length})</summary>
+                {renderFileList(entry.changed, describeChange)}
+              </details>
+            )}
+          </li>
+        ))}
+      </ol>
+    </details>
+  );
+}
+
+export default ChangeLogPanel;
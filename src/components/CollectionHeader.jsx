@@ -0,0 +1,56 @@
+// src/components/CollectionHeader.jsx
+import React, { useState } from 'react';
+import CopyButton from './CopyButton.jsx';
+
+/**
+ * Heading of the list while it shows a collection, with its share link and actions
+ * @param {Object} props
+ * @param {Object} props.collection - Collection being listed
+ * @param {boolean} props.shared - Whether it came from a shared link rather than this browser
+ * @param {number} props.missingCount - Files of the collection no longer in the archive
+ * @param {string} props.shareUrl - Link that opens the collection in any browser
+ * @param {Function} props.onClose - Returns to browsing folders
+ * @param {Function} props.onSave - Keeps a shared collection in this browser
+ * @param {Function} props.onDelete - Deletes a stored collection
+ */
+function CollectionHeader({ collection, shared, missingCount, shareUrl, onClose, onSave, onDelete }) {
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+
+  return (
+    <div className="collection-header" role="region" aria-label={`Collection ${collection.name}`}>
+      <div className="collection-header-title">
+        <span className="filter-label">{shared ? 'Shared collection:' : 'Collection:'}</span>
+        <strong>{collection.name}</strong>
+        {' '}({collection.files.length} {collection.files.length === 1 ? 'file' : 'files'}
+        {missingCount > 0 && `, ${missingCount} no longer in the archive`})
+      </div>
+
+      <div className="collection-header-actions">
+        <CopyButton text={shareUrl} label="Copy share link" title="Copy a link that opens this collection" />
+        {shared ? (
+          <button className="pagination-btn" onClick={onSave}>
+            Save to my collections
+          </button>
+        ) : confirmingDelete ? (
+          <>
+            <button className="reset-filters-btn" onClick={onDelete}>
+              Delete {collection.name}
+            </button>
+            <button className="breadcrumb-link" onClick={() => setConfirmingDelete(false)}>
+              Keep it
+            </button>
+          </>
+        ) : (
+          <button className="pagination-btn" onClick={() => setConfirmingDelete(true)}>
+            Delete collection
+          </button>
+        )}
+        <button className="pagination-btn" onClick={onClose}>
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default CollectionHeader;
@@ -0,0 +1,81 @@
+// src/components/CollectionsMenu.jsx
+import React, { useState, useRef } from 'react';
+import { getCollectionKey } from '../utils/collections.js';
+import { saveBlob } from '../utils/fileExport.js';
+
+/**
+ * Opens stored collections, and shares them as JSON files
+ * Imports are merged into collections of the same name; nothing is overwritten.
+ * @param {Object} props
+ * @param {Array} props.collections - Stored collections, in display order
+ * @param {string} props.activeKey - Key of the collection being listed, or null
+ * @param {string} props.error - Storage problem to show, or null
+ * @param {Function} props.onOpen - Called with a collection
+ * @param {Function} props.onExport - Returns the export object
+ * @param {Function} props.onImport - Called with parsed JSON; resolves to the number of collections imported
+ * @param {string} props.filename - Name for exported files
+ */
+function CollectionsMenu({ collections, activeKey, error, onOpen, onExport, onImport, filename }) {
+  const [message, setMessage] = useState(null); // { text, failed }
+  const inputRef = useRef(null);
+
+  const exportCollections = () => {
+    const text = JSON.stringify(onExport(), null, 2) + '\n';
+    saveBlob(new Blob([text], { type: 'application/json;charset=utf-8' }), filename);
+  };
+
+  const importFile = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = ''; // Choosing the same file again still triggers a change
+    if (!file) return;
+
+    try {
+      const imported = await onImport(JSON.parse(await file.text()));
+      setMessage({ text: `Imported ${imported} ${imported === 1 ? 'collection' : 'collections'}`, failed: false });
+    } catch (err) {
+      setMessage({ text: `Could not import ${file.name}: ${err.message}`, failed: true });
+    }
+  };
+
+  return (
+    <div className="export-menu collections-menu" role="group" aria-label="Collections">
+      <span className="filter-label">Collections:</span>
+      {collections.length === 0 && (
+        <span className="collections-hint">Check files and add them to a collection to start one</span>
+      )}
+      {collections.map(collection => {
+        const active = getCollectionKey(collection.name) === activeKey;
+        return (
+          <button
+            key={collection.name}
+            className={`pagination-btn${active ? ' active' : ''}`}
+            aria-pressed={active}
+            onClick={() => onOpen(collection)}
+          >
+            {collection.name} ({collection.files.length})
+          </button>
+        );
+      })}
+      <button className="pagination-btn" onClick={exportCollections} disabled={collections.length === 0}>
+        Export
+      </button>
+      <button className="pagination-btn" onClick={() => inputRef.current.click()}>
+        Import
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept="application/json,.json"
+        onChange={importFile}
+        hidden
+      />
+      {(error || message) && (
+        <span className={`annotations-message${error || message.failed ? ' failed' : ''}`} role="status">
+          {error || message.text}
+        </span>
+      )}
+    </div>
+  );
+}
+
+export default CollectionsMenu;
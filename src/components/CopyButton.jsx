@@ -0,0 +1,42 @@
+// src/components/CopyButton.jsx
+import React, { useState, useEffect } from 'react';
+
+/**
+ * Copies a piece of text, such as a link, to the clipboard
+ * @param {Object} props
+ * @param {string} props.text - Text to copy
+ * @param {string} props.label - Button label, e.g. 'Copy link'
+ * @param {string} props.title - Tooltip
+ */
+function CopyButton({ text, label, title }) {
+  const [copyState, setCopyState] = useState('idle'); // 'idle', 'copied' or 'failed'
+
+  // Return to the normal label shortly after copying
+  useEffect(() => {
+    if (copyState === 'idle') return undefined;
+    const timer = setTimeout(() => setCopyState('idle'), 2000);
+    return () => clearTimeout(timer);
+  }, [copyState]);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopyState('copied');
+    } catch (err) {
+      console.warn('Could not copy:', err.message);
+      setCopyState('failed');
+    }
+  };
+
+  return (
+    <button
+      className="pagination-btn"
+      onClick={copy}
+      title={copyState === 'failed' ? 'Copying is blocked; select the text and copy it instead' : title}
+    >
+      {copyState === 'copied' ? 'Copied' : copyState === 'failed' ? 'Copy failed' : label}
+    </button>
+  );
+}
+
+export default CopyButton;
@@ -0,0 +1,44 @@
+// src/components/CopyCitationButton.jsx
+import React, { useState, useEffect } from 'react';
+import { formatCitation } from '../utils/citations.js';
+
+/**
+ * Copies a file's citation to the clipboard, in the style the export menu uses
+ * @param {Object} props
+ * @param {Object} props.file - File to cite
+ * @param {string} props.citationStyle - Id from CITATION_STYLES
+ */
+function CopyCitationButton({ file, citationStyle }) {
+  const [copyState, setCopyState] = useState('idle'); // 'idle', 'copied' or 'failed'
+  const citation = formatCitation(file, citationStyle);
+
+  // Return to the normal label shortly after copying
+  useEffect(() => {
+    if (copyState === 'idle') return undefined;
+    const timer = setTimeout(() => setCopyState('idle'), 2000);
+    return () => clearTimeout(timer);
+  }, [copyState]);
+
+  const copy = async (event) => {
+    event.stopPropagation();
+    try {
+      await navigator.clipboard.writeText(citation);
+      setCopyState('copied');
+    } catch (err) {
+      console.warn('Could not copy citation:', err.message);
+      setCopyState('failed');
+    }
+  };
+
+  return (
+    <button
+      className="copy-citation-btn"
+      onClick={copy}
+      title={copyState === 'failed' ? `Copying is blocked; the citation is: ${citation}` : `Copy citation: ${citation}`}
+    >
+      {copyState === 'copied' ? 'Copied' : copyState === 'failed' ? 'Copy failed' : 'Copy citation'}
+    </button>
+  );
+}
+
+export default CopyCitationButton;
@@ -0,0 +1,52 @@
+// src/components/ExportMenu.jsx
+import React from 'react';
+import { CITATION_STYLES, formatCitationList } from '../utils/citations.js';
+import { filesToCsv, filesToJson, saveBlob } from '../utils/fileExport.js';
+
+/**
+ * Downloads the listed files, in their current order, as CSV, JSON or a citation list
+ * @param {Object} props
+ * @param {Array} props.files - Files as listed, after search, filters and sorting
+ * @param {Object} props.criteria - Search, filter and sort state, recorded in JSON exports
+ * @param {Map} props.annotations - Reviewers' annotations by file id, included in CSV exports
+ * @param {string} props.citationStyle - Id from CITATION_STYLES
+ * @param {Function} props.onCitationStyleChange - Called with a style id
+ * @param {string} props.filenameBase - Export name without extension, e.g. 'legal-files-2021-03-05'
+ */
+function ExportMenu({ files, criteria, annotations, citationStyle, onCitationStyleChange, filenameBase }) {
+  const exportAs = (text, extension, type) => {
+    saveBlob(new Blob([text], { type: `${type};charset=utf-8` }), `${filenameBase}.${extension}`);
+  };
+
+  return (
+    <div className="export-menu" role="group" aria-label="Export the listed files">
+      <span className="filter-label">Export {files.length} listed:</span>
+      <button className="pagination-btn" onClick={() => exportAs(filesToCsv(files, annotations), 'csv', 'text/csv')}>
+        CSV
+      </button>
+      <button className="pagination-btn" onClick={() => exportAs(filesToJson(files, criteria), 'json', 'application/json')}>
+        JSON
+      </button>
+      <button
+        className="pagination-btn"
+        onClick={() => exportAs(formatCitationList(files, citationStyle), 'txt', 'text/plain')}
+        title="Numbered citation list; folders are left out"
+      >
+        Citations
+      </button>
+      <label htmlFor="citation-style" className="filter-label">Citation style:</label>
+      <select
+        id="citation-style"
+        className="filter-select"
+        value={citationStyle}
+        onChange={(e) => onCitationStyleChange(e.target.value)}
+      >
+        {CITATION_STYLES.map(style => (
+          <option key={style.id} value={style.id}>{style.label}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+export default ExportMenu;
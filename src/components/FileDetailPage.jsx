@@ -0,0 +1,270 @@
+// src/components/FileDetailPage.jsx
+import React, { useState, useEffect, useMemo } from 'react';
+import Breadcrumbs from './Breadcrumbs.jsx';
+import PreviewPane from './PreviewPane.jsx';
+import CopyCitationButton from './CopyCitationButton.jsx';
+import CopyButton from './CopyButton.jsx';
+import SourceStatusList from './SourceStatusList.jsx';
+import { findRelatedFiles } from '../utils/relatedFiles.js';
+import { getRoleLabel } from '../utils/peopleRegistry.js';
+import { getKindLabel } from '../utils/documentKinds.js';
+import { formatRoute } from '../utils/routes.js';
+
+const RELATED_LIMIT = 10; // Files shown per related group until it is expanded
+
+// Where a document date was found
+const DATE_SOURCE_LABELS = {
+  filename: 'the filename',
+  header: 'the first page',
+  metadata: 'the PDF properties'
+};
+
+/**
+ * Page for one file at /file/:id: its metadata, a preview, related files and a permalink
+ * Opened from a link before the listing has loaded, it waits and shows the file as
+ * soon as the crawl reaches it.
+ * @param {Object} props
+ * @param {string} props.fileId - Id from the path
+ * @param {Object|null} props.file - The file, once it has been found
+ * @param {Array} props.files - Files loaded so far, searched for related files
+ * @param {boolean} props.searching - Whether the listing is still loading
+ * @param {string|null} props.error - Why the listing could not be loaded, if it failed
+ * @param {Array} props.sources - Entries from ARCHIVE_SOURCES, for the load status
+ * @param {Object} props.sourceStatus - Load status per source id
+ * @param {string} props.permalink - Shareable address of the page
+ * @param {number|null} props.pageCount - PDF page count, when the text index knows it
+ * @param {string} props.citationStyle - Id from CITATION_STYLES
+ * @param {Object} props.annotation - The file's tags and note
+ * @param {Array} props.knownTags - Tags in use, offered while tagging
+ * @param {Function} props.onAnnotationChange - Called with { tags } or { note }
+ * @param {Function} props.onOpenFile - Click handler for links to other files, called with (event, file)
+ * @param {Function} props.onOpenFolder - Called with a folder path
+ */
+function FileDetailPage({
+  fileId,
+  file,
+  files,
+  searching,
+  error,
+  sources,
+  sourceStatus,
+  permalink,
+  pageCount,
+  citationStyle,
+  annotation,
+  knownTags,
+  onAnnotationChange,
+  onOpenFile,
+  onOpenFolder
+}) {
+  const relatedGroups = useMemo(() => (file ? findRelatedFiles(file, files) : []), [file, files]);
+
+  // Each file's page starts at the top, also when opened from a related file further down
+  useEffect(() => {
+    window.scrollTo(0, 0);
+  }, [fileId]);
+
+  // Name the browser tab and history entry after the file
+  useEffect(() => {
+    if (!file) return undefined;
+    const previousTitle = document.title;
+    document.title = `${file.displayName} - UNT Legal Files Archive`;
+    return () => {
+      document.title = previousTitle;
+    };
+  }, [file]);
+
+  if (!file) {
+    return (
+      <section className="file-detail-missing">
+        {searching ? (
+          <div className="file-list-loading" role="status">
+            <div className="loading-spinner" aria-hidden="true"></div>
+            <p>Looking for this file... {files.length} {files.length === 1 ? 'file' : 'files'} found so far</p>
+            <SourceStatusList sources={sources} sourceStatus={sourceStatus} />
+          </div>
+        ) : (
+          <div className="file-list-empty">
+            {error ? (
+              <p>The archive could not be loaded, so this file can't be shown: {error}</p>
+            ) : (
+              <p>No file with the id <code>{fileId}</code> is in the archive. It may have been removed or renamed.</p>
+            )}
+            <button className="retry-btn" onClick={() => onOpenFolder('')}>
+              Browse all files
+            </button>
+          </div>
+        )}
+      </section>
+    );
+  }
+
+  return (
+    <div className="file-detail">
+      <div className="file-detail-info">
+        <Breadcrumbs currentFolder={file.parentPath} currentName={file.displayName} onSelectFolder={onOpenFolder} />
+
+        <div className="file-detail-permalink">
+          <label htmlFor="file-permalink" className="filter-label">Permalink:</label>
+          <input
+            id="file-permalink"
+            className="file-detail-permalink-input"
+            type="text"
+            value={permalink}
+            readOnly
+            onFocus={(e) => e.target.select()}
+          />
+          <CopyButton text={permalink} label="Copy link" title="Copy a link to this page" />
+          <CopyCitationButton file={file} citationStyle={citationStyle} />
+        </div>
+
+        <dl className="file-detail-meta">
+          <dt>Filename</dt>
+          <dd>{file.filename}</dd>
+
+          <dt>URL</dt>
+          <dd>
+            <a href={file.url} target="_blank" rel="noopener noreferrer">{file.url}</a>
+          </dd>
+
+          <dt>Folder</dt>
+          <dd>
+            <a
+              href={formatRoute({ folder: file.parentPath })}
+              onClick={(e) => {
+                if (!isPlainClick(e)) return;
+                e.preventDefault();
+                onOpenFolder(file.parentPath);
+              }}
+            >
+              {file.parentPath || 'Home'}
+            </a>
+          </dd>
+
+          <dt>{file.persons.length > 1 ? 'People' : 'Person'}</dt>
+          <dd>{file.persons.length > 0 ? file.persons.join(', ') : 'Unknown'}</dd>
+
+          {file.roles.length > 0 && (
+            <>
+              <dt>{file.roles.length > 1 ? 'Roles' : 'Role'}</dt>
+              <dd>{file.roles.map(getRoleLabel).join(', ')}</dd>
+            </>
+          )}
+
+          <dt>Type</dt>
+          <dd>
+            {file.type.charAt(0).toUpperCase() + file.type.slice(1)}
+            {file.kind && file.kind !== 'other' && ` • ${getKindLabel(file.kind)}`}
+          </dd>
+
+          <dt>Document date</dt>
+          <dd>
+            {file.documentDate
+              ? `${formatDay(file.documentDate.value)} (from ${DATE_SOURCE_LABELS[file.documentDate.source]}, ${file.documentDate.confidence} confidence)`
+              : 'Not found'}
+          </dd>
+
+          <dt>Modified</dt>
+          <dd title="Last modified on the server">{formatTimestamp(file.date)}</dd>
+
+          <dt>Size</dt>
+          <dd>
+            {file.size}
+            {file.sizeBytes > 0 && ` (${file.sizeBytes.toLocaleString()} bytes)`}
+          </dd>
+
+          {sources.length > 1 && (
+            <>
+              <dt>Source</dt>
+              <dd>{file.sourceLabel}</dd>
+            </>
+          )}
+
+          <dt>Keywords</dt>
+          <dd className="file-detail-keywords">
+            {file.keywords.map(keyword => <span key={keyword} className="file-detail-keyword">{keyword}</span>)}
+          </dd>
+        </dl>
+
+        <section className="file-detail-related" aria-labelledby="related-files-heading">
+          <h3 id="related-files-heading">Related files</h3>
+          {relatedGroups.length === 0 && (
+            <p className="file-detail-note">
+              {searching ? 'None found yet; the rest of the archive is still loading.' : 'No other file shares a person, exhibit number or folder with this one.'}
+            </p>
+          )}
+          {relatedGroups.map(group => (
+            <RelatedFileGroup key={group.id} group={group} showFolders={group.id !== 'folder'} onOpenFile={onOpenFile} />
+          ))}
+        </section>
+      </div>
+
+      <PreviewPane
+        file={file}
+        pageCount={pageCount}
+        position={-1}
+        total={null}
+        onPrevious={null}
+        onNext={null}
+        onClose={null}
+        annotation={annotation}
+        knownTags={knownTags}
+        onAnnotationChange={onAnnotationChange}
+      />
+    </div>
+  );
+}
+
+/**
+ * One group of related files, shortened to RELATED_LIMIT until expanded
+ * @param {Object} props
+ * @param {Object} props.group - { id, label, files } from findRelatedFiles
+ * @param {boolean} props.showFolders - Whether to name each file's folder
+ * @param {Function} props.onOpenFile - Click handler, called with (event, file)
+ */
+function RelatedFileGroup({ group, showFolders, onOpenFile }) {
+  const [expanded, setExpanded] = useState(false);
+  const shownFiles = expanded ? group.files : group.files.slice(0, RELATED_LIMIT);
+
+  return (
+    <div className="related-group">
+      <h4 className="related-group-title">{group.label} ({group.files.length})</h4>
+      <ul className="related-group-files">
+        {shownFiles.map(related => (
+          <li key={related.id}>
+            <a href={formatRoute({ detail: related.id })} onClick={(e) => onOpenFile(e, related)}>
+              {related.displayName}
+            </a>
+            {showFolders && related.parentPath && (
+              <span className="related-file-folder"> in {related.parentPath}</span>
+            )}
+          </li>
+        ))}
+      </ul>
+      {group.files.length > RELATED_LIMIT && (
+        <button className="breadcrumb-link" onClick={() => setExpanded(!expanded)}>
+          {expanded ? 'Show fewer' : `Show all ${group.files.length}`}
+        </button>
+      )}
+    </div>
+  );
+}
+
+// Modified clicks are left to the browser, which opens the link in a new tab
+function isPlainClick(event) {
+  return !(event.metaKey || event.ctrlKey || event.shiftKey || event.button !== 0);
+}
+
+// Server modification times as listed, e.g. '2022-01-05 11:00'
+function formatTimestamp(value) {
+  if (value === 'Unknown') return value;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? value : date.toLocaleString();
+}
+
+// Document dates are calendar days, so show them without a time zone shift
+function formatDay(value) {
+  return new Date(value).toLocaleDateString(undefined, { month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+}
+
+export default FileDetailPage;
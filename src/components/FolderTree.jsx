@@ -0,0 +1,83 @@
+// src/components/FolderTree.jsx
+import React, { useState, useEffect } from 'react';
+import { getBreadcrumbs } from '../utils/folderTree.js';
+
+/**
+ * Collapsible sidebar tree of the archive's folders
+ * @param {Object} props
+ * @param {Object} props.tree - Root node from buildFolderTree
+ * @param {string} props.currentFolder - Path of the folder being browsed
+ * @param {Function} props.onSelectFolder - Called with a folder path
+ */
+function FolderTree({ tree, currentFolder, onSelectFolder }) {
+  const [expanded, setExpanded] = useState(() => new Set(['']));
+
+  // Keep the branch leading to the current folder open
+  useEffect(() => {
+    setExpanded(prev => {
+      const next = new Set(prev);
+      getBreadcrumbs(currentFolder).forEach(crumb => next.add(crumb.path));
+      return next;
+    });
+  }, [currentFolder]);
+
+  const toggleExpanded = (path) => {
+    setExpanded(prev => {
+      const next = new Set(prev);
+      if (next.has(path)) {
+        next.delete(path);
+      } else {
+        next.add(path);
+      }
+      return next;
+    });
+  };
+
+  const renderNode = (node) => {
+    const isExpanded = expanded.has(node.path);
+    const hasChildren = node.children.length > 0;
+
+    return (
+      <li key={node.path} role="treeitem" aria-expanded={hasChildren ? isExpanded : undefined}>
+        <div className={`folder-tree-row${node.path === currentFolder ? ' active' : ''}`}>
+          {hasChildren ? (
+            <button
+              className="folder-tree-toggle"
+              onClick={() => toggleExpanded(node.path)}
+              aria-label={`${isExpanded ? 'Collapse' : 'Expand'} ${node.name}`}
+            >
+              {isExpanded ? '▾' : '▸'}
+            </button>
+          ) : (
+            <span className="folder-tree-toggle" aria-hidden="true"></span>
+          )}
+          <button
+            className="folder-tree-name"
+            onClick={() => onSelectFolder(node.path)}
+            aria-current={node.path === currentFolder ? 'page' : undefined}
+          >
+            📁 {node.name}
+          </button>
+          <span className="folder-tree-count" title={`${node.totalFileCount} files in this folder and below`}>
+            {node.totalFileCount}
+          </span>
+        </div>
+        {hasChildren && isExpanded && (
+          <ul role="group">
+            {node.children.map(renderNode)}
+          </ul>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <nav className="folder-tree" aria-label="Folders">
+      <ul role="tree">
+        {renderNode(tree)}
+      </ul>
+    </nav>
+  );
+}
+
+export default FolderTree;
@@ -0,0 +1,32 @@
+// src/components/HighlightedText.jsx
+import React from 'react';
+import { getHighlightRanges } from '../utils/fuzzyMatch.js';
+
+/**
+ * Renders text with the parts matching the search terms wrapped in <mark>
+ * @param {Object} props
+ * @param {string} props.text - Text to display
+ * @param {Array} props.terms - Free-text search terms (typo-tolerant, like the search itself)
+ */
+function HighlightedText({ text, terms }) {
+  const ranges = terms.length > 0 ? getHighlightRanges(text, terms) : [];
+
+  if (ranges.length === 0) {
+    return text;
+  }
+
+  const parts = [];
+  let position = 0;
+
+  ranges.forEach(([start, end]) => {
+    if (start > position) parts.push(text.substring(position, start));
+    parts.push(<mark key={start} className="search-highlight">{text.substring(start, end)}</mark>);
+    position = end;
+  });
+
+  if (position < text.length) parts.push(text.substring(position));
+
+  return <>{parts}</>;
+}
+
+export default HighlightedText;
@@ -0,0 +1,46 @@
+// src/components/Pagination.jsx
+import React from 'react';
+
+/**
+ * Previous/next controls and a page picker for the file list
+ * @param {Object} props
+ * @param {number} props.page - Current page, starting at 1
+ * @param {number} props.pageCount - Number of pages
+ * @param {Function} props.onSelectPage - Called with a page number
+ */
+function Pagination({ page, pageCount, onSelectPage }) {
+  return (
+    <nav className="pagination" aria-label="File list pages">
+      <button
+        className="pagination-btn"
+        onClick={() => onSelectPage(page - 1)}
+        disabled={page <= 1}
+      >
+        ← Previous
+      </button>
+      <label className="pagination-status">
+        Page{' '}
+        <select
+          className="filter-select"
+          value={page}
+          onChange={(e) => onSelectPage(Number(e.target.value))}
+          aria-label="Go to page"
+        >
+          {Array.from({ length: pageCount }, (_, index) => (
+            <option key={index + 1} value={index + 1}>{index + 1}</option>
+          ))}
+        </select>
+        {' '}of {pageCount}
+      </label>
+      <button
+        className="pagination-btn"
+        onClick={() => onSelectPage(page + 1)}
+        disabled={page >= pageCount}
+      >
+        Next →
+      </button>
+    </nav>
+  );
+}
+
+export default Pagination;
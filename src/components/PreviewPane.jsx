@@ -0,0 +1,164 @@
+// src/components/PreviewPane.jsx
+import React, { useState, useEffect } from 'react';
+import AnnotationEditor from './AnnotationEditor.jsx';
+import { formatRoute } from '../utils/routes.js';
+
+const PLAYABLE_VIDEO = ['mp4', 'mov', 'm4v', 'webm']; // Browsers cannot play mpg/avi
+
+/**
+ * In-app preview of the selected file with previous/next controls
+ * PDFs use the browser's built-in viewer, which handles cross-origin files
+ * that a script-based viewer could not load without CORS.
+ * @param {Object} props
+ * @param {Object} props.file - File to preview
+ * @param {number} props.initialPage - PDF page to open at
+ * @param {number|null} props.pageCount - PDF page count, when the text index knows it
+ * @param {number} props.position - Index of the file in the current list, or -1
+ * @param {number|null} props.total - Number of files in the current list; null hides previous/next
+ * @param {Function} props.onPrevious - Show the previous file, or null at the start
+ * @param {Function} props.onNext - Show the next file, or null at the end
+ * @param {Function|null} props.onClose - Close the preview; null where it stays open, as on detail pages
+ * @param {Object} props.annotation - The file's tags and note
+ * @param {Array} props.knownTags - Tags in use, offered while tagging
+ * @param {Function} props.onAnnotationChange - Called with { tags } or { note }
+ * @param {Function} props.onShowDetails - Click handler for the link to the file's detail page,
+ *   called with the event; leave it out where no link is wanted
+ */
+function PreviewPane({ file, initialPage = 1, pageCount = null, position, total, onPrevious, onNext, onClose, annotation, knownTags, onAnnotationChange, onShowDetails = null }) {
+  const [page, setPage] = useState(initialPage);
+  const kind = getPreviewKind(file);
+
+  // Start each file at the requested page
+  useEffect(() => {
+    setPage(initialPage);
+  }, [file.url, initialPage]);
+
+  // Arrow keys step through the list, Escape closes; typing in fields is left alone
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.target.closest && event.target.closest('input, select, textarea')) return;
+
+      if (event.key === 'Escape' && onClose) {
+        onClose();
+      } else if (event.key === 'ArrowLeft' && onPrevious) {
+        onPrevious();
+      } else if (event.key === 'ArrowRight' && onNext) {
+        onNext();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onPrevious, onNext, onClose]);
+
+  const goToPage = (value) => {
+    const lastPage = pageCount || Infinity;
+    setPage(Math.min(Math.max(1, value || 1), lastPage));
+  };
+
+  return (
+    <aside className="preview-pane" aria-label={`Preview of ${file.displayName}`}>
+      <div className="preview-header">
+        <h2 className="preview-title" title={file.filename}>{file.displayName}</h2>
+        {onClose && (
+          <button className="preview-close-btn" onClick={onClose} aria-label="Close preview" title="Close preview (Esc)">
+            ×
+          </button>
+        )}
+      </div>
+
+      {total !== null && (
+        <div className="preview-nav">
+          <button className="pagination-btn" onClick={onPrevious} disabled={!onPrevious} title="Previous file (←)">
+            ← Previous
+          </button>
+          <span className="preview-position">
+            {position >= 0 ? `${position + 1} of ${total}` : 'Not in the current list'}
+          </span>
+          <button className="pagination-btn" onClick={onNext} disabled={!onNext} title="Next file (→)">
+            Next →
+          </button>
+        </div>
+      )}
+
+      {kind === 'pdf' && (
+        <div className="preview-page-nav">
+          <button className="pagination-btn" onClick={() => goToPage(page - 1)} disabled={page <= 1}>
+            ‹ Page
+          </button>
+          <label>
+            Page{' '}
+            <input
+              type="number"
+              className="preview-page-input"
+              min="1"
+              max={pageCount || undefined}
+              value={page}
+              onChange={(e) => goToPage(parseInt(e.target.value, 10))}
+            />
+            {pageCount ? ` of ${pageCount}` : null}
+          </label>
+          <button className="pagination-btn" onClick={() => goToPage(page + 1)} disabled={pageCount !== null && page >= pageCount}>
+            Page ›
+          </button>
+        </div>
+      )}
+
+      <div className="preview-body">
+        {kind === 'pdf' && (
+          // Remount on page change; viewers ignore hash changes on a loaded document
+          <iframe key={page} className="preview-frame" src={`${file.url}#page=${page}`} title={file.displayName} />
+        )}
+        {kind === 'video' && (
+          <video key={file.url} className="preview-video" src={file.url} controls preload="metadata">
+            Your browser cannot play this video.
+          </video>
+        )}
+        {(kind === 'webpage' || kind === 'text') && (
+          // No scripts, forms or same-origin access for archived pages
+          <iframe key={file.url} className="preview-frame" src={file.url} sandbox="" title={file.displayName} />
+        )}
+        {kind === 'none' && (
+          <p className="preview-unavailable">
+            {file.type === 'video'
+              ? 'This video format cannot be played in the browser.'
+              : 'No preview is available for this type of file.'}
+          </p>
+        )}
+      </div>
+
+      <AnnotationEditor file={file} annotation={annotation} knownTags={knownTags} onChange={onAnnotationChange} />
+
+      <div className="preview-footer">
+        {onShowDetails && (
+          <a href={formatRoute({ detail: file.id })} onClick={onShowDetails}>
+            Details and permalink
+          </a>
+        )}
+        <a href={kind === 'pdf' ? `${file.url}#page=${page}` : file.url} target="_blank" rel="noopener noreferrer">
+          Open in new tab
+        </a>
+        {file.type !== 'webpage' && (
+          <a href={file.url} download>Download</a>
+        )}
+      </div>
+    </aside>
+  );
+}
+
+/**
+ * Chooses how a file can be shown in the preview
+ * @param {Object} file - File object
+ * @returns {string} 'pdf', 'video', 'webpage', 'text' or 'none'
+ */
+function getPreviewKind(file) {
+  const extension = file.filename.split('.').pop().toLowerCase();
+
+  if (extension === 'pdf') return 'pdf';
+  if (file.type === 'video') return PLAYABLE_VIDEO.includes(extension) ? 'video' : 'none';
+  if (file.type === 'webpage') return 'webpage';
+  if (extension === 'txt') return 'text';
+  return 'none';
+}
+
+export default PreviewPane;
@@ -0,0 +1,87 @@
+// src/components/SavedSearchesMenu.jsx
+import React, { useState } from 'react';
+import { getSavedSearchKey, isSavedSearchActive, describeSavedSearch } from '../utils/savedSearches.js';
+
+/**
+ * Buttons that recall saved searches, and a form to save the current one
+ * @param {Object} props
+ * @param {Array} props.savedSearches - Saved searches, in display order
+ * @param {Object} props.urlParams - Current URL parameters, to mark the search on screen
+ * @param {string} props.error - Storage problem to show, or null
+ * @param {Function} props.onApply - Called with a saved search
+ * @param {Function} props.onSave - Called with a name for the current search
+ * @param {Function} props.onDelete - Called with a saved search
+ */
+function SavedSearchesMenu({ savedSearches, urlParams, error, onApply, onSave, onDelete }) {
+  const [naming, setNaming] = useState(false);
+  const [name, setName] = useState('');
+  const replaces = savedSearches.some(savedSearch => getSavedSearchKey(savedSearch.name) === getSavedSearchKey(name));
+
+  const save = (event) => {
+    event.preventDefault();
+    if (!name.trim()) return;
+
+    onSave(name);
+    setName('');
+    setNaming(false);
+  };
+
+  return (
+    <div className="saved-searches" role="group" aria-label="Saved searches">
+      <span className="filter-label">Saved searches:</span>
+
+      {savedSearches.map(savedSearch => {
+        const active = isSavedSearchActive(savedSearch, urlParams);
+        return (
+          <span key={savedSearch.name} className={`saved-search${active ? ' active' : ''}`}>
+            <button
+              className="saved-search-btn"
+              aria-pressed={active}
+              onClick={() => onApply(savedSearch)}
+              title={describeSavedSearch(savedSearch)}
+            >
+              {savedSearch.name}
+            </button>
+            <button
+              className="saved-search-delete"
+              onClick={() => onDelete(savedSearch)}
+              aria-label={`Delete saved search ${savedSearch.name}`}
+              title="Delete this saved search"
+            >
+              ×
+            </button>
+          </span>
+        );
+      })}
+
+      {naming ? (
+        <form className="saved-search-form" onSubmit={save}>
+          <input
+            type="text"
+            className="saved-search-name"
+            placeholder="Name this search"
+            aria-label="Name for the saved search"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && setNaming(false)}
+            autoFocus
+          />
+          <button type="submit" className="pagination-btn" disabled={!name.trim()}>
+            {replaces ? 'Replace' : 'Save'}
+          </button>
+          <button type="button" className="breadcrumb-link" onClick={() => setNaming(false)}>
+            Cancel
+          </button>
+        </form>
+      ) : (
+        <button className="pagination-btn" onClick={() => setNaming(true)} title="Save the search box, filters and sort under a name">
+          Save current search
+        </button>
+      )}
+
+      {error && <span className="annotations-message failed" role="status">{error}</span>}
+    </div>
+  );
+}
+
+export default SavedSearchesMenu;
@@ -0,0 +1,149 @@
+// src/components/SelectionTray.jsx
+import React, { useState } from 'react';
+import { IN_MEMORY_ZIP_WARNING_BYTES } from '../utils/bulkDownload.js';
+
+/**
+ * Bar pinned below the list while files are checked, with the ZIP download and collections
+ * @param {Object} props
+ * @param {Array} props.files - Checked files
+ * @param {Object} props.download - State from useZipDownload
+ * @param {Function} props.onDownload - Starts the ZIP download of the checked files
+ * @param {Function} props.onClear - Unchecks every file
+ * @param {Array} props.collections - Stored collections, offered by name
+ * @param {Function} props.onAddToCollection - Called with a collection name, new or existing
+ * @param {Object|null} props.activeCollection - Stored collection being listed, if any
+ * @param {Function} props.onRemoveFromCollection - Takes the checked files out of activeCollection
+ */
+function SelectionTray({ files, download, onDownload, onClear, collections, onAddToCollection, activeCollection, onRemoveFromCollection }) {
+  const [collectionName, setCollectionName] = useState('');
+  const [collectionMessage, setCollectionMessage] = useState(null);
+  const { status, progress, failures, error } = download;
+  const totalBytes = files.reduce((sum, file) => sum + (file.sizeBytes || 0), 0);
+  const downloading = status === 'downloading';
+  const percent = progress && progress.bytesTotal > 0
+    ? Math.min(100, Math.round((progress.bytesDone / progress.bytesTotal) * 100))
+    : 0;
+
+  const addToCollection = (event) => {
+    event.preventDefault();
+    const name = collectionName.trim();
+    if (!name || files.length === 0) return;
+
+    onAddToCollection(name);
+    setCollectionMessage(`Added ${files.length} ${files.length === 1 ? 'file' : 'files'} to ${name}`);
+    setCollectionName('');
+  };
+
+  return (
+    <div className="selection-tray" role="region" aria-label="Selected files">
+      <div className="selection-tray-summary">
+        <strong>{files.length}</strong> {files.length === 1 ? 'file' : 'files'} selected
+        {' '}• {formatBytes(totalBytes)}
+      </div>
+
+      <div className="selection-tray-actions">
+        {downloading ? (
+          <button className="reset-filters-btn" onClick={download.cancelDownload}>
+            Cancel
+          </button>
+        ) : (
+          <>
+            <button className="retry-btn" onClick={onDownload} disabled={files.length === 0}>
+              Download selected as ZIP
+            </button>
+            <button className="reset-filters-btn" onClick={onClear}>
+              Clear selection
+            </button>
+          </>
+        )}
+      </div>
+
+      {!downloading && !download.streamsToDisk && totalBytes > IN_MEMORY_ZIP_WARNING_BYTES && (
+        <div className="selection-tray-warning" role="note">
+          This browser builds the archive in memory, and {formatBytes(totalBytes)} may be more than the tab can hold.
+          Select fewer files, or use a browser that saves while it downloads, such as Chrome or Edge.
+        </div>
+      )}
+
+      {!downloading && (
+        <form className="selection-tray-collection" onSubmit={addToCollection}>
+          <label htmlFor="collection-name" className="filter-label">Add to collection:</label>
+          <input
+            id="collection-name"
+            className="selection-tray-collection-input"
+            type="text"
+            list="collection-names"
+            placeholder="New or existing collection"
+            value={collectionName}
+            onChange={(e) => setCollectionName(e.target.value)}
+          />
+          <datalist id="collection-names">
+            {collections.map(collection => <option key={collection.name} value={collection.name} />)}
+          </datalist>
+          <button type="submit" className="pagination-btn" disabled={!collectionName.trim() || files.length === 0}>
+            Add
+          </button>
+          {activeCollection && (
+            <button type="button" className="pagination-btn" onClick={onRemoveFromCollection} disabled={files.length === 0}>
+              Remove from {activeCollection.name}
+            </button>
+          )}
+          {collectionMessage && <span className="selection-tray-collection-message" role="status">{collectionMessage}</span>}
+        </form>
+      )}
+
+      {downloading && progress && (
+        <div className="selection-tray-progress" role="status">
+          <progress max="100" value={percent} aria-label="Download progress">{percent}%</progress>
+          <span>
+            File {progress.fileIndex + 1} of {progress.fileCount}: {progress.file.displayName}
+            {' '}• {formatBytes(progress.bytesDone)} of about {formatBytes(progress.bytesTotal)}
+            {progress.failureCount > 0 && ` • ${progress.failureCount} failed`}
+          </span>
+        </div>
+      )}
+
+      {status !== 'idle' && !downloading && (
+        <div className={`selection-tray-result${status === 'error' ? ' failed' : ''}`} role="status">
+          {status === 'done' && (failures.length === 0
+            ? 'The archive has been saved.'
+            : `The archive has been saved without ${failures.length} ${failures.length === 1 ? 'file' : 'files'}; see manifest.csv inside it.`)}
+          {status === 'cancelled' && 'Download cancelled.'}
+          {status === 'error' && error}
+          {' '}
+          <button className="breadcrumb-link" onClick={download.dismiss}>Dismiss</button>
+
+          {failures.length > 0 && (
+            <ul className="selection-tray-failures">
+              {failures.map(({ file, message }) => (
+                <li key={file.id}>
+                  <a href={file.url} target="_blank" rel="noopener noreferrer">{file.path || file.filename}</a>: {message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Formats a byte count with a binary unit, e.g. 1536 -> '1.5 KB'
+ * @param {number} bytes - Byte count
+ * @returns {string} Human-readable size
+ */
+function formatBytes(bytes) {
+  const units = ['bytes', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+
+  return unit === 0 ? `${value} ${units[0]}` : `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+}
+
+export default SelectionTray;
@@ -0,0 +1,56 @@
+// src/components/SourceStatusList.jsx
+import React from 'react';
+
+/**
+ * Shows the load status of each configured archive source
+ * @param {Object} props
+ * @param {Array} props.sources - Entries from ARCHIVE_SOURCES
+ * @param {Object} props.sourceStatus - Status per source id from useDirectoryData
+ */
+function SourceStatusList({ sources, sourceStatus }) {
+  const describeStatus = (status) => {
+    switch (status.state) {
+      case 'loading':
+        return status.progress
+          ? `Loading... ${status.progress.foldersScanned} folders scanned, ${status.progress.filesFound} files found`
+          : 'Loading...';
+      case 'loaded':
+        return `${status.fileCount} files` +
+          (status.crawlErrorCount > 0 ? ` (${status.crawlErrorCount} folders could not be loaded)` : '');
+      case 'snapshot':
+        return `${status.fileCount} files from snapshot`;
+      case 'cached':
+        return `${status.fileCount} files from saved list`;
+      case 'error':
+        return status.error;
+      default:
+        return 'Waiting...';
+    }
+  };
+
+  const icons = {
+    pending: '⏳',
+    loading: '⏳',
+    loaded: '✅',
+    snapshot: '✅',
+    cached: '✅',
+    error: '⚠️'
+  };
+
+  return (
+    <ul className="source-status-list" aria-label="Archive sources">
+      {sources.map(source => {
+        const status = sourceStatus[source.id];
+        return (
+          <li key={source.id} className={`source-status source-status-${status.state}`}>
+            <span aria-hidden="true">{icons[status.state]}</span>
+            <span className="source-status-label" title={source.url}>{source.label}</span>
+            <span className="source-status-detail">{describeStatus(status)}</span>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+export default SourceStatusList;
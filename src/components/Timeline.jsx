@@ -0,0 +1,160 @@
+// src/components/Timeline.jsx
+import React, { useMemo } from 'react';
+import { TIMELINE_ZOOMS, getPersonColor } from '../utils/timeline.js';
+import { DOCUMENT_KINDS, OTHER_KIND, getKindLabel, getKindColor } from '../utils/documentKinds.js';
+import { getFilePersons } from '../utils/queryEngine.js';
+import CopyCitationButton from './CopyCitationButton.jsx';
+
+const ZOOM_LABELS = { year: 'Year', month: 'Month', day: 'Day' };
+
+/**
+ * Chronological view of the listed files, grouped by year, month or day
+ * Rows are edged in the color of their main person and tagged with their document kind.
+ * @param {Object} props
+ * @param {Array} props.groups - Periods from buildTimeline
+ * @param {string} props.zoom - 'year', 'month' or 'day'
+ * @param {string} props.selectedFileId - File shown in the preview pane
+ * @param {string} props.citationStyle - Style of the copy citation buttons
+ * @param {Function} props.onZoomChange - Called with a zoom level
+ * @param {Function} props.onOpenFile - Click handler, called with (event, file)
+ */
+function Timeline({ groups, zoom, selectedFileId, citationStyle, onZoomChange, onOpenFile }) {
+  const zoomIndex = TIMELINE_ZOOMS.indexOf(zoom);
+
+  // Legend entries for the people and kinds that appear
+  const legend = useMemo(() => {
+    const entries = groups.flatMap(group => group.files.map(({ file }) => file));
+    const kindIds = new Set(entries.map(file => file.kind));
+    return {
+      persons: [...new Set(entries.flatMap(getFilePersons))].sort(),
+      kinds: [...DOCUMENT_KINDS, OTHER_KIND].map(kind => kind.id).filter(kindId => kindIds.has(kindId))
+    };
+  }, [groups]);
+
+  return (
+    <div className="timeline">
+      <div className="timeline-toolbar">
+        <div className="timeline-zoom" role="group" aria-label="Timeline zoom">
+          <button
+            className="pagination-btn"
+            onClick={() => onZoomChange(TIMELINE_ZOOMS[zoomIndex - 1])}
+            disabled={zoomIndex <= 0}
+            title="Zoom out"
+          >
+            −
+          </button>
+          {TIMELINE_ZOOMS.map(level => (
+            <button
+              key={level}
+              className={`pagination-btn${level === zoom ? ' active' : ''}`}
+              aria-pressed={level === zoom}
+              onClick={() => onZoomChange(level)}
+            >
+              {ZOOM_LABELS[level]}
+            </button>
+          ))}
+          <button
+            className="pagination-btn"
+            onClick={() => onZoomChange(TIMELINE_ZOOMS[zoomIndex + 1])}
+            disabled={zoomIndex >= TIMELINE_ZOOMS.length - 1}
+            title="Zoom in"
+          >
+            +
+          </button>
+        </div>
+
+        <ul className="timeline-legend" aria-label="Legend">
+          {legend.persons.map(person => (
+            <li key={person}>
+              <span className="timeline-swatch" style={{ backgroundColor: getPersonColor(person) }} aria-hidden="true"></span>
+              {person}
+            </li>
+          ))}
+          {legend.kinds.map(kind => (
+            <li key={kind}>
+              <span className="timeline-kind" style={{ backgroundColor: getKindColor(kind) }}>{getKindLabel(kind)}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      {groups.map(group => (
+        <section key={group.key} className="timeline-group" aria-label={formatGroupLabel(group.key)}>
+          <h3 className="timeline-group-label">
+            {formatGroupLabel(group.key)}
+            <span className="timeline-group-count">{group.files.length}</span>
+          </h3>
+          <ol className="timeline-items">
+            {group.files.map(({ file, date }) => (
+              <li
+                key={file.id}
+                id={`file-${file.id}`}
+                className={`timeline-item${file.id === selectedFileId ? ' selected' : ''}`}
+                aria-current={file.id === selectedFileId ? 'true' : undefined}
+                style={{ borderLeftColor: getPersonColor(file.person) }}
+              >
+                <span
+                  className={`timeline-date${date && date.source === 'modified' ? ' timeline-date-modified' : ''}`}
+                  title={date && date.source === 'modified' ? 'No document date found; showing when the file was last modified on the server' : undefined}
+                >
+                  {date ? formatDay(date.value) : '—'}
+                </span>
+                <a
+                  href={file.url}
+                  className="file-link"
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  onClick={(e) => onOpenFile(e, file)}
+                  title={`Preview ${file.displayName} - ${file.filename} (Ctrl+click opens a new tab)`}
+                >
+                  {file.displayName}
+                </a>
+                <span className="timeline-persons">
+                  {getFilePersons(file).map(person => (
+                    <span key={person} className="timeline-person">
+                      <span className="timeline-swatch" style={{ backgroundColor: getPersonColor(person) }} aria-hidden="true"></span>
+                      {person}
+                    </span>
+                  ))}
+                </span>
+                {file.kind && (
+                  <span className="timeline-kind" style={{ backgroundColor: getKindColor(file.kind) }}>
+                    {getKindLabel(file.kind)}
+                  </span>
+                )}
+                <CopyCitationButton file={file} citationStyle={citationStyle} />
+              </li>
+            ))}
+          </ol>
+        </section>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Heading for a timeline group key
+ * @param {string} key - 'YYYY', 'YYYY-MM', 'YYYY-MM-DD' or 'undated'
+ * @returns {string} e.g. '2021', 'March 2021', 'March 5, 2021' or 'Undated'
+ */
+function formatGroupLabel(key) {
+  if (key === 'undated') return 'Undated';
+
+  const [year, month, day] = key.split('-').map(Number);
+  if (!month) return String(year);
+
+  const date = new Date(Date.UTC(year, month - 1, day || 1));
+  return date.toLocaleDateString(undefined, {
+    year: 'numeric',
+    month: 'long',
+    day: day ? 'numeric' : undefined,
+    timeZone: 'UTC'
+  });
+}
+
+// Dates are calendar days, so show them without a time zone shift
+function formatDay(value) {
+  return new Date(value).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+}
+
+export default Timeline;
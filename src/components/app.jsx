@@ -1,43 +1,372 @@
 // src/components/App.jsx
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
 import { useDirectoryData } from '../hooks/useDirectoryData';
+import { useTextIndex } from '../hooks/useTextIndex.js';
+import { buildFolderTree, isInFolder } from '../utils/folderTree.js';
+import FolderTree from './FolderTree.jsx';
+import Breadcrumbs from './Breadcrumbs.jsx';
+import SourceStatusList from './SourceStatusList.jsx';
+import ChangeLogPanel from './ChangeLogPanel.jsx';
+import HighlightedText from './HighlightedText.jsx';
+import { diffFileLists } from '../utils/changeLog.js';
+import { parseQuery } from '../utils/searchQuery.js';
+import { getFilePersons } from '../utils/queryEngine.js';
+import { getRoleLabel } from '../utils/peopleRegistry.js';
+import { getKindLabel } from '../utils/documentKinds.js';
+import { useUrlState } from '../hooks/useUrlState.js';
+import Pagination from './Pagination.jsx';
+import PreviewPane from './PreviewPane.jsx';
+import Timeline from './Timeline.jsx';
+import SelectionTray from './SelectionTray.jsx';
+import ExportMenu from './ExportMenu.jsx';
+import CopyCitationButton from './CopyCitationButton.jsx';
+import AnnotationsMenu from './AnnotationsMenu.jsx';
+import FileDetailPage from './FileDetailPage.jsx';
+import SavedSearchesMenu from './SavedSearchesMenu.jsx';
+import CollectionsMenu from './CollectionsMenu.jsx';
+import CollectionHeader from './CollectionHeader.jsx';
+import { useSavedSearches } from '../hooks/useSavedSearches.js';
+import { useCollections } from '../hooks/useCollections.js';
+import { getCollectionKey, createCollection, resolveCollection, getCollectionShareLink, decodeSharedCollection } from '../utils/collections.js';
+import { useAnnotations } from '../hooks/useAnnotations.js';
+import { getAnnotation, REVIEWED_TAG } from '../utils/annotations.js';
+import { createFileKeyResolver } from '../utils/fileIds.js';
+import { formatRoute, getFilePermalink } from '../utils/routes.js';
+import { useCheckedFiles } from '../hooks/useCheckedFiles.js';
+import { useZipDownload } from '../hooks/useZipDownload.js';
+import { buildTimeline } from '../utils/timeline.js';
+
+const PAGE_SIZE = 50; // Files listed per page
+
+// Where a document date was found, as worded in its tooltip
+const DATE_SOURCE_LABELS = {
+  filename: 'filename',
+  header: 'first page',
+  metadata: 'PDF properties'
+};
 
 function App() {
-  // State for search and filters
-  const [searchTerm, setSearchTerm] = useState('');
-  const [personFilter, setPersonFilter] = useState('all');
-  const [typeFilter, setTypeFilter] = useState('all');
-  const [sortBy, setSortBy] = useState('name');
-  const [sortOrder, setSortOrder] = useState('asc');
+  // Search, filters, sorting, folder, page and selection live in the URL so views
+  // can be bookmarked and shared, and Back/Forward step through them; folders and
+  // file detail pages have their own paths (see routes.js)
+  const { urlParams, updateUrl } = useUrlState();
+  const {
+    search: searchTerm,
+    person: personFilter,
+    role: roleFilter,
+    type: typeFilter,
+    kind: kindFilter,
+    source: sourceFilter,
+    dated: datedFilter, // Document date confidence, see documentDates.js
+    tag: tagFilter, // Reviewer's tag, see annotations.js
+    changed: onlyChanged, // New or changed since the last visit
+    sort: sortBy,
+    order: sortOrder,
+    folder: currentFolder, // '' is the archive root
+    scope: searchScope, // 'folder' or 'all'
+    view, // 'list' or 'timeline'
+    zoom: timelineZoom, // Timeline grouping: 'year', 'month' or 'day'
+    cite: citationStyle, // Style of exported and copied citations
+    page,
+    collection: collectionKey, // Stored collection listed instead of a folder
+    shared: sharedCollectionParam, // Collection from a shared link, listed the same way
+    file: selectedFileId,
+    detail: detailFileId // File whose detail page replaces the browser
+  } = urlParams;
+  const [now, setNow] = useState(() => new Date()); // Drives the "x minutes ago" labels
+  const [previewStartPage, setPreviewStartPage] = useState(1); // PDF page a text snippet points at
+
+  // Changing what is listed starts again from the first page
+  const setSearchTerm = (value) => updateUrl({ search: value, page: 1 }, { coalesce: 'search' });
+  const setPersonFilter = (value) => updateUrl({ person: value, page: 1 });
+  const setRoleFilter = (value) => updateUrl({ role: value, page: 1 });
+  const setTypeFilter = (value) => updateUrl({ type: value, page: 1 });
+  const setKindFilter = (value) => updateUrl({ kind: value, page: 1 });
+  const setSourceFilter = (value) => updateUrl({ source: value, page: 1 });
+  const setDatedFilter = (value) => updateUrl({ dated: value, page: 1 });
+  const setTagFilter = (value) => updateUrl({ tag: value, page: 1 });
+  const setOnlyChanged = (value) => updateUrl({ changed: value, page: 1 });
+  const setSearchScope = (value) => updateUrl({ scope: value, page: 1 });
+  const setSortOrder = (value) => updateUrl({ order: value, page: 1 });
+  const setCurrentFolder = (folder) => updateUrl({ folder, page: 1, file: null, detail: null, collection: null, shared: null });
+  const setPage = (value) => updateUrl({ page: value });
+  const setView = (value) => updateUrl({ view: value, page: 1 });
+  const setTimelineZoom = (value) => updateUrl({ zoom: value });
+  const setCitationStyle = (value) => updateUrl({ cite: value });
+  // The selected file is the one shown in the preview pane
+  const selectFile = (file, startPage = 1) => {
+    setPreviewStartPage(startPage);
+    if (file.id !== selectedFileId) updateUrl({ file: file.id });
+  };
 
   // Get data from custom hook
   const {
     files,
+    partialFiles,
     loading,
     error,
     lastFetch,
+    sources: configuredSources,
+    sourceStatus,
+    crawlErrors,
+    dataSource,
+    checkingForUpdates,
+    pendingUpdate,
+    applyPendingUpdate,
+    visitChanges,
+    changeLog,
     refreshData,
     filterFiles,
+    getRelevanceScores,
     sortFiles,
     getFilterOptions
   } = useDirectoryData();
 
+  // Structured search query: terms, field qualifiers and any syntax errors
+  const parsedQuery = useMemo(() => parseQuery(searchTerm), [searchTerm]);
+
+  // Full-text matches inside documents for the query's free-text terms
+  const { textIndexStatus, indexedDocumentCount, textMatchesByTerm, textMatches, getPageCount } = useTextIndex(parsedQuery.textTerms);
+
   // Get filter options
-  const { persons, types } = getFilterOptions();
+  const { persons, roles, types, kinds, sources } = getFilterOptions();
+
+  // Reviewers' tags and notes, kept in this browser
+  const {
+    annotations,
+    tags: annotationTags,
+    error: annotationError,
+    updateAnnotation,
+    importAnnotations,
+    exportAnnotations
+  } = useAnnotations(files);
+
+  // Named searches and hand-picked collections, kept in this browser
+  const { savedSearches, error: savedSearchError, saveSearch, deleteSearch } = useSavedSearches();
+  const {
+    collections,
+    collectionsByKey,
+    error: collectionError,
+    addToCollection,
+    removeFromCollection,
+    saveCollection,
+    deleteCollection,
+    importCollections,
+    exportCollections
+  } = useCollections();
+
+  // The collection listed instead of a folder, and which of its files are in the archive
+  const sharedCollection = useMemo(() => (
+    sharedCollectionParam ? decodeSharedCollection(sharedCollectionParam) : null
+  ), [sharedCollectionParam]);
+  const activeCollection = sharedCollection || (collectionKey && collectionsByKey.get(collectionKey)) || null;
+  const collectionContents = useMemo(() => (
+    activeCollection ? resolveCollection(activeCollection, files) : null
+  ), [activeCollection, files]);
+  const collectionFileIds = useMemo(() => (
+    collectionContents ? new Set(collectionContents.files.map(file => file.id)) : null
+  ), [collectionContents]);
+
+  // Folder hierarchy for the sidebar
+  const folderTree = useMemo(() => buildFolderTree(files), [files]);
+
+  const hasActiveQuery = searchTerm !== '' || personFilter !== 'all' || roleFilter !== 'all' || typeFilter !== 'all' || kindFilter !== 'all' || sourceFilter !== 'all' || datedFilter !== 'all' || tagFilter !== 'all' || onlyChanged;
+
+  // Keep data age labels current
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
 
   // Filter and sort files
+  // Browsing the list shows the current folder's direct contents; an active search or
+  // filter, and the timeline, cover the folder's whole subtree, or the entire archive
+  // when the search scope is 'all'
   const displayFiles = useMemo(() => {
-    const filtered = filterFiles(searchTerm, personFilter, typeFilter);
-    return sortFiles(filtered, sortBy, sortOrder);
-  }, [files, searchTerm, personFilter, typeFilter, sortBy, sortOrder, filterFiles, sortFiles]);
+    const includeSubfolders = hasActiveQuery || view === 'timeline';
+    const filtered = filterFiles(parsedQuery, personFilter, roleFilter, typeFilter, kindFilter, sourceFilter, datedFilter, tagFilter, textMatchesByTerm, annotations).filter(file => {
+      if (onlyChanged && !(visitChanges && visitChanges.statusByUrl.has(file.url))) return false;
+      if (collectionFileIds) return collectionFileIds.has(file.id);
+      if (hasActiveQuery && searchScope === 'all') return true;
+      return isInFolder(file, currentFolder, includeSubfolders);
+    });
+    const relevanceScores = sortBy === 'relevance' ? getRelevanceScores(parsedQuery, filtered, textMatchesByTerm, annotations) : null;
+    return sortFiles(filtered, sortBy, sortOrder, relevanceScores);
+  }, [files, parsedQuery, textMatchesByTerm, annotations, personFilter, roleFilter, typeFilter, kindFilter, sourceFilter, datedFilter, tagFilter, sortBy, sortOrder, currentFolder, collectionFileIds, searchScope, view, hasActiveQuery, onlyChanged, visitChanges, filterFiles, getRelevanceScores, sortFiles]);
+
+  // Checkboxes for bulk download; folders can't be downloaded so they have none
+  const { checkedIds, checkedFiles, toggleChecked, checkFiles, uncheckFiles, clearChecked } = useCheckedFiles(files);
+  const zipDownload = useZipDownload();
+  const checkableFiles = useMemo(() => displayFiles.filter(file => file.type !== 'folder'), [displayFiles]);
+  const allChecked = checkableFiles.length > 0 && checkableFiles.every(file => checkedIds.has(file.id));
+  const someChecked = !allChecked && checkableFiles.some(file => checkedIds.has(file.id));
+
+  // Downloads and exports are named for the day they were made
+  const exportName = `legal-files-${now.toISOString().substring(0, 10)}`;
+
+  const downloadChecked = () => {
+    zipDownload.startDownload(checkedFiles, `${exportName}.zip`);
+  };
+
+  // Current page of results; a bookmarked page past the end shows the last one
+  const pageCount = Math.max(1, Math.ceil(displayFiles.length / PAGE_SIZE));
+  const currentPage = Math.min(page, pageCount);
+  const pageFiles = displayFiles.slice((currentPage - 1) * PAGE_SIZE, currentPage * PAGE_SIZE);
+
+  // Timeline periods, oldest first unless the order is descending
+  const timelineGroups = useMemo(() => (
+    view === 'timeline' ? buildTimeline(displayFiles, timelineZoom, sortOrder) : []
+  ), [view, displayFiles, timelineZoom, sortOrder]);
+
+  // Files in the order they appear on screen, for stepping through previews
+  const shownFiles = useMemo(() => (
+    view === 'timeline' ? timelineGroups.flatMap(group => group.files.map(entry => entry.file)) : displayFiles
+  ), [view, timelineGroups, displayFiles]);
+
+  // What exports record about how the listed files were chosen
+  const exportCriteria = {
+    search: searchTerm,
+    person: personFilter,
+    role: roleFilter,
+    type: typeFilter,
+    kind: kindFilter,
+    source: sourceFilter,
+    dated: datedFilter,
+    tag: tagFilter,
+    changed: onlyChanged,
+    sort: view === 'timeline' ? 'timeline' : sortBy,
+    order: sortOrder,
+    folder: currentFolder,
+    scope: searchScope,
+    collection: activeCollection ? activeCollection.name : null
+  };
+
+  // Preview pane: the selected file and its neighbours in the filtered list
+  const selectedFile = useMemo(
+    () => (selectedFileId ? files.find(file => file.id === selectedFileId) || null : null),
+    [files, selectedFileId]
+  );
+  const selectedIndex = selectedFile ? shownFiles.indexOf(selectedFile) : -1;
+
+  // A detail page opened from a link can show as soon as the first crawl reaches its file
+  const detailFile = useMemo(() => {
+    if (!detailFileId) return null;
+    return (files.length > 0 ? files : partialFiles).find(file => file.id === detailFileId) || null;
+  }, [files, partialFiles, detailFileId]);
+
+  // Links shared before ids were path-based still open their file
+  useEffect(() => {
+    if (loading || files.length === 0) return;
+    const resolveKey = createFileKeyResolver(files);
+    const changes = {};
+    if (selectedFileId && !selectedFile && resolveKey(selectedFileId)) changes.file = resolveKey(selectedFileId);
+    if (detailFileId && !detailFile && resolveKey(detailFileId)) changes.detail = resolveKey(detailFileId);
+    if (Object.keys(changes).length > 0) updateUrl(changes, { replace: true });
+  }, [loading, files, selectedFileId, selectedFile, detailFileId, detailFile]);
+
+  // Folders have no detail page; their link opens the folder
+  useEffect(() => {
+    if (detailFile && detailFile.type === 'folder') {
+      updateUrl({ folder: detailFile.path, page: 1, file: null, detail: null }, { replace: true });
+    }
+  }, [detailFile]);
+
+  // Detail pages are in-app links; modified clicks keep opening a new tab
+  const openDetails = (event, file) => {
+    event.stopPropagation();
+    if (event.metaKey || event.ctrlKey || event.shiftKey || event.button !== 0) return;
+    event.preventDefault();
+    updateUrl({ detail: file.id });
+  };
+
+  /**
+   * Moves the preview to a neighbouring file, turning the list page when needed
+   * Steps share one history entry so Back leaves the preview session.
+   */
+  const stepPreview = (offset) => {
+    const nextIndex = selectedIndex + offset;
+    const changes = { file: shownFiles[nextIndex].id };
+    if (view === 'list') changes.page = Math.floor(nextIndex / PAGE_SIZE) + 1;
+
+    setPreviewStartPage(1);
+    updateUrl(changes, { coalesce: 'preview' });
+  };
+
+  // Plain clicks preview in place; modified clicks keep opening a new tab
+  const openPreview = (event, file, startPage = 1) => {
+    if (event.metaKey || event.ctrlKey || event.shiftKey || event.button !== 0) {
+      event.stopPropagation();
+      return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+    selectFile(file, startPage);
+  };
+
+  // Keep the selected file in view, including one from a shared link once the list loads
+  useEffect(() => {
+    if (loading || !selectedFileId) return;
+    const element = document.getElementById(`file-${selectedFileId}`);
+    if (element) element.scrollIntoView({ block: 'nearest' });
+  }, [loading, selectedFileId]);
+
+  // What the pending background update would add, remove or change
+  const pendingChanges = useMemo(() => (
+    pendingUpdate ? diffFileLists(files, pendingUpdate.files) : null
+  ), [files, pendingUpdate]);
+
+  // Where the data comes from, e.g. 'rasmusen.org/special/jackson/'
+  const sourceHosts = configuredSources
+    .map(source => source.url.replace(/^https?:\/\/(www\.)?/, ''))
+    .join(', ');
+
+  // Open a folder inside the app instead of the raw server listing; modified clicks open it in a new tab
+  const openFolder = (event, file) => {
+    if (event.metaKey || event.ctrlKey || event.shiftKey || event.button !== 0) return;
+    event.preventDefault();
+    setCurrentFolder(file.path);
+  };
+
+  // Saved searches replace the whole search, so filters they did not use are cleared
+  const applySavedSearch = (savedSearch) => updateUrl({ ...savedSearch.params, page: 1 });
+
+  const openCollection = (collection) => {
+    updateUrl({ collection: getCollectionKey(collection.name), shared: null, page: 1, file: null });
+  };
+  const closeCollection = () => updateUrl({ collection: null, shared: null, page: 1, file: null });
+
+  // Shared links open anywhere, since they carry the collection itself
+  const collectionShareUrl = activeCollection
+    ? getCollectionShareLink(activeCollection, window.location.href)
+    : '';
+
+  // A shared collection is kept with the files it found, so they are remembered by URL and path too
+  const keepSharedCollection = async () => {
+    await saveCollection(createCollection(sharedCollection.name, collectionContents.files));
+    updateUrl({ collection: getCollectionKey(sharedCollection.name), shared: null }, { replace: true });
+  };
+
+  const removeCheckedFromCollection = () => {
+    removeFromCollection(activeCollection, checkedFiles.map(file => file.id));
+    clearChecked();
+  };
 
   // Reset all filters
   const resetFilters = () => {
-    setSearchTerm('');
-    setPersonFilter('all');
-    setTypeFilter('all');
-    setSortBy('name');
-    setSortOrder('asc');
+    updateUrl({
+      search: '',
+      person: 'all',
+      role: 'all',
+      type: 'all',
+      kind: 'all',
+      source: 'all',
+      dated: 'all',
+      tag: 'all',
+      changed: false,
+      sort: 'name',
+      order: 'asc',
+      page: 1
+    });
   };
 
   // Get file type icon
@@ -69,6 +398,67 @@ function App() {
     }
   };
 
+  // Document dates are calendar days, so show them without a time zone shift
+  const formatDocumentDate = (value) => new Date(value).toLocaleDateString(undefined, { timeZone: 'UTC' });
+
+  // Format how long ago data was fetched, e.g. "3 hours ago"
+  const formatAge = (date, reference) => {
+    const minutes = Math.floor((reference.getTime() - date.getTime()) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} ${minutes === 1 ? 'minute' : 'minutes'} ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} ${hours === 1 ? 'hour' : 'hours'} ago`;
+    const days = Math.floor(hours / 24);
+    return `${days} ${days === 1 ? 'day' : 'days'} ago`;
+  };
+
+  // A file's detail page takes the place of the browser
+  if (detailFileId) {
+    return (
+      <div className="jackson-archive-app">
+        <a href="#main-content" className="skip-link">
+          Skip to main content
+        </a>
+
+        <header className="app-header">
+          <h1>
+            <a
+              href="/"
+              className="app-home-link"
+              onClick={(e) => {
+                if (e.metaKey || e.ctrlKey || e.shiftKey || e.button !== 0) return;
+                e.preventDefault();
+                setCurrentFolder('');
+              }}
+            >
+              UNT Legal Files Archive
+            </a>
+          </h1>
+        </header>
+
+        <main id="main-content" className="app-main">
+          <FileDetailPage
+            fileId={detailFileId}
+            file={detailFile}
+            files={files.length > 0 ? files : partialFiles}
+            searching={loading}
+            error={error}
+            sources={configuredSources}
+            sourceStatus={sourceStatus}
+            permalink={detailFile ? getFilePermalink(detailFile, window.location.origin) : ''}
+            pageCount={detailFile ? getPageCount(detailFile.url) : null}
+            citationStyle={citationStyle}
+            annotation={detailFile ? getAnnotation(annotations, detailFile) : null}
+            knownTags={annotationTags}
+            onAnnotationChange={(changes) => updateAnnotation(detailFile, changes)}
+            onOpenFile={openDetails}
+            onOpenFolder={setCurrentFolder}
+          />
+        </main>
+      </div>
+    );
+  }
+
   return (
     <div className="jackson-archive-app">
       {/* Skip link for accessibility */}
@@ -98,10 +488,14 @@ function App() {
                 <input
                   type="text"
                   className="search-input"
-                  placeholder="Search files by name, person, or keywords..."
+                  placeholder={textIndexStatus === 'ready'
+                    ? 'Search files by name, person, keywords, or document text...'
+                    : 'Search files by name, person, or keywords...'}
                   value={searchTerm}
                   onChange={(e) => setSearchTerm(e.target.value)}
                   aria-label="Search files"
+                  aria-invalid={parsedQuery.errors.length > 0}
+                  aria-describedby="search-syntax-help"
                 />
                 {searchTerm && (
                   <button
@@ -114,8 +508,54 @@ function App() {
                   </button>
                 )}
               </div>
+              {/* Query syntax problems; valid parts of the query still apply */}
+              {parsedQuery.errors.length > 0 && (
+                <ul className="query-errors" role="alert">
+                  {parsedQuery.errors.map((queryError, index) => (
+                    <li key={index}>
+                      <code>{searchTerm.substring(queryError.start, queryError.end) || searchTerm}</code>
+                      {' '}{queryError.message}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <details id="search-syntax-help" className="search-syntax-help">
+                <summary>Search syntax</summary>
+                <ul>
+                  <li><code>heidelberger</code> words tolerate small typos; sort by Relevance for best matches first</li>
+                  <li><code>"expert report"</code> exact phrase, <code>-draft</code> exclude a word</li>
+                  <li><code>motion OR brief</code> either term, <code>(motion OR brief) ewell</code> grouping</li>
+                  <li><code>person:ewell</code>, <code>role:faculty</code>, <code>type:video</code>, <code>kind:motion</code>, <code>ext:docx</code>, <code>folder:depositions</code>, <code>source:jackson</code></li>
+                  <li><code>tag:reviewed</code>, <code>tag:"key evidence"</code>, <code>note:deadline</code>; words also match your notes</li>
+                  <li><code>date:2021-01..2021-06</code>, <code>date:&gt;2021-03</code>, <code>docdate:2021</code>, <code>size:&gt;5M</code>, <code>size:100K..2M</code></li>
+                </ul>
+              </details>
+              <div className="search-scope" role="radiogroup" aria-label="Search scope">
+                <label>
+                  <input
+                    type="radio"
+                    name="search-scope"
+                    value="folder"
+                    checked={searchScope === 'folder'}
+                    onChange={() => setSearchScope('folder')}
+                  />
+                  Search this folder only
+                </label>
+                <label>
+                  <input
+                    type="radio"
+                    name="search-scope"
+                    value="all"
+                    checked={searchScope === 'all'}
+                    onChange={() => setSearchScope('all')}
+                  />
+                  Search everything
+                </label>
+              </div>
               <div className="search-stats">
                 Showing {displayFiles.length} of {files.length} files
+                {textIndexStatus === 'ready' && ` • Searching the text of ${indexedDocumentCount} documents`}
+                {searchTerm && textMatches.size > 0 && ` • ${textMatches.size} with matching text`}
               </div>
             </div>
 
@@ -133,20 +573,40 @@ function App() {
                     value={personFilter}
                     onChange={(e) => setPersonFilter(e.target.value)}
                   >
-                    <option value="all">All People ({persons.length + (files.some(f => f.person === 'Unknown') ? 1 : 0)} total)</option>
+                    <option value="all">All People ({persons.length + (files.some(f => f.persons.length === 0) ? 1 : 0)} total)</option>
                     {persons.map(person => (
                       <option key={person} value={person}>
-                        {person} ({files.filter(f => f.person === person).length})
+                        {person} ({files.filter(f => f.persons.includes(person)).length})
                       </option>
                     ))}
-                    {files.some(f => f.person === 'Unknown') && (
+                    {files.some(f => f.persons.length === 0) && (
                       <option value="Unknown">
-                        Unknown ({files.filter(f => f.person === 'Unknown').length})
+                        Unknown ({files.filter(f => f.persons.length === 0).length})
                       </option>
                     )}
                   </select>
                 </div>
 
+                {/* Role filter */}
+                <div className="filter-group">
+                  <label htmlFor="role-filter" className="filter-label">
+                    Filter by Role:
+                  </label>
+                  <select
+                    id="role-filter"
+                    className="filter-select"
+                    value={roleFilter}
+                    onChange={(e) => setRoleFilter(e.target.value)}
+                  >
+                    <option value="all">All Roles ({roles.length} total)</option>
+                    {roles.map(role => (
+                      <option key={role.id} value={role.id}>
+                        {role.label} ({files.filter(f => f.roles.includes(role.id)).length})
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
                 {/* Type filter */}
                 <div className="filter-group">
                   <label htmlFor="type-filter" className="filter-label">
@@ -167,6 +627,92 @@ function App() {
                   </select>
                 </div>
 
+                {/* Document kind filter */}
+                <div className="filter-group">
+                  <label htmlFor="kind-filter" className="filter-label">
+                    Filter by Kind:
+                  </label>
+                  <select
+                    id="kind-filter"
+                    className="filter-select"
+                    value={kindFilter}
+                    onChange={(e) => setKindFilter(e.target.value)}
+                  >
+                    <option value="all">All Kinds ({kinds.length} total)</option>
+                    {kinds.map(kind => (
+                      <option key={kind.id} value={kind.id}>
+                        {kind.label} ({files.filter(f => f.kind === kind.id).length})
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                {/* Source filter - only useful with more than one source */}
+                {configuredSources.length > 1 && (
+                  <div className="filter-group">
+                    <label htmlFor="source-filter" className="filter-label">
+                      Filter by Source:
+                    </label>
+                    <select
+                      id="source-filter"
+                      className="filter-select"
+                      value={sourceFilter}
+                      onChange={(e) => setSourceFilter(e.target.value)}
+                    >
+                      <option value="all">All Sources ({sources.length} total)</option>
+                      {sources.map(source => (
+                        <option key={source.id} value={source.id}>
+                          {source.label} ({files.filter(f => f.source === source.id).length})
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
+                {/* Document date filter */}
+                <div className="filter-group">
+                  <label htmlFor="dated-filter" className="filter-label">
+                    Document date:
+                  </label>
+                  <select
+                    id="dated-filter"
+                    className="filter-select"
+                    value={datedFilter}
+                    onChange={(e) => setDatedFilter(e.target.value)}
+                  >
+                    <option value="all">All files</option>
+                    <option value="high">Dated (high confidence)</option>
+                    <option value="medium">Dated (medium or better)</option>
+                    <option value="low">Dated (any confidence)</option>
+                    <option value="unknown">No document date</option>
+                  </select>
+                </div>
+
+                {/* Reviewers' tags, shown once something is tagged */}
+                {(annotationTags.length > 0 || tagFilter !== 'all') && (
+                  <div className="filter-group">
+                    <label htmlFor="tag-filter" className="filter-label">
+                      Filter by Tag:
+                    </label>
+                    <select
+                      id="tag-filter"
+                      className="filter-select"
+                      value={tagFilter}
+                      onChange={(e) => setTagFilter(e.target.value)}
+                    >
+                      <option value="all">All Tags ({annotationTags.length} total)</option>
+                      {!annotationTags.includes(tagFilter) && tagFilter !== 'all' && (
+                        <option value={tagFilter}>{tagFilter} (0)</option>
+                      )}
+                      {annotationTags.map(tag => (
+                        <option key={tag} value={tag}>
+                          {tag === REVIEWED_TAG ? 'Reviewed' : tag} ({files.filter(f => getAnnotation(annotations, f).tags.includes(tag)).length})
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
                 {/* Sort options */}
                 <div className="filter-group">
                   <label htmlFor="sort-by" className="filter-label">
@@ -176,12 +722,24 @@ function App() {
                     id="sort-by"
                     className="filter-select"
                     value={sortBy}
-                    onChange={(e) => setSortBy(e.target.value)}
+                    disabled={view === 'timeline'}
+                    title={view === 'timeline' ? 'The timeline is always in date order' : undefined}
+                    onChange={(e) => updateUrl({
+                      sort: e.target.value,
+                      // Best matches first is the only useful relevance order
+                      order: e.target.value === 'relevance' ? 'desc' : sortOrder,
+                      page: 1
+                    })}
                   >
+                    <option value="relevance">Relevance</option>
                     <option value="name">Name</option>
                     <option value="person">Person</option>
                     <option value="type">Type</option>
-                    <option value="date">Date</option>
+                    <option value="kind">Kind</option>
+                    {configuredSources.length > 1 && <option value="source">Source</option>}
+                    <option value="date">Date modified</option>
+                    <option value="documentDate">Document date</option>
+                    <option value="exhibit">Exhibit number</option>
                     <option value="size">Size</option>
                   </select>
                 </div>
@@ -201,6 +759,21 @@ function App() {
                   </select>
                 </div>
 
+                {/* New since last visit */}
+                {visitChanges && (
+                  <div className="filter-group">
+                    <span className="filter-label">Changes:</span>
+                    <label className="filter-checkbox">
+                      <input
+                        type="checkbox"
+                        checked={onlyChanged}
+                        onChange={(e) => setOnlyChanged(e.target.checked)}
+                      />
+                      New or changed since my last visit ({visitChanges.statusByUrl.size})
+                    </label>
+                  </div>
+                )}
+
                 {/* Reset button */}
                 <button
                   className="reset-filters-btn"
@@ -212,117 +785,453 @@ function App() {
               </div>
 
               {/* Active filters summary */}
-              {(searchTerm || personFilter !== 'all' || typeFilter !== 'all') && (
+              {hasActiveQuery && (
                 <div className="filter-summary">
                   Active filters: 
                   {searchTerm && ` Search: "${searchTerm}"`}
                   {personFilter !== 'all' && ` • Person: ${personFilter}`}
+                  {roleFilter !== 'all' && ` • Role: ${getRoleLabel(roleFilter)}`}
                   {typeFilter !== 'all' && ` • Type: ${typeFilter}`}
+                  {kindFilter !== 'all' && ` • Kind: ${getKindLabel(kindFilter)}`}
+                  {tagFilter !== 'all' && ` • Tag: ${tagFilter}`}
+                  {datedFilter !== 'all' && ` • Document date: ${datedFilter === 'unknown' ? 'none' : `${datedFilter} confidence or better`}`}
+                  {sourceFilter !== 'all' && ` • Source: ${sourceStatus[sourceFilter]?.label || sourceFilter}`}
+                  {onlyChanged && ' • New or changed since last visit'}
+                  {searchScope === 'all' ? ' • Scope: everything' : ` • Scope: ${currentFolder || 'Home'}`}
                 </div>
               )}
+
+              <SavedSearchesMenu
+                savedSearches={savedSearches}
+                urlParams={urlParams}
+                error={savedSearchError}
+                onApply={applySavedSearch}
+                onSave={(name) => saveSearch(name, urlParams)}
+                onDelete={deleteSearch}
+              />
             </div>
           </section>
         )}
 
-        {/* File list section */}
-        <section className="file-list">
-          {/* Loading state */}
-          {loading && (
-            <div className="file-list-loading">
-              <div className="loading-spinner" aria-hidden="true"></div>
-              <p>Connecting to file server...</p>
-              <p style={{ fontSize: '14px', color: '#888', marginTop: '10px' }}>
-                This may take a few moments while we fetch the directory listing
-              </p>
-            </div>
+        <div className={`browser-layout${selectedFile && !loading ? ' has-preview' : ''}`}>
+          {/* Folder sidebar */}
+          {!loading && files.length > 0 && (
+            <aside className="folder-sidebar">
+              <FolderTree
+                tree={folderTree}
+                currentFolder={currentFolder}
+                onSelectFolder={setCurrentFolder}
+              />
+            </aside>
           )}
 
-          {/* Error state */}
-          {error && !loading && (
-            <div className="file-list-error">
-              <h3>Unable to Load Files</h3>
-              <p>{error}</p>
-              <button className="retry-btn" onClick={refreshData}>
-                Try Again
-              </button>
-              <p style={{ fontSize: '14px', color: '#666', marginTop: '15px' }}>
-                If this problem persists, the file server may be temporarily unavailable.
-              </p>
-            </div>
-          )}
+          {/* File list section */}
+          <section className="file-list">
+            {!loading && files.length > 0 && (
+              <div className="file-list-header">
+                {activeCollection ? (
+                  <CollectionHeader
+                    collection={activeCollection}
+                    shared={sharedCollection !== null}
+                    missingCount={collectionContents.missing}
+                    shareUrl={collectionShareUrl}
+                    onClose={closeCollection}
+                    onSave={keepSharedCollection}
+                    onDelete={() => {
+                      deleteCollection(activeCollection);
+                      closeCollection();
+                    }}
+                  />
+                ) : (
+                  <Breadcrumbs currentFolder={currentFolder} onSelectFolder={setCurrentFolder} />
+                )}
+                <div className="view-switch" role="group" aria-label="Layout">
+                  <button
+                    className={`pagination-btn${view === 'list' ? ' active' : ''}`}
+                    aria-pressed={view === 'list'}
+                    onClick={() => setView('list')}
+                  >
+                    List
+                  </button>
+                  <button
+                    className={`pagination-btn${view === 'timeline' ? ' active' : ''}`}
+                    aria-pressed={view === 'timeline'}
+                    onClick={() => setView('timeline')}
+                    title="Documents in date order, including subfolders"
+                  >
+                    Timeline
+                  </button>
+                </div>
+              </div>
+            )}
 
-          {/* Success state with file count */}
-          {!loading && !error && files.length > 0 && (
-            <div className="file-count">
-              <strong>{displayFiles.length}</strong> {displayFiles.length === 1 ? 'file' : 'files'} found
-              {displayFiles.length !== files.length && (
-                <span> (filtered from {files.length} total)</span>
-              )}
-              {lastFetch && (
-                <span> • Last updated: {lastFetch.toLocaleString()}</span>
-              )}
-            </div>
-          )}
+            {/* Loading state */}
+            {loading && (
+              <div className="file-list-loading">
+                <div className="loading-spinner" aria-hidden="true"></div>
+                <p>Connecting to file server...</p>
+                <p style={{ fontSize: '14px', color: '#888', marginTop: '10px' }}>
+                  This may take a few moments while we fetch the directory listing
+                </p>
+                <SourceStatusList sources={configuredSources} sourceStatus={sourceStatus} />
+              </div>
+            )}
 
-          {/* Empty search results */}
-          {!loading && !error && displayFiles.length === 0 && files.length > 0 && (
-            <div className="file-list-empty">
-              <p>No files match your current search and filter criteria.</p>
-              <button className="retry-btn" onClick={resetFilters}>
-                Clear All Filters
-              </button>
-            </div>
-          )}
+            {/* Error state */}
+            {error && !loading && (
+              <div className="file-list-error">
+                <h3>Unable to Load Files</h3>
+                <p>{error}</p>
+                {configuredSources.length > 1 && (
+                  <SourceStatusList sources={configuredSources} sourceStatus={sourceStatus} />
+                )}
+                <button className="retry-btn" onClick={refreshData}>
+                  Try Again
+                </button>
+                <p style={{ fontSize: '14px', color: '#666', marginTop: '15px' }}>
+                  If this problem persists, the file server may be temporarily unavailable.
+                </p>
+              </div>
+            )}
 
-          {/* No files found at all */}
-          {!loading && !error && files.length === 0 && (
-            <div className="file-list-empty">
-              <p>No files were found in the directory.</p>
-              <button className="reload-btn" onClick={refreshData}>
-                Reload Directory
-              </button>
-            </div>
-          )}
+            {/* Data freshness - cached or snapshot lists and newer lists arriving */}
+            {!loading && !error && (pendingUpdate || (lastFetch && dataSource !== 'live')) && (
+              <div className={`data-freshness${pendingUpdate ? ' update-available' : ''}`} role="status">
+                {pendingUpdate ? (
+                  <>
+                    A newer file list has arrived ({pendingChanges.added.length} added, {pendingChanges.removed.length} removed, {pendingChanges.changed.length} changed, fetched {formatAge(pendingUpdate.fetchedAt, now)}).
+                    <button className="retry-btn" onClick={applyPendingUpdate}>
+                      Show newer list
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    Showing a {dataSource === 'cache' ? 'saved' : 'snapshot'} list from {formatAge(lastFetch, now)}
+                    {checkingForUpdates ? ' • Checking the server for updates...' : ''}
+                  </>
+                )}
+              </div>
+            )}
 
-          {/* File items */}
-          {!loading && displayFiles.length > 0 && (
-            <div className="file-items">
-              {displayFiles.map(file => (
-                <div key={file.id} className="file-item">
-                  <div className="file-main">
-                    <div className="file-icon" aria-hidden="true">
-                      {getFileIcon(file.type)}
-                    </div>
-                    
-                    <div className="file-details">
-                      <div className="file-title">
-                        <a
-                          href={file.url}
-                          className="file-link"
-                          target="_blank"
-                          rel="noopener noreferrer"
-                          title={`Open ${file.displayName} in new tab - ${file.filename}`}
-                        >
-                          {file.displayName}
-                        </a>
+            {/* Success state with file count */}
+            {!loading && !error && files.length > 0 && (
+              <div className="file-count">
+                <strong>{displayFiles.length}</strong> {displayFiles.length === 1 ? 'file' : 'files'} found
+                {view === 'list' && pageCount > 1 && (
+                  <span> • showing {(currentPage - 1) * PAGE_SIZE + 1}-{(currentPage - 1) * PAGE_SIZE + pageFiles.length}</span>
+                )}
+                {displayFiles.length !== files.length && (
+                  <span> (filtered from {files.length} total)</span>
+                )}
+                {lastFetch && (
+                  <span title={lastFetch.toLocaleString()}> • Last updated: {formatAge(lastFetch, now)}</span>
+                )}
+                {configuredSources.some(source => sourceStatus[source.id].state === 'error') && (
+                  <span className="crawl-warning">
+                    {' '}• {configuredSources.filter(source => sourceStatus[source.id].state === 'error').map(source => source.label).join(', ')} could not be loaded
+                  </span>
+                )}
+                {crawlErrors.length > 0 && (
+                  <span className="crawl-warning" title={crawlErrors.map(e => e.url).join('\n')}>
+                    {' '}• {crawlErrors.length} {crawlErrors.length === 1 ? 'folder' : 'folders'} could not be loaded
+                  </span>
+                )}
+              </div>
+            )}
+
+            {/* Export what is listed, in the order it is shown */}
+            {!loading && !error && shownFiles.length > 0 && (
+              <ExportMenu
+                files={shownFiles}
+                criteria={exportCriteria}
+                annotations={annotations}
+                citationStyle={citationStyle}
+                onCitationStyleChange={setCitationStyle}
+                filenameBase={exportName}
+              />
+            )}
+
+            {/* Share tags and notes with other reviewers */}
+            {!loading && !error && files.length > 0 && (
+              <AnnotationsMenu
+                count={annotations.size}
+                error={annotationError}
+                onExport={exportAnnotations}
+                onImport={(data) => importAnnotations(data, files)}
+                filename={`${exportName}-annotations.json`}
+              />
+            )}
+
+            {/* Hand-picked lists of files */}
+            {!loading && !error && files.length > 0 && (
+              <CollectionsMenu
+                collections={collections}
+                activeKey={sharedCollection ? null : collectionKey}
+                error={collectionError}
+                onOpen={openCollection}
+                onExport={exportCollections}
+                onImport={importCollections}
+                filename={`${exportName}-collections.json`}
+              />
+            )}
+
+            {/* Select every file the current search and filters list, across all pages */}
+            {!loading && !error && checkableFiles.length > 0 && (
+              <label className="bulk-select">
+                <input
+                  type="checkbox"
+                  checked={allChecked}
+                  ref={element => { if (element) element.indeterminate = someChecked; }}
+                  onChange={() => (allChecked ? uncheckFiles(checkableFiles) : checkFiles(checkableFiles))}
+                />
+                Select all {checkableFiles.length} filtered {checkableFiles.length === 1 ? 'file' : 'files'}
+              </label>
+            )}
+
+            {/* Removed files can't carry a badge, so list them with the history */}
+            {!loading && !error && visitChanges && visitChanges.removed.length > 0 && (
+              <div className="file-count" title={visitChanges.removed.map(file => file.path || file.filename).join('\n')}>
+                {visitChanges.removed.length} {visitChanges.removed.length === 1 ? 'file was' : 'files were'} removed since your last visit
+              </div>
+            )}
+
+            {!loading && <ChangeLogPanel entries={changeLog} />}
+
+            {/* Empty search results */}
+            {!loading && !error && displayFiles.length === 0 && files.length > 0 && (
+              hasActiveQuery ? (
+                <div className="file-list-empty">
+                  <p>No files match your current search and filter criteria.</p>
+                  <button className="retry-btn" onClick={resetFilters}>
+                    Clear All Filters
+                  </button>
+                </div>
+              ) : (
+                <div className="file-list-empty">
+                  {activeCollection ? (
+                    <p>
+                      {activeCollection.files.length === 0
+                        ? 'This collection is empty; check files and add them to it.'
+                        : 'None of the files in this collection are in the archive any more.'}
+                    </p>
+                  ) : (
+                    <p>This folder is empty.</p>
+                  )}
+                </div>
+              )
+            )}
+
+            {/* No files found at all */}
+            {!loading && !error && files.length === 0 && (
+              <div className="file-list-empty">
+                <p>No files were found in the directory.</p>
+                <button className="reload-btn" onClick={refreshData}>
+                  Reload Directory
+                </button>
+              </div>
+            )}
+
+            {/* Timeline */}
+            {!loading && view === 'timeline' && displayFiles.length > 0 && (
+              timelineGroups.length > 0 ? (
+                <Timeline
+                  groups={timelineGroups}
+                  zoom={timelineZoom}
+                  selectedFileId={selectedFileId}
+                  citationStyle={citationStyle}
+                  onZoomChange={setTimelineZoom}
+                  onOpenFile={openPreview}
+                />
+              ) : (
+                <div className="file-list-empty">
+                  <p>Only folders match; open one to see its files on the timeline.</p>
+                </div>
+              )
+            )}
+
+            {/* File items */}
+            {!loading && view === 'list' && displayFiles.length > 0 && (
+              <div className="file-items">
+                {pageFiles.map(file => (
+                  <div
+                    key={file.id}
+                    id={`file-${file.id}`}
+                    className={`file-item${file.id === selectedFileId ? ' selected' : ''}`}
+                    aria-current={file.id === selectedFileId ? 'true' : undefined}
+                    onClick={() => file.type !== 'folder' && selectFile(file)}
+                  >
+                    <div className="file-main">
+                      {file.type === 'folder' ? (
+                        <span className="file-checkbox" aria-hidden="true"></span>
+                      ) : (
+                        <input
+                          type="checkbox"
+                          className="file-checkbox"
+                          checked={checkedIds.has(file.id)}
+                          onChange={() => toggleChecked(file.id)}
+                          onClick={(e) => e.stopPropagation()}
+                          aria-label={`Select ${file.displayName}`}
+                        />
+                      )}
+                      <div className="file-icon" aria-hidden="true">
+                        {getFileIcon(file.type)}
                       </div>
+                    
+                      <div className="file-details">
+                        <div className="file-title">
+                          {visitChanges && visitChanges.statusByUrl.has(file.url) && (
+                            <span className={`change-badge change-${visitChanges.statusByUrl.get(file.url)}`}>
+                              {visitChanges.statusByUrl.get(file.url) === 'new' ? 'New' : 'Changed'}
+                            </span>
+                          )}
+                          {file.type === 'folder' ? (
+                            <a
+                              href={formatRoute({ folder: file.path })}
+                              className="file-link"
+                              onClick={(e) => openFolder(e, file)}
+                              title={`Browse folder ${file.path}`}
+                            >
+                              <HighlightedText text={file.displayName} terms={parsedQuery.textTerms} />
+                            </a>
+                          ) : (
+                            <a
+                              href={file.url}
+                              className="file-link"
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              onClick={(e) => openPreview(e, file)}
+                              title={`Preview ${file.displayName} - ${file.filename} (Ctrl+click opens a new tab)`}
+                            >
+                              <HighlightedText text={file.displayName} terms={parsedQuery.textTerms} />
+                            </a>
+                          )}
+                          {file.type !== 'folder' && (
+                            <>
+                              <CopyCitationButton file={file} citationStyle={citationStyle} />
+                              <a
+                                href={formatRoute({ detail: file.id })}
+                                className="file-details-link"
+                                onClick={(e) => openDetails(e, file)}
+                                title="Metadata, related files and a permalink"
+                              >
+                                Details
+                              </a>
+                            </>
+                          )}
+                        </div>
                       
-                      <div className="file-meta">
-                        <span className="file-person">{file.person}</span>
-                        <span className="file-separator">•</span>
-                        <span>{file.type.charAt(0).toUpperCase() + file.type.slice(1)}</span>
-                        <span className="file-separator">•</span>
-                        <span>{formatFileSize(file.size)}</span>
-                        <span className="file-separator">•</span>
-                        <span>{formatDate(file.date)}</span>
+                        <div className="file-meta">
+                          {file.parentPath && (
+                            <>
+                              <span className="file-folder">{file.parentPath}</span>
+                              <span className="file-separator">•</span>
+                            </>
+                          )}
+                          <span className="file-person">
+                            <HighlightedText text={getFilePersons(file).join(', ')} terms={parsedQuery.textTerms} />
+                          </span>
+                          <span className="file-separator">•</span>
+                          <span>{file.type.charAt(0).toUpperCase() + file.type.slice(1)}</span>
+                          <span className="file-separator">•</span>
+                          {file.kind && file.kind !== 'other' && (
+                            <>
+                              <span className="file-kind">{getKindLabel(file.kind)}</span>
+                              <span className="file-separator">•</span>
+                            </>
+                          )}
+                          <span>{formatFileSize(file.size)}</span>
+                          <span className="file-separator">•</span>
+                          <span title="Last modified on the server">{formatDate(file.date)}</span>
+                          {file.documentDate && (
+                            <>
+                              <span className="file-separator">•</span>
+                              <span
+                                className={`file-document-date confidence-${file.documentDate.confidence}`}
+                                title={`Document date from the ${DATE_SOURCE_LABELS[file.documentDate.source]} (${file.documentDate.confidence} confidence)`}
+                              >
+                                Dated {formatDocumentDate(file.documentDate.value)}
+                              </span>
+                            </>
+                          )}
+                          {getAnnotation(annotations, file).tags.map(tag => (
+                            <span key={tag} className={`file-tag${tag === REVIEWED_TAG ? ' file-tag-reviewed' : ''}`}>
+                              {tag === REVIEWED_TAG ? '✓ Reviewed' : tag}
+                            </span>
+                          ))}
+                        </div>
+
+                        {/* Reviewer's note */}
+                        {getAnnotation(annotations, file).note.trim() && (
+                          <p className="file-note">
+                            <HighlightedText text={getAnnotation(annotations, file).note} terms={parsedQuery.textTerms} />
+                          </p>
+                        )}
+
+                        {/* Where the search term appears inside the document */}
+                        {searchTerm && textMatches.has(file.url) && (
+                          <ul className="text-snippets">
+                            {textMatches.get(file.url).map((snippet, index) => (
+                              <li key={index}>
+                                <a
+                                  href={`${file.url}#page=${snippet.page}`}
+                                  target="_blank"
+                                  rel="noopener noreferrer"
+                                  className="snippet-page"
+                                  onClick={(e) => openPreview(e, file, snippet.page)}
+                                >
+                                  {/\.txt$/i.test(file.filename) ? 'Text' : `Page ${snippet.page}`}
+                                </a>
+                                <span className="snippet-text">
+                                  {snippet.before}<mark>{snippet.match}</mark>{snippet.after}
+                                </span>
+                              </li>
+                            ))}
+                          </ul>
+                        )}
                       </div>
                     </div>
                   </div>
-                </div>
-              ))}
-            </div>
+                ))}
+              </div>
+            )}
+
+            {!loading && view === 'list' && pageCount > 1 && (
+              <Pagination page={currentPage} pageCount={pageCount} onSelectPage={setPage} />
+            )}
+          </section>
+
+          {/* Preview of the selected file */}
+          {selectedFile && !loading && (
+            <PreviewPane
+              file={selectedFile}
+              initialPage={previewStartPage}
+              pageCount={getPageCount(selectedFile.url)}
+              position={selectedIndex}
+              total={shownFiles.length}
+              onPrevious={selectedIndex > 0 ? () => stepPreview(-1) : null}
+              onNext={selectedIndex >= 0 && selectedIndex < shownFiles.length - 1 ? () => stepPreview(1) : null}
+              onClose={() => updateUrl({ file: null })}
+              annotation={getAnnotation(annotations, selectedFile)}
+              knownTags={annotationTags}
+              onAnnotationChange={(changes) => updateAnnotation(selectedFile, changes)}
+              onShowDetails={(e) => openDetails(e, selectedFile)}
+            />
           )}
-        </section>
+        </div>
+
+        {/* Checked files and the ZIP download */}
+        {(checkedFiles.length > 0 || zipDownload.status !== 'idle') && (
+          <SelectionTray
+            files={checkedFiles}
+            download={zipDownload}
+            onDownload={downloadChecked}
+            onClear={clearChecked}
+            collections={collections}
+            onAddToCollection={(name) => addToCollection(name, checkedFiles)}
+            activeCollection={sharedCollection ? null : activeCollection}
+            onRemoveFromCollection={removeCheckedFromCollection}
+          />
+        )}
       </main>
 
       {/* Footer */}
@@ -345,7 +1254,10 @@ function App() {
         </p>
         {lastFetch && !loading && (
           <p style={{ fontSize: '12px', color: '#888', marginTop: '5px' }}>
-            Data fetched from: rasmusen.org/special/jackson/
+            {dataSource === 'snapshot' && `Data from snapshot of ${sourceHosts} taken ${lastFetch.toLocaleString()}`}
+            {dataSource === 'cache' && `Data saved from ${sourceHosts} on ${lastFetch.toLocaleString()}`}
+            {dataSource === 'live' && `Data fetched from: ${sourceHosts}`}
+            {checkingForUpdates && ' • Checking for updates...'}
           </p>
         )}
       </footer>
@@ -0,0 +1,32 @@
+// src/config/sources.js
+// Archive directories the app crawls and merges into one catalog
+//
+// Each source has:
+//   id       - Stable identifier stored on every file as `source`
+//   label    - Name shown in the source filter, folder tree and status list
+//   url      - Directory listing URL to crawl
+//   parser   - Listing parser name from listingParsers.js, or 'auto' to detect it
+//   proxy    - 'default' to use the listing proxy (or the public CORS proxies),
+//              'none' when the server sends CORS headers itself,
+//              or an array of proxy URL prefixes to try in order
+//   maxDepth - Folder levels followed below url
+
+export const ARCHIVE_SOURCES = [
+  {
+    id: 'jackson',
+    label: 'Jackson case files',
+    url: 'https://www.rasmusen.org/special/jackson/',
+    parser: 'auto',
+    proxy: 'default',
+    maxDepth: 5
+  }
+];
+
+/**
+ * Lists the origins of all configured sources, e.g. for the listing proxy allowlist
+ * @param {Array} sources - Source configurations
+ * @returns {Array} Unique origins such as 'https://www.rasmusen.org'
+ */
+export function getSourceOrigins(sources = ARCHIVE_SOURCES) {
+  return [...new Set(sources.map(source => new URL(source.url).origin))];
+}
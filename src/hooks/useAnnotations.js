@@ -0,0 +1,85 @@
+// src/hooks/useAnnotations.js
+// Hook for reviewers' tags and notes, persisted in IndexedDB
+
+import { useEffect, useMemo } from 'react';
+import { useStoredRecords } from './useStoredRecords.js';
+import {
+  readAnnotations,
+  writeAnnotations,
+  createAnnotation,
+  getAnnotation,
+  getAnnotationTags,
+  isEmptyAnnotation,
+  mergeAnnotations,
+  migrateAnnotationKeys,
+  formatAnnotationsExport,
+  readAnnotationsExport
+} from '../utils/annotations.js';
+
+/**
+ * Custom hook that loads, edits, imports and exports file annotations
+ * @param {Array} files - Loaded files; annotations stored under outdated keys are moved to them
+ * @returns {Object} { annotations, tags, error, updateAnnotation, importAnnotations, exportAnnotations }
+ */
+export function useAnnotations(files) {
+  // Annotation by file id; cleared annotations and those left behind by a move drop out
+  const { records: annotations, recordsRef: annotationsRef, loaded, error, applyRecords: applyAnnotations } = useStoredRecords(
+    readAnnotations,
+    writeAnnotations,
+    'Annotations could not be saved in this browser; export them to keep a copy.',
+    annotation => annotation !== null && !isEmptyAnnotation(annotation) && !annotation.movedTo
+  );
+
+  // Annotations made under old-style ids, or of files that have since moved, follow their files
+  useEffect(() => {
+    if (!loaded || files.length === 0) return;
+
+    const entries = migrateAnnotationKeys(annotationsRef.current, files);
+    if (entries.length > 0) {
+      console.log(`Moving ${entries.filter(([, annotation]) => annotation.movedTo).length} annotations to new file ids`);
+      applyAnnotations(entries);
+    }
+  }, [loaded, files]);
+
+  // Tags in use, for the tag filter and suggestions
+  const tags = useMemo(() => getAnnotationTags(annotations), [annotations]);
+
+  /**
+   * Changes a file's tags or note
+   * @param {Object} file - File object
+   * @param {Object} changes - { tags } and/or { note }
+   */
+  const updateAnnotation = (file, changes) => {
+    const current = getAnnotation(annotationsRef.current, file);
+    return applyAnnotations([[file.id, createAnnotation(file, { ...current, ...changes })]]);
+  };
+
+  /**
+   * Merges an export from another reviewer into the stored annotations
+   * @param {Object} data - Parsed annotations export
+   * @param {Array} files - Current file objects
+   * @returns {Promise<Object>} { imported, unmatched } counts
+   * @throws {Error} If the data is not an annotations export
+   */
+  const importAnnotations = async (data, files) => {
+    const { annotations: incoming, unmatched } = readAnnotationsExport(data, files);
+    const entries = [...incoming].map(([fileId, annotation]) => (
+      [fileId, mergeAnnotations(getAnnotation(annotationsRef.current, { id: fileId }), annotation)]
+    ));
+
+    await applyAnnotations(entries);
+    return { imported: entries.length, unmatched };
+  };
+
+  // Every annotation, shaped for sharing as JSON
+  const exportAnnotations = () => formatAnnotationsExport(annotationsRef.current);
+
+  return {
+    annotations,
+    tags,
+    error,
+    updateAnnotation,
+    importAnnotations,
+    exportAnnotations
+  };
+}
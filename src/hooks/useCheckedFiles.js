@@ -0,0 +1,52 @@
+// src/hooks/useCheckedFiles.js
+// Hook for the checkboxes that pick files for bulk actions
+
+import { useState, useMemo } from 'react';
+
+/**
+ * Custom hook that tracks which files are checked
+ * Checks are kept by file id, so they survive filtering, paging and list refreshes;
+ * files that disappear from the list simply drop out of checkedFiles.
+ * @param {Array} files - All loaded files
+ * @returns {Object} { checkedIds, checkedFiles, toggleChecked, checkFiles, uncheckFiles, clearChecked }
+ */
+export function useCheckedFiles(files) {
+  const [checkedIds, setCheckedIds] = useState(() => new Set());
+
+  const checkedFiles = useMemo(
+    () => files.filter(file => checkedIds.has(file.id)),
+    [files, checkedIds]
+  );
+
+  const toggleChecked = (fileId) => {
+    setCheckedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(fileId)) {
+        next.delete(fileId);
+      } else {
+        next.add(fileId);
+      }
+      return next;
+    });
+  };
+
+  const checkFiles = (filesToCheck) => {
+    setCheckedIds(prev => new Set([...prev, ...filesToCheck.map(file => file.id)]));
+  };
+
+  const uncheckFiles = (filesToUncheck) => {
+    const ids = new Set(filesToUncheck.map(file => file.id));
+    setCheckedIds(prev => new Set([...prev].filter(id => !ids.has(id))));
+  };
+
+  const clearChecked = () => setCheckedIds(new Set());
+
+  return {
+    checkedIds,
+    checkedFiles,
+    toggleChecked,
+    checkFiles,
+    uncheckFiles,
+    clearChecked
+  };
+}
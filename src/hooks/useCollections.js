@@ -0,0 +1,97 @@
+// src/hooks/useCollections.js
+// Hook for named collections of files, persisted in IndexedDB
+
+import { useMemo } from 'react';
+import { useStoredRecords } from './useStoredRecords.js';
+import {
+  readCollections,
+  writeCollections,
+  getCollectionKey,
+  createCollection,
+  addFilesToCollection,
+  removeFilesFromCollection,
+  mergeCollections,
+  formatCollectionsExport,
+  readCollectionsExport
+} from '../utils/collections.js';
+
+/**
+ * Custom hook that lists, edits, imports and exports collections
+ * @returns {Object} { collections, collectionsByKey, error, addToCollection, removeFromCollection,
+ *   saveCollection, deleteCollection, importCollections, exportCollections }
+ */
+export function useCollections() {
+  const { records, recordsRef, error, applyRecords } = useStoredRecords(readCollections, writeCollections, 'Collections could not be saved in this browser.');
+
+  // Alphabetical, for the collection buttons
+  const collections = useMemo(() => (
+    [...records.values()].sort((a, b) => a.name.localeCompare(b.name))
+  ), [records]);
+
+  /**
+   * Adds files to a collection, starting it if there is none by that name
+   * @param {string} name - Collection name
+   * @param {Array} files - File objects
+   */
+  const addToCollection = (name, files) => {
+    const key = getCollectionKey(name);
+    const current = recordsRef.current.get(key);
+    return applyRecords([[key, current ? addFilesToCollection(current, files) : createCollection(name, files)]]);
+  };
+
+  /**
+   * Takes files out of a collection
+   * @param {Object} collection - Collection
+   * @param {Array} fileIds - Ids of the files to remove
+   */
+  const removeFromCollection = (collection, fileIds) => {
+    return applyRecords([[getCollectionKey(collection.name), removeFilesFromCollection(collection, fileIds)]]);
+  };
+
+  /**
+   * Keeps a collection, e.g. one opened from a shared link, merging it into one of the same name
+   * @param {Object} collection - Collection
+   */
+  const saveCollection = (collection) => {
+    const key = getCollectionKey(collection.name);
+    const current = recordsRef.current.get(key);
+    return applyRecords([[key, current ? mergeCollections(current, collection) : { ...collection, updatedAt: new Date().toISOString() }]]);
+  };
+
+  // Forgets a collection; its files stay in the archive
+  const deleteCollection = (collection) => applyRecords([[getCollectionKey(collection.name), null]]);
+
+  /**
+   * Merges the collections in an export into the stored ones
+   * @param {Object} data - Parsed collections export
+   * @returns {Promise<number>} Number of collections imported
+   * @throws {Error} If the data is not a collections export
+   */
+  const importCollections = async (data) => {
+    const incoming = readCollectionsExport(data);
+    const merged = new Map();
+    incoming.forEach(collection => {
+      const key = getCollectionKey(collection.name);
+      const current = merged.get(key) || recordsRef.current.get(key);
+      merged.set(key, current ? mergeCollections(current, collection) : collection);
+    });
+
+    await applyRecords([...merged]);
+    return incoming.length;
+  };
+
+  // Every collection, shaped for sharing as JSON
+  const exportCollections = () => formatCollectionsExport([...recordsRef.current.values()]);
+
+  return {
+    collections,
+    collectionsByKey: records,
+    error,
+    addToCollection,
+    removeFromCollection,
+    saveCollection,
+    deleteCollection,
+    importCollections,
+    exportCollections
+  };
+}
@@ -1,6 +1,18 @@
 // src/hooks/useDirectoryData.js
-import { useState, useEffect } from 'react';
-import { parseDirectoryListing } from '../utils/directoryParser.js';
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { crawlSource, getSourcePathPrefix } from '../utils/directoryCrawler.js';
+import { readSnapshot, hasListingChanged } from '../utils/snapshot.js';
+import { carryOverDocumentDates } from '../utils/documentDates.js';
+import { readCachedCatalog, writeCachedCatalog } from '../utils/catalogCache.js';
+import { diffFileLists, hasChanges, getChangeStatusByUrl, readChangeLog, appendChangeLogEntry } from '../utils/changeLog.js';
+import { getAssetPath } from '../utils/routes.js';
+import {
+  filterFiles as filterFileList,
+  sortFiles as sortFileList,
+  getRelevanceScores as getFileRelevanceScores,
+  getFilterOptions as getFileFilterOptions
+} from '../utils/queryEngine.js';
+import { ARCHIVE_SOURCES } from '../config/sources.js';
 
 /**
  * Custom hook for fetching and managing directory listing data
@@ -8,30 +20,49 @@ import { parseDirectoryListing } from '../utils/directoryParser.js';
  */
 export function useDirectoryData() {
   const [files, setFiles] = useState([]);
+  const [partialFiles, setPartialFiles] = useState([]); // Found so far while a crawl is on screen
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [lastFetch, setLastFetch] = useState(null);
+  const [sourceStatus, setSourceStatus] = useState(() => createInitialSourceStatus());
+  const [crawlErrors, setCrawlErrors] = useState([]);
+  const [dataSource, setDataSource] = useState(null); // 'cache', 'snapshot' or 'live'
+  const [checkingForUpdates, setCheckingForUpdates] = useState(false);
+  const [pendingUpdate, setPendingUpdate] = useState(null); // Newer list fetched in the background
+  const [visitBaseline, setVisitBaseline] = useState(null); // List saved during the previous visit
+  const [changeLog, setChangeLog] = useState([]);
 
-  // Configuration - try multiple CORS proxies for reliability
-  const BASE_URL = 'https://www.rasmusen.org/special/jackson/';
-  const CORS_PROXIES = [
+  // Background refreshes compare against whatever is on screen when they finish
+  const filesRef = useRef(files);
+  filesRef.current = files;
+
+  // Configuration - use the first-party listing proxy when one is configured,
+  // otherwise try multiple public CORS proxies for reliability
+  const LISTING_PROXY_URL = process.env.LISTING_PROXY_URL; // Injected by webpack DefinePlugin
+  const PUBLIC_CORS_PROXIES = [
   'https://api.allorigins.win/get?url=',
   'https://corsproxy.io/?',
   'https://api.codetabs.com/v1/proxy?quest=',
   'https://cors-anywhere.herokuapp.com/'
 ];
+  const CORS_PROXIES = LISTING_PROXY_URL ? [LISTING_PROXY_URL] : PUBLIC_CORS_PROXIES;
   const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes in milliseconds
+  const CRAWL_MAX_DEPTH = 5; // Folder levels followed below a source URL, unless the source sets its own
+  const CRAWL_CONCURRENCY = 3; // Listings fetched in parallel per source
+  const SNAPSHOT_URL = getAssetPath('index.json'); // Written by `npm run snapshot`
 
   /**
-   * Attempts to fetch using multiple CORS proxy services
+   * Attempts to fetch a listing page using a list of CORS proxy services
+   * @param {string} url - Directory listing URL to fetch
+   * @param {Array} proxies - Proxy URL prefixes to try in order; '' fetches directly
    */
-  const fetchWithFallback = async () => {
+  const fetchWithFallback = async (url, proxies = CORS_PROXIES) => {
     let lastError = null;
     
-    for (const proxy of CORS_PROXIES) {
+    for (const proxy of proxies) {
       try {
-        const proxiedUrl = proxy + encodeURIComponent(BASE_URL);
-        console.log(`Trying proxy: ${proxy}`);
+        const proxiedUrl = proxy ? proxy + encodeURIComponent(url) : url;
+        console.log(`Trying proxy: ${proxy || '(direct)'}`);
         
         const response = await fetch(proxiedUrl, {
           method: 'GET',
@@ -43,24 +74,23 @@ export function useDirectoryData() {
         if (!response.ok) {
           throw new Error(`HTTP ${response.status}: ${response.statusText}`);
         }
-        if (i === 0) { // api.allorigins.win returns JSON
-        const data = await response.json();
-        htmlContent = data.contents;
-      } else { // Other proxies return text directly
-        htmlContent = await response.text();
-      }
-
-        const htmlContent = await response.text();
+        let htmlContent;
+        if (proxy.startsWith('https://api.allorigins.win/')) { // allorigins returns JSON
+          const data = await response.json();
+          htmlContent = data.contents;
+        } else { // Other proxies return text directly
+          htmlContent = await response.text();
+        }
         
         if (!htmlContent || htmlContent.trim().length === 0) {
           throw new Error('Empty response from server');
         }
 
-        console.log(`Success with proxy: ${proxy}`);
+        console.log(`Success with proxy: ${proxy || '(direct)'}`);
         return htmlContent;
         
       } catch (err) {
-        console.warn(`Proxy ${proxy} failed:`, err.message);
+        console.warn(`Proxy ${proxy || '(direct)'} failed:`, err.message);
         lastError = err;
         continue; // Try next proxy
       }
@@ -71,58 +101,215 @@ export function useDirectoryData() {
   };
 
   /**
-   * Fetches the directory listing from the server
+   * Returns the listing fetcher for a source according to its proxy setting
+   * @param {Object} source - Entry from ARCHIVE_SOURCES
+   * @returns {Function} async (url) => html string
+   */
+  const getSourceFetcher = (source) => {
+    let proxies = CORS_PROXIES;
+    if (source.proxy === 'none') {
+      proxies = [''];
+    } else if (Array.isArray(source.proxy)) {
+      proxies = source.proxy;
+    }
+    return (url) => fetchWithFallback(url, proxies);
+  };
+
+  /**
+   * Merges new fields into one source's load status
+   * @param {string} sourceId - Source id
+   * @param {Object} changes - Fields to update
    */
-  const fetchDirectory = async () => {
+  const updateSourceStatus = (sourceId, changes) => {
+    setSourceStatus(prev => ({
+      ...prev,
+      [sourceId]: { ...prev[sourceId], ...changes }
+    }));
+  };
+
+  /**
+   * Converts a fetch error into a message suitable for the UI
+   * @param {Error} err - Error thrown while fetching or parsing
+   * @returns {string} User-friendly error message
+   */
+  const getUserErrorMessage = (err) => {
+    if (err.message.includes('Failed to fetch') || err.message.includes('CORS')) {
+      return 'Unable to access the file server. This may be due to network restrictions.';
+    } else if (err.message.includes('HTTP')) {
+      return `Server error: ${err.message}`;
+    } else if (err.message.includes('Empty response')) {
+      return 'The server returned an empty response. Please try again later.';
+    }
+    return `Connection error: ${err.message}`;
+  };
+
+  /**
+   * Loads the static index.json snapshot, if one is deployed alongside the app
+   * @returns {Promise<Object|null>} A usable snapshot or null
+   */
+  const loadSnapshot = async () => {
     try {
-      setLoading(true);
-      setError(null);
-      
-      console.log('Fetching directory listing...');
+      const response = await fetch(SNAPSHOT_URL);
+      if (!response.ok) {
+        return null;
+      }
+      return readSnapshot(await response.json());
+    } catch (err) {
+      console.warn('No usable snapshot found:', err.message);
+      return null;
+    }
+  };
+
+  /**
+   * Compares each source's live root listing against the snapshot and
+   * recrawls in the background if any changed. Only root folders are checked,
+   * so edits deep in a tree are picked up on the next snapshot or a manual refresh.
+   * @param {Object} snapshot - The snapshot currently on screen
+   */
+  const checkForUpdates = async (snapshot) => {
+    try {
+      setCheckingForUpdates(true);
+      console.log('Checking live server for updates...');
 
-      const htmlContent = await fetchWithFallback();
+      const changes = await Promise.all(ARCHIVE_SOURCES.map(async (source) => {
+        const { files: liveRoot } = await crawlSource(source, getSourceFetcher(source), {
+          maxDepth: 0,
+          pathPrefix: getSourcePathPrefix(source, ARCHIVE_SOURCES)
+        }).catch(() => ({ files: null }));
 
-      console.log('Raw HTML received, length:', htmlContent.length);
-      console.log('First 200 chars:', htmlContent.substring(0, 200));
+        // An unreachable source is not evidence of a change
+        if (!liveRoot) return false;
 
-      // Parse the HTML directory listing
-      const parsedFiles = parseDirectoryListing(htmlContent, BASE_URL);
-      
-      console.log('Parsed files count:', parsedFiles.length);
-      console.log('Sample files:', parsedFiles.slice(0, 3));
+        const snapshotRoot = snapshot.files.filter(file => file.source === source.id && file.depth === 0);
+        return hasListingChanged(snapshotRoot, liveRoot);
+      }));
 
-      if (parsedFiles.length === 0) {
-        console.warn('No files found in directory listing');
-        setError('No files found in the directory listing. The page structure may have changed.');
+      if (!changes.some(Boolean)) {
+        console.log('Snapshot is up to date');
         return;
       }
 
-      setFiles(parsedFiles);
-      setLastFetch(new Date());
-      console.log('Directory data loaded successfully');
-      
+      console.log('Live listing differs from snapshot, refreshing...');
+      await fetchDirectory({ background: true });
     } catch (err) {
-      console.error('Error fetching directory:', err);
-      
-      // Provide user-friendly error messages
-      let userMessage = 'Failed to load files from server';
-      
-      if (err.message.includes('Failed to fetch') || err.message.includes('CORS')) {
-        userMessage = 'Unable to access the file server. This may be due to network restrictions.';
-      } else if (err.message.includes('HTTP')) {
-        userMessage = `Server error: ${err.message}`;
-      } else if (err.message.includes('Empty response')) {
-        userMessage = 'The server returned an empty response. Please try again later.';
-      } else {
-        userMessage = `Connection error: ${err.message}`;
-      }
-      
-      setError(userMessage);
+      console.warn('Could not check for updates:', err.message);
     } finally {
+      setCheckingForUpdates(false);
+    }
+  };
+
+  /**
+   * Crawls a single source, recording its progress and outcome in sourceStatus
+   * @param {Object} source - Entry from ARCHIVE_SOURCES
+   * @param {Function} onFiles - Optional, called with each folder's files as they arrive
+   * @returns {Promise<Object>} { files, errors }, or { error } with a user-facing message if the source failed
+   */
+  const fetchSource = async (source, onFiles) => {
+    updateSourceStatus(source.id, { state: 'loading', progress: null, error: null });
+
+    try {
+      const result = await crawlSource(source, getSourceFetcher(source), {
+        maxDepth: CRAWL_MAX_DEPTH,
+        concurrency: CRAWL_CONCURRENCY,
+        pathPrefix: getSourcePathPrefix(source, ARCHIVE_SOURCES),
+        onProgress: progress => updateSourceStatus(source.id, { progress }),
+        onFiles
+      });
+
+      if (result.files.length === 0) {
+        throw new Error('No files found in the directory listing. The page structure may have changed.');
+      }
+
+      updateSourceStatus(source.id, {
+        state: 'loaded',
+        fileCount: result.files.length,
+        crawlErrorCount: result.errors.length
+      });
+      return result;
+    } catch (err) {
+      console.error(`Error fetching source ${source.id}:`, err);
+      const userMessage = err.message.startsWith('No files found') ? err.message : getUserErrorMessage(err);
+      updateSourceStatus(source.id, { state: 'error', error: userMessage });
+      return { error: userMessage };
+    }
+  };
+
+  /**
+   * Fetches the directory listings of every configured source and merges them
+   * @param {Object} options
+   * @param {boolean} options.background - Keep showing current files and swallow errors
+   */
+  const fetchDirectory = async ({ background = false } = {}) => {
+    if (!background) {
+      setLoading(true);
+      setError(null);
+      setPartialFiles([]);
+    }
+
+    console.log(`Fetching ${ARCHIVE_SOURCES.length} directory listing(s)...`);
+
+    // A crawl the user waits for shares its files as they arrive, so a detail page can open early
+    const onFiles = background ? undefined : found => setPartialFiles(prev => [...prev, ...found]);
+
+    const results = await Promise.all(ARCHIVE_SOURCES.map(source => fetchSource(source, onFiles)));
+    if (!background) {
+      setPartialFiles([]);
+    }
+    const succeeded = results.filter(result => !result.error);
+
+    if (succeeded.length === 0) {
+      if (!background) {
+        setError(results.length === 1 ? results[0].error : 'None of the archive sources could be loaded.');
+        setLoading(false);
+      }
+      return;
+    }
+
+    const errors = succeeded.flatMap(result => result.errors);
+    if (errors.length > 0) {
+      console.warn(`${errors.length} subfolder(s) could not be loaded`, errors);
+    }
+
+    // Sources that failed in the background keep the files we already had for them
+    const mergedFiles = carryOverDocumentDates(filesRef.current, results.flatMap((result, index) => {
+      if (!result.error) return result.files;
+      return background ? filesRef.current.filter(file => file.source === ARCHIVE_SOURCES[index].id) : [];
+    }));
+
+    if (background && hasListingChanged(filesRef.current, mergedFiles)) {
+      // Leave the current list on screen and let the user choose when to switch
+      console.log('A newer file list is available');
+      setPendingUpdate({ files: mergedFiles, errors, fetchedAt: new Date() });
+      return;
+    }
+
+    if (!background) {
+      setFiles(mergedFiles);
+      setPendingUpdate(null);
+    }
+    setCrawlErrors(errors);
+    setDataSource('live');
+    setLastFetch(new Date());
+    console.log('Directory data loaded successfully');
+
+    if (!background) {
       setLoading(false);
     }
   };
 
+  /**
+   * Replaces the list on screen with the newer one fetched in the background
+   */
+  const applyPendingUpdate = () => {
+    if (!pendingUpdate) return;
+
+    setFiles(pendingUpdate.files);
+    setCrawlErrors(pendingUpdate.errors);
+    setDataSource('live');
+    setLastFetch(pendingUpdate.fetchedAt);
+    setPendingUpdate(null);
+  };
+
   /**
    * Checks if cached data is still valid
    */
@@ -138,100 +325,182 @@ export function useDirectoryData() {
   const refreshData = () => {
     console.log('Refreshing directory data...');
     setLastFetch(null); // Clear cache
+    setPendingUpdate(null);
     fetchDirectory();
   };
 
-  // Effect to fetch data on mount and handle caching
+  /**
+   * Shows a list from the local cache and revalidates it in the background
+   * @param {Object} cached - Catalog from readCachedCatalog
+   */
+  const showCachedCatalog = (cached) => {
+    console.log(`Loaded cached file list from ${cached.fetchedAt.toISOString()} with ${cached.files.length} files`);
+    setFiles(cached.files);
+    setCrawlErrors(cached.errors || []);
+    ARCHIVE_SOURCES.forEach(source => updateSourceStatus(source.id, {
+      state: 'cached',
+      fileCount: cached.files.filter(file => file.source === source.id).length
+    }));
+    setDataSource('cache');
+    setLastFetch(cached.fetchedAt);
+    setLoading(false);
+
+    // Stale-while-revalidate: anything older than CACHE_DURATION is refreshed behind the scenes
+    if (Date.now() - cached.fetchedAt.getTime() >= CACHE_DURATION) {
+      setCheckingForUpdates(true);
+      fetchDirectory({ background: true }).finally(() => setCheckingForUpdates(false));
+    }
+  };
+
+  // Persist every list that came from the live server for the next visit,
+  // logging what changed since the previously saved list
   useEffect(() => {
-    // Only fetch if we don't have valid cached data
-    if (!isCacheValid() || files.length === 0) {
-      fetchDirectory();
+    if (dataSource !== 'live' || files.length === 0 || !lastFetch) {
+      return;
     }
-  }, []); // Empty dependency array - only run on mount
 
-  /**
-   * Filters files based on search criteria
-   */
-  const filterFiles = (searchTerm = '', personFilter = 'all', typeFilter = 'all') => {
-    return files.filter(file => {
-      // Text search across multiple fields
-      const searchMatch = !searchTerm || 
-        file.filename.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        file.displayName.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        file.person.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        file.keywords.some(keyword => keyword.toLowerCase().includes(searchTerm.toLowerCase()));
+    const persist = async () => {
+      const previous = await readCachedCatalog(ARCHIVE_SOURCES);
+
+      if (previous && previous.fetchedAt < lastFetch) {
+        const diff = diffFileLists(previous.files, files);
+        if (hasChanges(diff)) {
+          console.log(`Changes since last fetch: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed`);
+          setChangeLog(await appendChangeLogEntry(diff, lastFetch, previous.fetchedAt));
+        }
+      }
+
+      await writeCachedCatalog({ files, errors: crawlErrors, fetchedAt: lastFetch, sources: ARCHIVE_SOURCES });
+    };
 
-      // Person filter
-      const personMatch = personFilter === 'all' || file.person === personFilter;
+    persist();
+  }, [files, dataSource, lastFetch]);
 
-      // Type filter
-      const typeMatch = typeFilter === 'all' || file.type === typeFilter;
+  // Differences between the list saved on the previous visit and the one on screen
+  const visitChanges = useMemo(() => {
+    if (!visitBaseline) return null;
+    const diff = diffFileLists(visitBaseline, files);
+    return { ...diff, statusByUrl: getChangeStatusByUrl(diff) };
+  }, [visitBaseline, files]);
 
-      return searchMatch && personMatch && typeMatch;
-    });
+  // Effect to load data on mount - the newer of the local cache and the
+  // snapshot first, the live server as fallback
+  useEffect(() => {
+    const initialize = async () => {
+      const [cached, snapshot, storedChangeLog] = await Promise.all([
+        readCachedCatalog(ARCHIVE_SOURCES),
+        loadSnapshot(),
+        readChangeLog()
+      ]);
+
+      // Whatever was saved last time is what "new since my last visit" compares against
+      if (cached) {
+        setVisitBaseline(cached.files);
+      }
+      setChangeLog(storedChangeLog);
+
+      if (cached && (!snapshot || cached.fetchedAt >= new Date(snapshot.generatedAt))) {
+        showCachedCatalog(cached);
+        return;
+      }
+
+      if (!snapshot) {
+        fetchDirectory();
+        return;
+      }
+
+      console.log(`Loaded snapshot from ${snapshot.generatedAt} with ${snapshot.files.length} files`);
+      setFiles(snapshot.files);
+      setCrawlErrors(snapshot.errors || []);
+      ARCHIVE_SOURCES.forEach(source => updateSourceStatus(source.id, {
+        state: 'snapshot',
+        fileCount: snapshot.files.filter(file => file.source === source.id).length
+      }));
+      setDataSource('snapshot');
+      setLastFetch(new Date(snapshot.generatedAt));
+      setLoading(false);
+
+      checkForUpdates(snapshot);
+    };
+
+    initialize();
+  }, []); // Empty dependency array - only run on mount
+
+  /**
+   * Filters files based on search criteria (see utils/queryEngine.js for the semantics)
+   * @param {string|Object} query - Search box text, or its result from parseQuery (see utils/searchQuery.js)
+   * @param {Map} textMatchesByTerm - Optional full-text matches per query term (see useTextIndex)
+   * @param {Map} annotations - Optional reviewers' annotations by file id (see useAnnotations)
+   */
+  const filterFiles = (query = '', personFilter = 'all', roleFilter = 'all', typeFilter = 'all', kindFilter = 'all', sourceFilter = 'all', datedFilter = 'all', tagFilter = 'all', textMatchesByTerm = null, annotations = null) => {
+    return filterFileList(
+      files,
+      { search: query, person: personFilter, role: roleFilter, type: typeFilter, kind: kindFilter, source: sourceFilter, dated: datedFilter, tag: tagFilter },
+      { textMatchesByTerm, annotations }
+    );
   };
 
   /**
    * Gets unique values for filter options
    */
-  const getFilterOptions = () => {
-    const persons = [...new Set(files.map(f => f.person))]
-      .filter(p => p !== 'Unknown')
-      .sort();
-    const types = [...new Set(files.map(f => f.type))]
-      .sort();
-    
-    return { persons, types };
+  const getFilterOptions = () => getFileFilterOptions(files, ARCHIVE_SOURCES);
+
+  /**
+   * Scores files against a search query for the relevance sort
+   * @param {string|Object} query - Search box text, or its result from parseQuery
+   * @param {Array} filesToScore - Files that already passed filterFiles
+   * @param {Map} textMatchesByTerm - Optional full-text matches per query term
+   * @param {Map} annotations - Optional reviewers' annotations by file id
+   * @returns {Map} Relevance score by file URL
+   */
+  const getRelevanceScores = (query, filesToScore, textMatchesByTerm = null, annotations = null) => {
+    return getFileRelevanceScores(filesToScore, query, { textMatchesByTerm, annotations });
   };
 
   /**
    * Sorts files by specified criteria
+   * @param {Map} relevanceScores - Scores from getRelevanceScores, used when sortBy is 'relevance'
    */
-  const sortFiles = (filesToSort, sortBy = 'name', sortOrder = 'asc') => {
-    const sorted = [...filesToSort].sort((a, b) => {
-      let aVal, bVal;
-      
-      switch (sortBy) {
-        case 'date':
-          aVal = new Date(a.date === 'Unknown' ? 0 : a.date);
-          bVal = new Date(b.date === 'Unknown' ? 0 : b.date);
-          break;
-        case 'size':
-          aVal = a.sizeBytes || 0;
-          bVal = b.sizeBytes || 0;
-          break;
-        case 'person':
-          aVal = a.person.toLowerCase();
-          bVal = b.person.toLowerCase();
-          break;
-        case 'type':
-          aVal = a.type.toLowerCase();
-          bVal = b.type.toLowerCase();
-          break;
-        case 'name':
-        default:
-          aVal = a.displayName.toLowerCase();
-          bVal = b.displayName.toLowerCase();
-          break;
-      }
-      
-      if (aVal < bVal) return sortOrder === 'asc' ? -1 : 1;
-      if (aVal > bVal) return sortOrder === 'asc' ? 1 : -1;
-      return 0;
-    });
-    
-    return sorted;
+  const sortFiles = (filesToSort, sortBy = 'name', sortOrder = 'asc', relevanceScores = null) => {
+    return sortFileList(filesToSort, sortBy, sortOrder, relevanceScores);
   };
 
   return {
     files,
+    partialFiles,
     loading,
     error,
     lastFetch,
+    sources: ARCHIVE_SOURCES,
+    sourceStatus,
+    crawlErrors,
+    dataSource,
+    checkingForUpdates,
+    pendingUpdate,
+    applyPendingUpdate,
+    visitChanges,
+    changeLog,
     refreshData,
     filterFiles,
+    getRelevanceScores,
     sortFiles,
     getFilterOptions,
     isCacheValid
   };
+}
+
+/**
+ * Builds the initial per-source load status, keyed by source id
+ * @returns {Object} { [id]: { label, url, state, fileCount, crawlErrorCount, progress, error } }
+ */
+function createInitialSourceStatus() {
+  return Object.fromEntries(ARCHIVE_SOURCES.map(source => [source.id, {
+    label: source.label,
+    url: source.url,
+    state: 'pending',
+    fileCount: 0,
+    crawlErrorCount: 0,
+    progress: null,
+    error: null
+  }]));
 }
\ No newline at end of file
@@ -2,70 +2,40 @@
 // Hook for managing filtering and sorting
 
 import { useState, useMemo } from 'react';
+import { runQuery, getFilterOptions } from '../utils/queryEngine.js';
+import { getAnnotation, getAnnotationTags } from '../utils/annotations.js';
 
 /**
  * Custom hook that provides filtering and sorting functionality
  * @param {Array} files - Array of file objects to filter and sort
+ * @param {Map} annotations - Optional reviewers' annotations by file id, for the tag filter
  * @returns {Object} Filter controls and processed files
  */
-export function useFilters(files) {
-  const [sortBy, setSortBy] = useState('name'); // 'name', 'date', 'size', 'person'
+export function useFilters(files, annotations = null) {
+  const [sortBy, setSortBy] = useState('name'); // Any sortFiles key: 'name', 'date', 'size', 'person', 'kind', 'exhibit', ...
+  const [sortOrder, setSortOrder] = useState('asc');
   const [filterByPerson, setFilterByPerson] = useState('all');
   const [filterByType, setFilterByType] = useState('all');
+  const [filterByKind, setFilterByKind] = useState('all');
+  const [filterByTag, setFilterByTag] = useState('all');
   
-  // Get unique persons for filter dropdown
-  const availablePersons = useMemo(() => {
-    const persons = [...new Set(files.map(file => file.person))];
-    return persons.filter(person => person !== 'Unknown').sort();
-  }, [files]);
-  
-  // Get unique file types for filter dropdown
-  const availableTypes = useMemo(() => {
-    const types = [...new Set(files.map(file => file.type))];
-    return types.sort();
-  }, [files]);
+  // Unique persons, file types and document kinds for the filter dropdowns
+  const { persons: availablePersons, types: availableTypes, kinds: availableKinds } = useMemo(
+    () => getFilterOptions(files),
+    [files]
+  );
+
+  // Reviewers' tags in use
+  const availableTags = useMemo(() => (annotations ? getAnnotationTags(annotations) : []), [annotations]);
   
   // Apply filters and sorting
-  const processedFiles = useMemo(() => {
-    let filtered = [...files];
-    
-    // Apply person filter
-    if (filterByPerson !== 'all') {
-      filtered = filtered.filter(file => file.person === filterByPerson);
-    }
-    
-    // Apply type filter  
-    if (filterByType !== 'all') {
-      filtered = filtered.filter(file => file.type === filterByType);
-    }
-    
-    // Apply sorting
-    filtered.sort((a, b) => {
-      switch (sortBy) {
-        case 'name':
-          return a.displayName.localeCompare(b.displayName);
-          
-        case 'date':
-          // Sort by date, handling 'Unknown' dates
-          if (a.date === 'Unknown' && b.date === 'Unknown') return 0;
-          if (a.date === 'Unknown') return 1;
-          if (b.date === 'Unknown') return -1;
-          return new Date(b.date) - new Date(a.date); // Newest first
-          
-        case 'size':
-          // Sort by size in bytes
-          return b.sizeBytes - a.sizeBytes; // Largest first
-          
-        case 'person':
-          return a.person.localeCompare(b.person);
-          
-        default:
-          return 0;
-      }
-    });
-    
-    return filtered;
-  }, [files, sortBy, filterByPerson, filterByType]);
+  const processedFiles = useMemo(() => (
+    runQuery(
+      files,
+      { person: filterByPerson, type: filterByType, kind: filterByKind, tag: filterByTag, sort: sortBy, order: sortOrder },
+      { annotations }
+    )
+  ), [files, annotations, sortBy, sortOrder, filterByPerson, filterByType, filterByKind, filterByTag]);
   
   // Calculate filter statistics
   const filterStats = useMemo(() => {
@@ -73,12 +43,14 @@ export function useFilters(files) {
       total: files.length,
       filtered: processedFiles.length,
       personCounts: {},
-      typeCounts: {}
+      typeCounts: {},
+      kindCounts: {},
+      tagCounts: {}
     };
     
     // Count documents by person
     availablePersons.forEach(person => {
-      stats.personCounts[person] = files.filter(file => file.person === person).length;
+      stats.personCounts[person] = files.filter(file => file.persons.includes(person)).length;
     });
     
     // Count documents by type
@@ -86,37 +58,58 @@ export function useFilters(files) {
       stats.typeCounts[type] = files.filter(file => file.type === type).length;
     });
     
+    // Count documents by kind
+    availableKinds.forEach(kind => {
+      stats.kindCounts[kind.id] = files.filter(file => file.kind === kind.id).length;
+    });
+    
+    // Count documents by tag
+    availableTags.forEach(tag => {
+      stats.tagCounts[tag] = files.filter(file => getAnnotation(annotations, file).tags.includes(tag)).length;
+    });
+    
     return stats;
-  }, [files, processedFiles, availablePersons, availableTypes]);
+  }, [files, annotations, processedFiles, availablePersons, availableTypes, availableKinds, availableTags]);
   
   // Reset all filters
   const resetFilters = () => {
     setSortBy('name');
+    setSortOrder('asc');
     setFilterByPerson('all');
     setFilterByType('all');
+    setFilterByKind('all');
+    setFilterByTag('all');
   };
   
   return {
     // Current filter values
     sortBy,
+    sortOrder,
     filterByPerson, 
     filterByType,
+    filterByKind,
+    filterByTag,
     
     // Filter setters
     setSortBy,
+    setSortOrder,
     setFilterByPerson,
     setFilterByType,
+    setFilterByKind,
+    setFilterByTag,
     resetFilters,
     
     // Available options
     availablePersons,
     availableTypes,
+    availableKinds,
+    availableTags,
     
     // Processed data
     filteredFiles: processedFiles,
     filterStats,
     
     // Status
-    hasActiveFilters: filterByPerson !== 'all' || filterByType !== 'all' || sortBy !== 'name'
+    hasActiveFilters: filterByPerson !== 'all' || filterByType !== 'all' || filterByKind !== 'all' || filterByTag !== 'all' || sortBy !== 'name' || sortOrder !== 'asc'
   };
 }
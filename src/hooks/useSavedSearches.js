@@ -0,0 +1,41 @@
+// src/hooks/useSavedSearches.js
+// Hook for named searches, persisted in IndexedDB
+
+import { useMemo } from 'react';
+import { useStoredRecords } from './useStoredRecords.js';
+import {
+  readSavedSearches,
+  writeSavedSearches,
+  createSavedSearch,
+  getSavedSearchKey
+} from '../utils/savedSearches.js';
+
+/**
+ * Custom hook that lists, saves and deletes named searches
+ * @returns {Object} { savedSearches, error, saveSearch, deleteSearch }
+ */
+export function useSavedSearches() {
+  const { records, error, applyRecords } = useStoredRecords(readSavedSearches, writeSavedSearches, 'Searches could not be saved in this browser.');
+
+  // Alphabetical, for the saved search buttons
+  const savedSearches = useMemo(() => (
+    [...records.values()].sort((a, b) => a.name.localeCompare(b.name))
+  ), [records]);
+
+  /**
+   * Saves the current search, replacing one saved under the same name
+   * @param {string} name - Name for the search
+   * @param {Object} urlParams - Current URL parameters
+   */
+  const saveSearch = (name, urlParams) => applyRecords([[getSavedSearchKey(name), createSavedSearch(name, urlParams)]]);
+
+  // Forgets a saved search
+  const deleteSearch = (savedSearch) => applyRecords([[getSavedSearchKey(savedSearch.name), null]]);
+
+  return {
+    savedSearches,
+    error,
+    saveSearch,
+    deleteSearch
+  };
+}
@@ -2,11 +2,12 @@
 // Hook for managing search functionality
 
 import { useState, useMemo } from 'react';
+import { runQuery } from '../utils/queryEngine.js';
 
 /**
  * Custom hook that provides search functionality for file data
  * @param {Array} files - Array of file objects to search
- * @returns {Object} { searchTerm, setSearchTerm, filteredFiles, searchStats }
+ * @returns {Object} { searchTerm, setSearchTerm, filteredFiles (best match first), searchStats }
  */
 export function useSearch(files) {
   const [searchTerm, setSearchTerm] = useState('');
@@ -21,37 +22,8 @@ export function useSearch(files) {
       };
     }
     
-    const term = searchTerm.toLowerCase().trim();
-    
-    // Search across multiple fields
-    const matches = files.filter(file => {
-      // Search in display name
-      if (file.displayName.toLowerCase().includes(term)) {
-        return true;
-      }
-      
-      // Search in filename
-      if (file.filename.toLowerCase().includes(term)) {
-        return true;
-      }
-      
-      // Search in person name
-      if (file.person.toLowerCase().includes(term)) {
-        return true;
-      }
-      
-      // Search in keywords array
-      if (file.keywords.some(keyword => keyword.includes(term))) {
-        return true;
-      }
-      
-      // Search in file type
-      if (file.type.toLowerCase().includes(term)) {
-        return true;
-      }
-      
-      return false;
-    });
+    // Best match first; typos are tolerated and title hits outrank keyword hits
+    const matches = runQuery(files, { search: searchTerm, sort: 'relevance', order: 'desc' });
     
     return {
       filteredFiles: matches,
@@ -0,0 +1,68 @@
+// src/hooks/useStoredRecords.js
+// Hook for a map of records kept in one IndexedDB store, such as annotations, saved searches or collections
+
+import { useState, useEffect, useRef } from 'react';
+
+/**
+ * Custom hook that loads a store's records once and saves every change back to it
+ * Changes show at once; if saving fails they stay on screen for this visit and error is set.
+ * Changes made before the stored records arrive take precedence over them, removals included.
+ * @param {Function} readRecords - async () => Map of records by key
+ * @param {Function} writeRecords - async (entries) => void, entries being [key, record or null] pairs
+ * @param {string} saveErrorMessage - Sentence shown when a change could not be saved
+ * @param {Function} isKept - (record) => false for records that leave the map, such as null;
+ *   they are still passed to writeRecords as given
+ * @returns {Object} { records, recordsRef, loaded, error, applyRecords }
+ */
+export function useStoredRecords(readRecords, writeRecords, saveErrorMessage, isKept = record => record !== null) {
+  const [records, setRecords] = useState(() => new Map());
+  const [loaded, setLoaded] = useState(false);
+  const [error, setError] = useState(null); // Last failed save
+  const recordsRef = useRef(records);
+  const removedKeysRef = useRef(new Set()); // Removed this visit, so a late load does not bring them back
+
+  useEffect(() => {
+    readRecords().then(stored => {
+      const kept = [...stored].filter(([key]) => !removedKeysRef.current.has(key));
+      const merged = new Map([...kept, ...recordsRef.current]);
+      recordsRef.current = merged;
+      setRecords(merged);
+      setLoaded(true);
+    });
+  }, []);
+
+  /**
+   * Replaces records on screen, then stores them
+   * @param {Array} entries - [key, record] pairs; null, or a record isKept rejects, removes it
+   */
+  const applyRecords = async (entries) => {
+    const next = new Map(recordsRef.current);
+    entries.forEach(([key, record]) => {
+      if (isKept(record)) {
+        next.set(key, record);
+        removedKeysRef.current.delete(key);
+      } else {
+        next.delete(key);
+        removedKeysRef.current.add(key);
+      }
+    });
+    recordsRef.current = next;
+    setRecords(next);
+
+    try {
+      await writeRecords(entries);
+      setError(null);
+    } catch (err) {
+      console.warn(saveErrorMessage, err.message);
+      setError(saveErrorMessage);
+    }
+  };
+
+  return {
+    records,
+    recordsRef,
+    loaded,
+    error,
+    applyRecords
+  };
+}
@@ -0,0 +1,92 @@
+// src/hooks/useTextIndex.js
+// Hook for loading the full-text index and searching inside documents
+
+import { useState, useEffect, useMemo } from 'react';
+import { readTextIndex, searchTextIndex } from '../utils/textIndex.js';
+import { getAssetPath } from '../utils/routes.js';
+
+const TEXT_INDEX_URL = getAssetPath('text-index.json'); // Written by `npm run snapshot -- --text`
+const TEXT_SEARCH_DELAY = 250; // Milliseconds of quiet typing before documents are searched
+
+/**
+ * Custom hook that loads text-index.json and finds search terms inside documents
+ * Searching waits until typing pauses; until then the previous terms' matches are returned.
+ * @param {Array} textTerms - Free-text terms from the parsed search query (keep the array stable between renders)
+ * @returns {Object} { textIndexStatus, indexedDocumentCount, textMatchesByTerm, textMatches, getPageCount }
+ */
+export function useTextIndex(textTerms) {
+  const [textIndex, setTextIndex] = useState(null);
+  const [textIndexStatus, setTextIndexStatus] = useState('loading'); // 'loading', 'ready' or 'unavailable'
+  const [searchedTerms, setSearchedTerms] = useState(textTerms);
+
+  // Load the index once; the app works without it, searching metadata only
+  useEffect(() => {
+    const loadTextIndex = async () => {
+      try {
+        const response = await fetch(TEXT_INDEX_URL);
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+
+        const index = readTextIndex(await response.json());
+        if (!index) {
+          throw new Error('Unsupported text index version');
+        }
+
+        console.log(`Loaded full-text index with ${index.documentCount} documents`);
+        setTextIndex(index);
+        setTextIndexStatus('ready');
+      } catch (err) {
+        console.warn('Full-text search unavailable:', err.message);
+        setTextIndexStatus('unavailable');
+      }
+    };
+
+    loadTextIndex();
+  }, []);
+
+  // Every document is scanned per term, so search once typing pauses; clearing applies at once
+  useEffect(() => {
+    if (textTerms.length === 0) {
+      setSearchedTerms(textTerms);
+      return undefined;
+    }
+    const timer = setTimeout(() => setSearchedTerms(textTerms), TEXT_SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [textTerms]);
+
+  // Matches per file URL for each term, used by the query predicate
+  const textMatchesByTerm = useMemo(
+    () => new Map(searchedTerms.map(term => [term, searchTextIndex(textIndex, term)])),
+    [textIndex, searchedTerms]
+  );
+
+  // All snippets per file URL, for display under the results
+  const textMatches = useMemo(() => {
+    const merged = new Map();
+    textMatchesByTerm.forEach(matches => {
+      matches.forEach((snippets, url) => {
+        merged.set(url, [...(merged.get(url) || []), ...snippets].slice(0, 3));
+      });
+    });
+    return merged;
+  }, [textMatchesByTerm]);
+
+  /**
+   * Number of pages the index holds for a document
+   * @param {string} url - File URL
+   * @returns {number|null} Page count, or null if the document is not indexed
+   */
+  const getPageCount = (url) => {
+    const pages = textIndex && textIndex.documents.get(url);
+    return pages ? pages.length : null;
+  };
+
+  return {
+    textIndexStatus,
+    indexedDocumentCount: textIndex ? textIndex.documentCount : 0,
+    textMatchesByTerm,
+    textMatches,
+    getPageCount
+  };
+}
@@ -1,60 +1,160 @@
 // src/hooks/useUrlState.js
 // Hook for managing URL state for bookmarking
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
+import { TIMELINE_ZOOMS } from '../utils/timeline.js';
+import { CITATION_STYLES, DEFAULT_CITATION_STYLE } from '../utils/citations.js';
+import { readRoute, formatRoute } from '../utils/routes.js';
+import { ROLE_FILTERS, KIND_FILTERS, SORT_KEYS } from '../utils/queryEngine.js';
+import { DATED_FILTERS } from '../utils/documentDates.js';
+
+// View state when the URL carries no parameters; defaults are left out of URLs.
+// The folder and the detail page are in the path (see routes.js), the rest in the query string.
+export const DEFAULT_URL_PARAMS = {
+  search: '',
+  person: 'all',
+  role: 'all',
+  type: 'all',
+  kind: 'all',
+  source: 'all',
+  dated: 'all',
+  tag: 'all',
+  changed: false,
+  sort: 'name',
+  order: 'asc',
+  folder: '',
+  scope: 'folder',
+  view: 'list',
+  zoom: 'month',
+  cite: DEFAULT_CITATION_STYLE,
+  page: 1,
+  collection: null, // Key of the stored collection being listed
+  shared: null, // Collection from a shared link, see encodeSharedCollection
+  file: null, // File in the preview pane
+  detail: null // File whose detail page is open
+};
 
 /**
  * Custom hook that syncs component state with URL parameters for bookmarking
- * @returns {Object} URL state management functions
+ * Changes add browser history entries, so Back and Forward step through them.
+ * @returns {Object} { urlParams, updateUrl }
  */
 export function useUrlState() {
-  const [urlParams, setUrlParams] = useState({
-    search: '',
-    sort: 'name',
-    person: 'all',
-    type: 'all'
-  });
-  
-  // Read URL parameters on mount
+  const [urlParams, setUrlParams] = useState(() => readUrlParams(window.location));
+  const urlParamsRef = useRef(urlParams);
+  const lastCoalesceKey = useRef(null);
+
+  // Restore state when the user navigates with Back or Forward
   useEffect(() => {
-    const params = new URLSearchParams(window.location.search);
-    setUrlParams({
-      search: params.get('search') || '',
-      sort: params.get('sort') || 'name', 
-      person: params.get('person') || 'all',
-      type: params.get('type') || 'all'
-    });
+    const handlePopState = () => {
+      const params = readUrlParams(window.location);
+      lastCoalesceKey.current = null;
+      urlParamsRef.current = params;
+      setUrlParams(params);
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
   }, []);
-  
-  // Function to update URL without causing page reload
-  const updateUrl = (newParams) => {
+
+  /**
+   * Updates some parameters and records the result in the address bar
+   * @param {Object} changes - Parameters to change; the others are kept
+   * @param {Object} options - History options
+   * @param {string} options.coalesce - Consecutive updates with the same key share one
+   *   history entry (e.g. 'search' while typing), so Back skips over keystrokes
+   * @param {boolean} options.replace - Replace the current entry instead of adding one
+   */
+  const updateUrl = (changes, { coalesce = null, replace = false } = {}) => {
+    const newParams = { ...urlParamsRef.current, ...changes };
     const url = new URL(window.location);
-    const searchParams = new URLSearchParams();
-    
-    // Only add non-default parameters to keep URLs clean
-    if (newParams.search) {
-      searchParams.set('search', newParams.search);
-    }
-    if (newParams.sort && newParams.sort !== 'name') {
-      searchParams.set('sort', newParams.sort);  
-    }
-    if (newParams.person && newParams.person !== 'all') {
-      searchParams.set('person', newParams.person);
-    }
-    if (newParams.type && newParams.type !== 'all') {
-      searchParams.set('type', newParams.type);
+    url.pathname = formatRoute(newParams);
+    url.search = writeUrlParams(newParams);
+
+    if (url.toString() !== window.location.href) {
+      const shouldReplace = replace || (coalesce !== null && coalesce === lastCoalesceKey.current);
+      window.history[shouldReplace ? 'replaceState' : 'pushState']({}, '', url.toString());
     }
-    
-    url.search = searchParams.toString();
-    
-    // Update URL without page reload
-    window.history.replaceState({}, '', url.toString());
-    
+
+    lastCoalesceKey.current = coalesce;
+    urlParamsRef.current = newParams;
     setUrlParams(newParams);
   };
-  
+
   return {
     urlParams,
     updateUrl
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Reads view state from the path and query string, falling back to defaults for anything invalid
+ * Role, kind, document date and sort values that no longer exist, e.g. from old links, are dropped.
+ * @param {Object} location - window.location
+ * @returns {Object} Parameters shaped like DEFAULT_URL_PARAMS
+ */
+function readUrlParams(location) {
+  const params = new URLSearchParams(location.search);
+  const route = readRoute(location.pathname);
+  const page = parseInt(params.get('page'), 10);
+
+  return {
+    search: params.get('search') || DEFAULT_URL_PARAMS.search,
+    person: params.get('person') || DEFAULT_URL_PARAMS.person,
+    role: readChoice(params, 'role', ROLE_FILTERS),
+    type: params.get('type') || DEFAULT_URL_PARAMS.type,
+    kind: readChoice(params, 'kind', KIND_FILTERS),
+    source: params.get('source') || DEFAULT_URL_PARAMS.source,
+    dated: readChoice(params, 'dated', DATED_FILTERS),
+    tag: params.get('tag') || DEFAULT_URL_PARAMS.tag,
+    changed: params.get('changed') === '1',
+    sort: readChoice(params, 'sort', SORT_KEYS),
+    order: params.get('order') === 'desc' ? 'desc' : 'asc',
+    folder: route.folder || params.get('folder') || DEFAULT_URL_PARAMS.folder, // ?folder= on detail pages and older links
+    scope: params.get('scope') === 'all' ? 'all' : 'folder',
+    view: params.get('view') === 'timeline' ? 'timeline' : 'list',
+    zoom: TIMELINE_ZOOMS.includes(params.get('zoom')) ? params.get('zoom') : DEFAULT_URL_PARAMS.zoom,
+    cite: CITATION_STYLES.some(style => style.id === params.get('cite')) ? params.get('cite') : DEFAULT_URL_PARAMS.cite,
+    page: page > 0 ? page : DEFAULT_URL_PARAMS.page,
+    collection: params.get('collection') || DEFAULT_URL_PARAMS.collection,
+    shared: params.get('shared') || DEFAULT_URL_PARAMS.shared,
+    file: params.get('file') || DEFAULT_URL_PARAMS.file,
+    detail: route.detail
+  };
+}
+
+/**
+ * Reads a parameter that must be one of a fixed set of values
+ * @param {URLSearchParams} params - Query string parameters
+ * @param {string} key - Parameter name, also its key in DEFAULT_URL_PARAMS
+ * @param {Array} choices - Allowed values
+ * @returns {string} The value, or the default if it is missing or unknown
+ */
+function readChoice(params, key, choices) {
+  const value = params.get(key);
+  return choices.includes(value) ? value : DEFAULT_URL_PARAMS[key];
+}
+
+/**
+ * Serializes view state, leaving out defaults to keep URLs clean
+ * Detail pages keep the folder being browsed in the query string, for the way back.
+ * @param {Object} urlParams - Parameters shaped like DEFAULT_URL_PARAMS
+ * @returns {string} Query string without the leading '?'
+ */
+function writeUrlParams(urlParams) {
+  const searchParams = new URLSearchParams();
+
+  Object.keys(DEFAULT_URL_PARAMS).forEach(key => {
+    if (key === 'detail' || (key === 'folder' && !urlParams.detail)) {
+      return; // In the path
+    }
+
+    const value = urlParams[key];
+    if (value === DEFAULT_URL_PARAMS[key] || value === '' || value === null || value === undefined) {
+      return;
+    }
+    searchParams.set(key, typeof value === 'boolean' ? '1' : String(value));
+  });
+
+  return searchParams.toString();
+}
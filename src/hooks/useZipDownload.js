@@ -0,0 +1,133 @@
+// src/hooks/useZipDownload.js
+// Hook for downloading several files as one ZIP archive
+
+import { useState, useRef } from 'react';
+import { downloadFilesAsZip } from '../utils/bulkDownload.js';
+import { createBlobOutput } from '../utils/zipWriter.js';
+import { saveBlob, canSaveAsStream, openSaveStream } from '../utils/fileExport.js';
+import { ARCHIVE_SOURCES } from '../config/sources.js';
+
+// File relay that adds CORS headers; files are fetched directly when it is not set
+const FILE_PROXY_URL = process.env.FILE_PROXY_URL; // Injected by webpack DefinePlugin
+
+const ZIP_FILE_TYPE = { description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } };
+
+/**
+ * Custom hook that runs a ZIP download and reports its progress
+ * Where the browser allows it the archive is written straight to the file the user picks;
+ * elsewhere it is built in memory and saved at the end (see streamsToDisk).
+ * @returns {Object} { status, progress, failures, error, streamsToDisk, startDownload, cancelDownload, dismiss }
+ */
+export function useZipDownload() {
+  const [status, setStatus] = useState('idle'); // 'idle', 'downloading', 'done', 'cancelled' or 'error'
+  const [progress, setProgress] = useState(null);
+  const [failures, setFailures] = useState([]);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+
+  /**
+   * Downloads files into an archive and hands it to the browser to save
+   * @param {Array} files - Files to include
+   * @param {string} archiveName - Suggested file name, e.g. 'jackson-files.zip'
+   */
+  const startDownload = async (files, archiveName) => {
+    // The picker has to come first, while the click still counts as the user's
+    let output = null;
+    if (canSaveAsStream()) {
+      try {
+        output = await openSaveStream(archiveName, ZIP_FILE_TYPE);
+      } catch (err) {
+        if (err.name === 'AbortError') return; // Picker closed without choosing a file
+        console.warn('Could not open a file to save into, building the archive in memory:', err.message);
+      }
+    }
+    output = output || createBlobOutput('application/zip');
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setStatus('downloading');
+    setProgress(null);
+    setFailures([]);
+    setError(null);
+
+    try {
+      const result = await downloadFilesAsZip(files, {
+        output,
+        fetchFile,
+        onProgress: setProgress,
+        signal: controller.signal
+      });
+
+      setFailures(result.failures);
+      if (result.failures.length === files.length) {
+        await discard(output);
+        setStatus('error');
+        setError('None of the selected files could be downloaded.');
+        return;
+      }
+
+      // A file on disk is complete once closed; an archive in memory still has to be saved
+      const archive = await output.close();
+      if (archive) saveBlob(archive, archiveName);
+      setStatus('done');
+    } catch (err) {
+      await discard(output);
+      if (controller.signal.aborted) {
+        setStatus('cancelled');
+      } else {
+        console.error('ZIP download failed:', err);
+        setStatus('error');
+        setError(err.message);
+      }
+    } finally {
+      controllerRef.current = null;
+    }
+  };
+
+  const cancelDownload = () => {
+    if (controllerRef.current) controllerRef.current.abort();
+  };
+
+  // Clears the outcome of the last download
+  const dismiss = () => {
+    setStatus('idle');
+    setProgress(null);
+    setFailures([]);
+    setError(null);
+  };
+
+  return {
+    status,
+    progress,
+    failures,
+    error,
+    streamsToDisk: canSaveAsStream(),
+    startDownload,
+    cancelDownload,
+    dismiss
+  };
+}
+
+/**
+ * Drops a half-written archive; a file on disk is deleted rather than left truncated
+ * @param {Object} output - Archive output
+ */
+async function discard(output) {
+  try {
+    await output.abort();
+  } catch (err) {
+    console.warn('Could not discard the unfinished archive:', err.message);
+  }
+}
+
+/**
+ * Fetches a file's bytes, through the file relay unless its source serves CORS itself
+ * @param {Object} file - File object
+ * @param {AbortSignal} signal - Cancels the request
+ * @returns {Promise<Response>} The response
+ */
+function fetchFile(file, signal) {
+  const source = ARCHIVE_SOURCES.find(candidate => candidate.id === file.source);
+  const direct = !FILE_PROXY_URL || (source && source.proxy === 'none');
+  return fetch(direct ? file.url : FILE_PROXY_URL + encodeURIComponent(file.url), { signal });
+}
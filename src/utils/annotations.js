@@ -0,0 +1,209 @@
+// src/utils/annotations.js
+// Reviewers' tags and notes on files, kept in the browser and shared as JSON files
+//
+// An annotation is { tags, note, url, path, source, sizeBytes, updatedAt }, stored under
+// the file's id. Marking a file reviewed adds REVIEWED_TAG, so it filters and searches
+// like any other tag. Annotations remember where the file was and its size, so they can
+// follow a file whose id changed or that moved to another folder (see fileIds.js).
+// When one does, the record under the old key is kept with movedTo set to the new id,
+// and readAnnotations leaves it out; nothing a reviewer wrote is ever deleted by a move.
+
+import { getAllRecords, putRecords } from './indexedDb.js';
+import { createFileKeyResolver } from './fileIds.js';
+
+const STORE_NAME = 'annotations';
+
+export const ANNOTATIONS_EXPORT_VERSION = 1;
+export const REVIEWED_TAG = 'reviewed';
+
+// Offered while typing a tag, next to the tags already in use
+export const SUGGESTED_TAGS = ['key evidence', 'needs follow-up'];
+
+const EMPTY_ANNOTATION = Object.freeze({ tags: Object.freeze([]), note: '', url: null, path: null, source: null, sizeBytes: null, updatedAt: null });
+
+/**
+ * Cleans up a tag as typed: trimmed, lower case, single spaces
+ * @param {string} tag - Tag text
+ * @returns {string} Normalized tag, '' if nothing is left
+ */
+export function normalizeTag(tag) {
+  return String(tag || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Builds an annotation for a file
+ * @param {Object} file - File object the annotation belongs to
+ * @param {Object} fields - { tags, note }
+ * @param {string} updatedAt - ISO time of the change; defaults to now
+ * @returns {Object} Annotation with normalized, unique tags
+ */
+export function createAnnotation(file, { tags = [], note = '' }, updatedAt = new Date().toISOString()) {
+  return {
+    tags: [...new Set(tags.map(normalizeTag).filter(Boolean))],
+    note: String(note || ''),
+    url: file.url,
+    path: file.path || file.filename,
+    source: file.source || null,
+    sizeBytes: file.sizeBytes || null,
+    updatedAt
+  };
+}
+
+/**
+ * Checks whether an annotation carries anything worth keeping
+ * @param {Object} annotation - Annotation
+ * @returns {boolean} True if it has no tags and no note
+ */
+export function isEmptyAnnotation(annotation) {
+  return annotation.tags.length === 0 && annotation.note.trim() === '';
+}
+
+/**
+ * Looks up a file's annotation
+ * @param {Map} annotations - Annotations by file id, or null
+ * @param {Object} file - File object
+ * @returns {Object} The annotation, or an empty one
+ */
+export function getAnnotation(annotations, file) {
+  return (annotations && annotations.get(file.id)) || EMPTY_ANNOTATION;
+}
+
+/**
+ * Lists the tags in use, alphabetically with 'reviewed' first
+ * @param {Map} annotations - Annotations by file id
+ * @returns {Array} Tag names
+ */
+export function getAnnotationTags(annotations) {
+  const tags = new Set([...annotations.values()].flatMap(annotation => annotation.tags));
+  return [...tags].sort((a, b) => {
+    if (a === REVIEWED_TAG || b === REVIEWED_TAG) return a === REVIEWED_TAG ? -1 : 1;
+    return a < b ? -1 : 1;
+  });
+}
+
+/**
+ * Combines two annotations of the same file, losing nothing from either
+ * Tags are joined; differing notes are both kept, older first.
+ * @param {Object} current - Annotation already stored
+ * @param {Object} incoming - Annotation being imported
+ * @returns {Object} Merged annotation
+ */
+export function mergeAnnotations(current, incoming) {
+  if (isEmptyAnnotation(current)) return incoming;
+
+  const [older, newer] = (current.updatedAt || '') <= (incoming.updatedAt || '') ? [current, incoming] : [incoming, current];
+  const olderNote = older.note.trim();
+  const newerNote = newer.note.trim();
+  let note = newer.note;
+  if (olderNote && !newerNote.includes(olderNote)) {
+    note = newerNote ? `${olderNote}\n\n${newerNote}` : older.note;
+  }
+
+  return {
+    ...newer,
+    tags: [...new Set([...older.tags, ...newer.tags])],
+    note
+  };
+}
+
+/**
+ * Reads every stored annotation, leaving out those kept under a key their file moved away from
+ * @returns {Promise<Map>} Annotations by file id; empty if storage is unavailable
+ */
+export async function readAnnotations() {
+  try {
+    const records = await getAllRecords(STORE_NAME);
+    return new Map([...records].filter(([, annotation]) => !annotation.movedTo));
+  } catch (err) {
+    console.warn('Could not read annotations:', err.message);
+    return new Map();
+  }
+}
+
+/**
+ * Stores annotations, deleting empty ones
+ * @param {Array} entries - [fileId, annotation] pairs; null deletes the file's annotation
+ * @returns {Promise<void>} Rejects if storage is unavailable
+ */
+export function writeAnnotations(entries) {
+  return putRecords(STORE_NAME, entries.map(([fileId, annotation]) => (
+    [fileId, annotation === null || isEmptyAnnotation(annotation) ? null : annotation]
+  )));
+}
+
+/**
+ * Works out which annotations must move to a new key: those stored under an old-style
+ * id, and those of files that moved to another folder
+ * The record under the old key stays, marked with movedTo, so a wrong match loses nothing.
+ * Annotations whose file is not listed are left alone; it may be back on the next fetch.
+ * @param {Map} annotations - Annotations by stored key
+ * @param {Array} files - Current file objects
+ * @returns {Array} [key, annotation] changes for writeAnnotations; empty if nothing moves
+ */
+export function migrateAnnotationKeys(annotations, files) {
+  const resolveKey = createFileKeyResolver(files);
+  const filesById = new Map(files.map(file => [file.id, file]));
+  const moved = new Map();
+
+  annotations.forEach((annotation, key) => {
+    if (filesById.has(key)) return;
+
+    const fileId = resolveKey(key, annotation);
+    if (!fileId) return;
+
+    const file = filesById.get(fileId);
+    const target = moved.get(fileId) || getAnnotation(annotations, file);
+    moved.set(fileId, mergeAnnotations(target, createAnnotation(file, annotation, annotation.updatedAt)));
+    moved.set(key, { ...annotation, movedTo: fileId });
+  });
+
+  return [...moved];
+}
+
+/**
+ * Formats annotations for sharing
+ * @param {Map} annotations - Annotations by file id
+ * @returns {Object} { version, exportedAt, annotations: [{ id, url, path, tags, note, updatedAt }] }
+ */
+export function formatAnnotationsExport(annotations) {
+  return {
+    version: ANNOTATIONS_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    annotations: [...annotations].map(([id, annotation]) => ({ id, ...annotation }))
+  };
+}
+
+/**
+ * Matches the annotations in an export to the files listed now
+ * Files are found as createFileKeyResolver describes: by id, URL, old-style id, or a moved file of the same size.
+ * @param {Object} data - Parsed export from formatAnnotationsExport
+ * @param {Array} files - Current file objects
+ * @returns {Object} { annotations: Map by file id, unmatched: number of annotations for files not listed }
+ * @throws {Error} If the data is not an annotations export
+ */
+export function readAnnotationsExport(data, files) {
+  if (!data || !Array.isArray(data.annotations)) {
+    throw new Error('This file is not an annotations export');
+  }
+  if (data.version !== ANNOTATIONS_EXPORT_VERSION) {
+    throw new Error(`Unsupported annotations export version ${data.version}`);
+  }
+
+  const resolveKey = createFileKeyResolver(files);
+  const filesById = new Map(files.map(file => [file.id, file]));
+  const annotations = new Map();
+  let unmatched = 0;
+
+  data.annotations.forEach(entry => {
+    const file = entry && Array.isArray(entry.tags) ? filesById.get(resolveKey(entry.id, entry)) : null;
+    if (!file) {
+      unmatched++;
+      return;
+    }
+
+    const annotation = createAnnotation(file, entry, entry.updatedAt || new Date().toISOString());
+    annotations.set(file.id, annotations.has(file.id) ? mergeAnnotations(annotations.get(file.id), annotation) : annotation);
+  });
+
+  return { annotations, unmatched };
+}
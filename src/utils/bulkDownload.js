@@ -0,0 +1,134 @@
+// src/utils/bulkDownload.js
+// Downloads a set of files into one ZIP archive, with a manifest of where each came from
+
+import { createZipArchive } from './zipWriter.js';
+import { toCsv } from './csv.js';
+
+export const MANIFEST_NAME = 'manifest.csv';
+
+// Archives built in memory (see createBlobOutput) risk running the tab out of memory above this size
+export const IN_MEMORY_ZIP_WARNING_BYTES = 500 * 1024 * 1024;
+
+/**
+ * Streams files into a ZIP archive one at a time
+ * A file that fails is left out and reported; the others are still archived.
+ * @param {Array} files - File objects to download
+ * @param {Object} options
+ * @param {Object} options.output - Where the archive is written, e.g. a file being saved; see zipWriter.js.
+ *   It is left open: the caller closes it, or aborts it if this rejects.
+ * @param {Function} options.fetchFile - (file, signal) => Promise<Response>
+ * @param {Function} options.onProgress - Called with { fileIndex, fileCount, file, bytesDone, bytesTotal, failureCount }
+ * @param {AbortSignal} options.signal - Cancels the download; the promise then rejects with an AbortError
+ * @returns {Promise<Object>} { failures: [{ file, message }] }
+ */
+export async function downloadFilesAsZip(files, { output, fetchFile, onProgress = () => {}, signal } = {}) {
+  const zip = createZipArchive(output);
+  const archivePaths = getArchivePaths(files);
+  const bytesTotal = files.reduce((sum, file) => sum + (file.sizeBytes || 0), 0);
+  const failures = [];
+  const manifest = [['path', 'original_url', 'size_bytes', 'status', 'error']];
+  let bytesDone = 0;
+
+  for (let index = 0; index < files.length; index++) {
+    const file = files[index];
+    const report = () => onProgress({
+      fileIndex: index,
+      fileCount: files.length,
+      file,
+      bytesDone,
+      bytesTotal: Math.max(bytesTotal, bytesDone),
+      failureCount: failures.length
+    });
+    report();
+
+    const bytesBefore = bytesDone;
+    try {
+      const response = await fetchFile(file, signal);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const chunks = response.body ? readChunks(response.body) : [new Uint8Array(await response.arrayBuffer())];
+      const size = await zip.addEntry(archivePaths[index], chunks, getModifiedDate(file), length => {
+        bytesDone += length;
+        report();
+      });
+      manifest.push([archivePaths[index], file.url, size, 'included', '']);
+    } catch (err) {
+      if (signal && signal.aborted) throw err;
+
+      bytesDone = bytesBefore;
+      const message = describeDownloadError(err);
+      failures.push({ file, message });
+      manifest.push([archivePaths[index], file.url, '', 'failed', message]);
+    }
+  }
+
+  await zip.addText(MANIFEST_NAME, toCsv(manifest));
+  await zip.finish();
+  return { failures };
+}
+
+/**
+ * Picks a unique path inside the archive for every file, keeping folder structure
+ * @param {Array} files - File objects
+ * @returns {Array} Paths in the same order, e.g. 'Depositions/TJ000123.pdf'
+ */
+export function getArchivePaths(files) {
+  const used = new Set([MANIFEST_NAME]);
+
+  return files.map(file => {
+    const path = (file.path || file.filename).replace(/^\/+/, '');
+    let candidate = path;
+
+    // Same name from two sources or an odd listing: name (2).pdf, name (3).pdf, ...
+    for (let copy = 2; used.has(candidate.toLowerCase()); copy++) {
+      candidate = path.replace(/(\.[^./]+)?$/, ext => ` (${copy})${ext}`);
+    }
+
+    used.add(candidate.toLowerCase());
+    return candidate;
+  });
+}
+
+/**
+ * Reads a fetch body stream chunk by chunk
+ * Written out instead of `for await (... of stream)` so older Safari works too.
+ * @param {ReadableStream} stream - Response body
+ */
+async function* readChunks(stream) {
+  const reader = stream.getReader();
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) return;
+      yield value;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Listing dates become the archive entries' modification times
+ * @param {Object} file - File object
+ * @returns {Date} The listing date, or now if it is unknown
+ */
+function getModifiedDate(file) {
+  const match = (file.date || '').match(/^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2})/);
+  if (!match) return new Date();
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]), Number(match[4]), Number(match[5]));
+}
+
+/**
+ * Converts a per-file error into a message for the failure list and manifest
+ * @param {Error} err - Error thrown while fetching or archiving
+ * @returns {string} Message
+ */
+function describeDownloadError(err) {
+  if (err instanceof TypeError) {
+    // fetch reports CORS refusals and network failures the same way
+    return 'The file server refused the download or could not be reached';
+  }
+  return err.message;
+}
@@ -0,0 +1,59 @@
+// src/utils/catalogCache.js
+// Persists the last fetched file list so the next visit can show it immediately
+
+import { getRecord, putRecord } from './indexedDb.js';
+import { SNAPSHOT_VERSION } from './snapshot.js';
+
+const STORE_NAME = 'catalog';
+const CATALOG_KEY = 'current';
+
+/**
+ * Reads the cached file list if it was fetched from the same sources
+ * @param {Array} sources - Currently configured sources
+ * @returns {Promise<Object|null>} { files, errors, fetchedAt: Date, sourceUrls } or null
+ */
+export async function readCachedCatalog(sources) {
+  try {
+    const record = await getRecord(STORE_NAME, CATALOG_KEY);
+
+    // File objects share their shape with snapshots, so the same version applies
+    if (!record || record.version !== SNAPSHOT_VERSION || !Array.isArray(record.files)) {
+      return null;
+    }
+
+    // A change to the source configuration makes the cached list meaningless
+    const sourceUrls = sources.map(source => source.url);
+    if (record.sourceUrls.join('\n') !== sourceUrls.join('\n')) {
+      console.log('Ignoring cached file list from a different source configuration');
+      return null;
+    }
+
+    return { ...record, fetchedAt: new Date(record.fetchedAt) };
+  } catch (err) {
+    console.warn('Could not read cached file list:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Stores the current file list together with when and where it was fetched
+ * @param {Object} catalog
+ * @param {Array} catalog.files - Parsed file objects
+ * @param {Array} catalog.errors - Subfolders that failed to load
+ * @param {Date} catalog.fetchedAt - When the list was fetched from the server
+ * @param {Array} catalog.sources - Sources the list was fetched from
+ * @returns {Promise<void>}
+ */
+export async function writeCachedCatalog({ files, errors = [], fetchedAt, sources }) {
+  try {
+    await putRecord(STORE_NAME, CATALOG_KEY, {
+      version: SNAPSHOT_VERSION,
+      fetchedAt: fetchedAt.toISOString(),
+      sourceUrls: sources.map(source => source.url),
+      errors: errors,
+      files: files
+    });
+  } catch (err) {
+    console.warn('Could not cache file list:', err.message);
+  }
+}
@@ -0,0 +1,111 @@
+// src/utils/changeLog.js
+// Detects added, removed and changed files between fetches and keeps a history
+
+import { getRecord, putRecord } from './indexedDb.js';
+
+const STORE_NAME = 'changelog';
+const ENTRIES_KEY = 'entries';
+const MAX_ENTRIES = 50; // Oldest entries are dropped beyond this
+
+/**
+ * Compares two file lists by URL
+ * @param {Array} previous - Earlier file list
+ * @param {Array} current - Newer file list
+ * @returns {Object} { added, removed, changed } where changed items are
+ *   { file, previous, fields } and fields lists 'size' and/or 'date'
+ */
+export function diffFileLists(previous, current) {
+  const previousByUrl = new Map(previous.map(file => [file.url, file]));
+  const currentUrls = new Set(current.map(file => file.url));
+
+  const added = [];
+  const changed = [];
+
+  current.forEach(file => {
+    const before = previousByUrl.get(file.url);
+
+    if (!before) {
+      added.push(file);
+      return;
+    }
+
+    const fields = [];
+    if (before.size !== file.size || before.sizeBytes !== file.sizeBytes) fields.push('size');
+    if (before.date !== file.date) fields.push('date');
+
+    if (fields.length > 0) {
+      changed.push({ file, previous: before, fields });
+    }
+  });
+
+  const removed = previous.filter(file => !currentUrls.has(file.url));
+
+  return { added, removed, changed };
+}
+
+/**
+ * Checks whether a diff contains any differences
+ * @param {Object} diff - Result of diffFileLists
+ * @returns {boolean} True if anything was added, removed or changed
+ */
+export function hasChanges(diff) {
+  return diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0;
+}
+
+/**
+ * Maps each file URL in a diff to its change status for row badges
+ * @param {Object} diff - Result of diffFileLists
+ * @returns {Map} url => 'new' | 'changed'
+ */
+export function getChangeStatusByUrl(diff) {
+  const statusByUrl = new Map();
+  diff.added.forEach(file => statusByUrl.set(file.url, 'new'));
+  diff.changed.forEach(({ file }) => statusByUrl.set(file.url, 'changed'));
+  return statusByUrl;
+}
+
+/**
+ * Reads the stored change history, newest first
+ * @returns {Promise<Array>} Change log entries
+ */
+export async function readChangeLog() {
+  try {
+    return (await getRecord(STORE_NAME, ENTRIES_KEY)) || [];
+  } catch (err) {
+    console.warn('Could not read change log:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Stores the differences between two fetches as a new change log entry
+ * @param {Object} diff - Result of diffFileLists
+ * @param {Date} fetchedAt - When the newer list was fetched
+ * @param {Date} previousFetchedAt - When the older list was fetched
+ * @returns {Promise<Array>} The updated change log, newest first
+ */
+export async function appendChangeLogEntry(diff, fetchedAt, previousFetchedAt) {
+  const summarize = file => ({ url: file.url, displayName: file.displayName, path: file.path || file.filename });
+
+  const entry = {
+    fetchedAt: fetchedAt.toISOString(),
+    previousFetchedAt: previousFetchedAt.toISOString(),
+    added: diff.added.map(summarize),
+    removed: diff.removed.map(summarize),
+    changed: diff.changed.map(({ file, previous, fields }) => ({
+      ...summarize(file),
+      fields: fields,
+      before: { size: previous.size, date: previous.date },
+      after: { size: file.size, date: file.date }
+    }))
+  };
+
+  try {
+    const entries = [entry, ...(await readChangeLog())].slice(0, MAX_ENTRIES);
+    await putRecord(STORE_NAME, ENTRIES_KEY, entries);
+    return entries;
+  } catch (err) {
+    console.warn('Could not store change log entry:', err.message);
+    return [entry];
+  }
+}
@@ -0,0 +1,74 @@
+// src/utils/citations.js
+// Formats files as citations for briefs and reports
+//
+// Citations use the document date when one was found and "n.d." otherwise; the
+// server's modification date says when a file was uploaded, not when it was
+// written. Folders can't be cited and are skipped by formatCitationList.
+
+import { getFilePersons } from './queryEngine.js';
+import { getKindLabel } from './documentKinds.js';
+
+export const CITATION_STYLES = [
+  { id: 'bluebook', label: 'Bluebook' },
+  { id: 'apa', label: 'APA' },
+  { id: 'chicago', label: 'Chicago' },
+  { id: 'short', label: 'Short form' }
+];
+
+export const DEFAULT_CITATION_STYLE = CITATION_STYLES[0].id;
+
+// Bluebook abbreviates months in citations (table T12)
+const BLUEBOOK_MONTHS = ['Jan.', 'Feb.', 'Mar.', 'Apr.', 'May', 'June', 'July', 'Aug.', 'Sept.', 'Oct.', 'Nov.', 'Dec.'];
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+const NO_DATE = 'n.d.';
+
+/**
+ * Formats one file as a citation
+ * @param {Object} file - File object
+ * @param {string} style - Id from CITATION_STYLES; unknown styles fall back to the default
+ * @returns {string} Citation text
+ */
+export function formatCitation(file, style = DEFAULT_CITATION_STYLE) {
+  const title = file.displayName || file.filename;
+  const persons = getFilePersons(file).filter(person => person !== 'Unknown');
+  const kind = file.kind && file.kind !== 'other' ? getKindLabel(file.kind) : null;
+  const date = file.documentDate ? file.documentDate.value.split('-').map(Number) : null;
+
+  switch (style) {
+    case 'apa': {
+      // Works without an author move the title into the author position
+      const dated = `(${date ? `${date[0]}, ${MONTHS[date[1] - 1]} ${date[2]}` : NO_DATE}).`;
+      const described = `${title}${kind ? ` [${kind}]` : ''}.`;
+      const parts = persons.length > 0
+        ? [`${persons.join(', ')}.`, dated, described]
+        : [described, dated];
+      return [...parts, file.sourceLabel && `${file.sourceLabel}.`, file.url].filter(Boolean).join(' ');
+    }
+    case 'chicago': {
+      const dated = date ? `${MONTHS[date[1] - 1]} ${date[2]}, ${date[0]}` : NO_DATE;
+      const described = [kind, dated].filter(Boolean).join(', ').replace(/\.?$/, '.'); // n.d. keeps one period
+      return `${persons.length > 0 ? `${persons.join(', ')}. ` : ''}"${title}." ${described} ${file.url}.`;
+    }
+    case 'short':
+      return `${title} (${date ? file.documentDate.value : NO_DATE})`;
+    case 'bluebook':
+    default: {
+      const dated = date ? `${BLUEBOOK_MONTHS[date[1] - 1]} ${date[2]}, ${date[0]}` : NO_DATE;
+      return `${title} (${dated}), ${file.url}`;
+    }
+  }
+}
+
+/**
+ * Formats files as a numbered citation list, one per line, in the given order
+ * @param {Array} files - File objects; folders are left out
+ * @param {string} style - Id from CITATION_STYLES
+ * @returns {string} Citation list text
+ */
+export function formatCitationList(files, style = DEFAULT_CITATION_STYLE) {
+  return files
+    .filter(file => file.type !== 'folder')
+    .map((file, index) => `${index + 1}. ${formatCitation(file, style)}`)
+    .join('\n') + '\n';
+}
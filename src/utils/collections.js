@@ -0,0 +1,216 @@
+// src/utils/collections.js
+// Named, hand-picked lists of files, kept in the browser and shared as JSON files or links
+//
+// A collection is { name, files: [{ id, url, path, source, sizeBytes }], updatedAt }, stored
+// under its name in lower case. Like annotations, entries remember where each file was and
+// its size, so a collection still finds a file whose id changed or that moved (see fileIds.js).
+// Shared links only carry the name and the file ids, to stay short.
+
+import { getAllRecords, putRecords } from './indexedDb.js';
+import { createFileKeyResolver } from './fileIds.js';
+
+const STORE_NAME = 'collections';
+
+export const COLLECTIONS_EXPORT_VERSION = 1;
+
+/**
+ * Gets the key a collection is stored under
+ * @param {string} name - Name as typed
+ * @returns {string} Trimmed, lower-case name with single spaces
+ */
+export function getCollectionKey(name) {
+  return name.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Starts a collection
+ * @param {string} name - Name such as 'Ewell depositions'
+ * @param {Array} files - File objects to put in it
+ * @returns {Object} Collection
+ */
+export function createCollection(name, files = []) {
+  return addFilesToCollection({ name: name.trim().replace(/\s+/g, ' '), files: [], updatedAt: null }, files);
+}
+
+/**
+ * Adds files to the end of a collection, skipping those already in it
+ * @param {Object} collection - Collection
+ * @param {Array} files - File objects
+ * @returns {Object} Updated collection
+ */
+export function addFilesToCollection(collection, files) {
+  const ids = new Set(collection.files.map(entry => entry.id));
+  const added = files
+    .filter(file => !ids.has(file.id))
+    .map(file => ({ id: file.id, url: file.url, path: file.path || file.filename, source: file.source || null, sizeBytes: file.sizeBytes || null }));
+
+  return { ...collection, files: [...collection.files, ...added], updatedAt: new Date().toISOString() };
+}
+
+/**
+ * Takes files out of a collection
+ * @param {Object} collection - Collection
+ * @param {Array} fileIds - Ids of the files to remove
+ * @returns {Object} Updated collection
+ */
+export function removeFilesFromCollection(collection, fileIds) {
+  const ids = new Set(fileIds);
+  return {
+    ...collection,
+    files: collection.files.filter(entry => !ids.has(entry.id)),
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Combines two collections of the same name, keeping every file of both
+ * @param {Object} current - Collection already stored
+ * @param {Object} incoming - Collection being imported
+ * @returns {Object} Merged collection, current files first
+ */
+export function mergeCollections(current, incoming) {
+  const ids = new Set(current.files.map(entry => entry.id));
+  return {
+    ...current,
+    files: [...current.files, ...incoming.files.filter(entry => !ids.has(entry.id))],
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Finds the files of a collection among the files listed now
+ * @param {Object} collection - Collection
+ * @param {Array} files - Current file objects
+ * @returns {Object} { files: file objects in collection order, missing: number of entries not found }
+ */
+export function resolveCollection(collection, files) {
+  const resolveKey = createFileKeyResolver(files);
+  const filesById = new Map(files.map(file => [file.id, file]));
+  const found = new Set();
+  let missing = 0;
+
+  collection.files.forEach(entry => {
+    const file = filesById.get(resolveKey(entry.id, entry));
+    if (file) {
+      found.add(file);
+    } else {
+      missing++;
+    }
+  });
+
+  return { files: [...found], missing };
+}
+
+/**
+ * Reads every stored collection
+ * @returns {Promise<Map>} Collections by key; empty if storage is unavailable
+ */
+export async function readCollections() {
+  try {
+    return await getAllRecords(STORE_NAME);
+  } catch (err) {
+    console.warn('Could not read collections:', err.message);
+    return new Map();
+  }
+}
+
+/**
+ * Stores or deletes collections
+ * @param {Array} entries - [key, collection] pairs; null deletes the key
+ * @returns {Promise<void>} Rejects if storage is unavailable
+ */
+export function writeCollections(entries) {
+  return putRecords(STORE_NAME, entries);
+}
+
+/**
+ * Formats collections for sharing as a file
+ * @param {Array} collections - Collections
+ * @returns {Object} { version, exportedAt, collections }
+ */
+export function formatCollectionsExport(collections) {
+  return {
+    version: COLLECTIONS_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    collections
+  };
+}
+
+/**
+ * Reads the collections in an export, dropping entries that are not files
+ * @param {Object} data - Parsed export from formatCollectionsExport
+ * @returns {Array} Collections
+ * @throws {Error} If the data is not a collections export
+ */
+export function readCollectionsExport(data) {
+  if (!data || !Array.isArray(data.collections)) {
+    throw new Error('This file is not a collections export');
+  }
+  if (data.version !== COLLECTIONS_EXPORT_VERSION) {
+    throw new Error(`Unsupported collections export version ${data.version}`);
+  }
+
+  return data.collections
+    .filter(collection => collection && typeof collection.name === 'string' && collection.name.trim() && Array.isArray(collection.files))
+    .map(collection => ({
+      name: collection.name.trim().replace(/\s+/g, ' '),
+      files: collection.files
+        .filter(entry => entry && typeof entry.id === 'string')
+        .map(entry => ({
+          id: entry.id,
+          url: entry.url || null,
+          path: entry.path || null,
+          source: entry.source || null,
+          sizeBytes: typeof entry.sizeBytes === 'number' ? entry.sizeBytes : null
+        })),
+      updatedAt: collection.updatedAt || new Date().toISOString()
+    }));
+}
+
+/**
+ * Packs a collection's name and file ids into a URL-safe string for a shared link
+ * @param {Object} collection - Collection
+ * @returns {string} Base64url text
+ */
+export function encodeSharedCollection(collection) {
+  const json = JSON.stringify({ name: collection.name, ids: collection.files.map(entry => entry.id) });
+  const binary = Array.from(new TextEncoder().encode(json), byte => String.fromCharCode(byte)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Builds a link that opens a collection in any browser
+ * The page's own path is kept, so the link works wherever the app is served from.
+ * @param {Object} collection - Collection
+ * @param {string} pageUrl - Address of the page showing the collection, e.g. window.location.href
+ * @returns {string} Absolute URL whose query string only holds the shared collection
+ */
+export function getCollectionShareLink(collection, pageUrl) {
+  const url = new URL(pageUrl);
+  url.search = new URLSearchParams({ shared: encodeSharedCollection(collection) }).toString();
+  url.hash = '';
+  return url.toString();
+}
+
+/**
+ * Unpacks a collection from a shared link
+ * @param {string} value - Text from encodeSharedCollection
+ * @returns {Object|null} Collection whose entries only have ids, or null if the text is damaged
+ */
+export function decodeSharedCollection(value) {
+  try {
+    const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+    const data = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0))));
+    if (typeof data.name !== 'string' || !data.name.trim() || !Array.isArray(data.ids)) {
+      return null;
+    }
+
+    return {
+      name: data.name.trim().replace(/\s+/g, ' '),
+      files: data.ids.filter(id => typeof id === 'string').map(id => ({ id, url: null, path: null, source: null, sizeBytes: null })),
+      updatedAt: null
+    };
+  } catch {
+    return null;
+  }
+}
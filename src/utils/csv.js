@@ -0,0 +1,25 @@
+// src/utils/csv.js
+// Writes RFC 4180 CSV that spreadsheets open without an import dialog
+
+// Leading characters that make Excel and Google Sheets read a cell as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Formats rows as CSV
+ * Fields containing commas, quotes or line breaks are quoted; lines end in CRLF.
+ * Text that a spreadsheet would run as a formula, such as a filename or note
+ * starting with "=", is prefixed with an apostrophe so it shows as written.
+ * @param {Array} rows - Arrays of field values; null and undefined become empty fields
+ * @returns {string} CSV text
+ */
+export function toCsv(rows) {
+  return rows.map(row => row.map(formatField).join(',')).join('\r\n') + '\r\n';
+}
+
+function formatField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) {
+    text = `'${text}`; // Numbers stay numbers, negative ones included
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
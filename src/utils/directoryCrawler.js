@@ -0,0 +1,211 @@
+// src/utils/directoryCrawler.js
+// This module walks folder entries recursively to build a full archive tree
+
+import { parseDirectoryListing } from './directoryParser.js';
+import { createFileId, ensureUniqueFileIds } from './fileIds.js';
+
+/**
+ * Recursively crawls a directory listing and all of its subfolders
+ * @param {string} rootUrl - URL of the top-level directory listing
+ * @param {Function} fetchHtml - async (url) => html string for a listing page
+ * @param {Object} options - Crawl settings
+ * @param {number} options.maxDepth - How many folder levels below the root to follow (0 = root only)
+ * @param {number} options.concurrency - Maximum number of listings fetched at once
+ * @param {Function} options.onProgress - Called with { foldersScanned, foldersPending, filesFound }
+ * @param {Function} options.onFiles - Called with each folder's entries as soon as it is parsed
+ * @param {Function} options.DOMParser - DOMParser constructor passed through to parseDirectoryListing
+ * @param {string} options.format - Listing parser name, or 'auto' to detect it per folder
+ * @param {string} options.pathPrefix - Prepended to every parentPath and path, e.g. 'Other archive/'
+ * @returns {Promise<Object>} { files, errors } where errors lists subfolders that failed to load
+ */
+export async function crawlDirectory(rootUrl, fetchHtml, options = {}) {
+  const {
+    maxDepth = 5,
+    concurrency = 3,
+    onProgress = () => {},
+    onFiles = () => {},
+    DOMParser,
+    format = 'auto',
+    pathPrefix = ''
+  } = options;
+
+  const root = normalizeFolderUrl(rootUrl);
+
+  // Cycle protection - every folder URL is only ever queued once
+  const visited = new Set([root]);
+  const queue = [{ url: root, depth: 0, parentPath: pathPrefix }];
+  const files = [];
+  const errors = [];
+  let active = 0;
+  let foldersScanned = 0;
+
+  const reportProgress = () => {
+    onProgress({
+      foldersScanned,
+      foldersPending: queue.length + active,
+      filesFound: files.length
+    });
+  };
+
+  /**
+   * Fetches and parses one folder, queueing any subfolders it contains
+   */
+  const crawlFolder = async ({ url, depth, parentPath }) => {
+    const htmlContent = await fetchHtml(url);
+    const parsedFiles = parseDirectoryListing(htmlContent, url, { DOMParser, format, parentPath });
+    const folderEntries = [];
+
+    parsedFiles.forEach(file => {
+      // Links back to this folder or above it are navigation, not content
+      if (file.type === 'folder') {
+        const target = normalizeFolderUrl(file.url);
+        if (target === url || !target.startsWith(url)) {
+          return;
+        }
+      }
+
+      const entry = {
+        ...file,
+        parentPath: parentPath, // e.g. '' for the root, 'Depositions/' for a subfolder
+        path: pathPrefix + getRelativePath(file.url, root, file.filename),
+        depth: depth
+      };
+      files.push(entry);
+      folderEntries.push(entry);
+
+      if (entry.type !== 'folder' || depth >= maxDepth) {
+        return;
+      }
+
+      const folderUrl = normalizeFolderUrl(entry.url);
+
+      // Only follow folders below the root, and never the same folder twice
+      if (!folderUrl.startsWith(root) || visited.has(folderUrl)) {
+        return;
+      }
+
+      visited.add(folderUrl);
+      queue.push({ url: folderUrl, depth: depth + 1, parentPath: entry.path });
+    });
+
+    onFiles(folderEntries);
+  };
+
+  // The root listing must load; subfolder failures are collected instead of thrown
+  await crawlFolder(queue.shift());
+  foldersScanned++;
+  reportProgress();
+
+  await new Promise(resolve => {
+    const pump = () => {
+      if (queue.length === 0 && active === 0) {
+        resolve();
+        return;
+      }
+
+      while (active < concurrency && queue.length > 0) {
+        const task = queue.shift();
+        active++;
+
+        crawlFolder(task)
+          .catch(err => {
+            console.warn(`Failed to crawl folder ${task.url}:`, err.message);
+            errors.push({ url: task.url, path: task.parentPath, message: err.message });
+          })
+          .finally(() => {
+            active--;
+            foldersScanned++;
+            reportProgress();
+            pump();
+          });
+      }
+    };
+
+    pump();
+  });
+
+  return { files, errors };
+}
+
+/**
+ * Crawls one configured archive source, tagging its files with the source and an id
+ * Ids come from the source id and the path inside the source (see fileIds.js), so
+ * the path prefix added for multiple sources leaves them unchanged.
+ * @param {Object} source - Entry from ARCHIVE_SOURCES
+ * @param {Function} fetchHtml - async (url) => html string for a listing page
+ * Files passed to onFiles during the crawl are tagged too, but only the result has
+ * the rare repeated id made unique.
+ * @param {Object} options - crawlDirectory options; the source's own maxDepth and parser win
+ * @returns {Promise<Object>} { files, errors } as from crawlDirectory
+ */
+export async function crawlSource(source, fetchHtml, options = {}) {
+  const pathPrefix = options.pathPrefix || '';
+  const tagFile = file => ({
+    id: createFileId(source.id, file.path.substring(pathPrefix.length)),
+    ...file,
+    source: source.id,
+    sourceLabel: source.label
+  });
+
+  const { files, errors } = await crawlDirectory(source.url, fetchHtml, {
+    ...options,
+    maxDepth: source.maxDepth !== undefined ? source.maxDepth : options.maxDepth,
+    format: source.parser || 'auto',
+    onFiles: options.onFiles ? entries => options.onFiles(entries.map(tagFile)) : undefined
+  });
+
+  return {
+    files: ensureUniqueFileIds(files.map(tagFile)),
+    errors: errors.map(err => ({ ...err, source: source.id }))
+  };
+}
+
+/**
+ * Chooses the folder prefix for a source's files in the merged tree
+ * A single source keeps its folders at the top level; with several sources
+ * each one becomes a top-level folder named after its label.
+ * @param {Object} source - Entry from ARCHIVE_SOURCES
+ * @param {Array} sources - All configured sources
+ * @returns {string} '' or a path such as 'Jackson case files/'
+ */
+export function getSourcePathPrefix(source, sources) {
+  return sources.length > 1 ? `${source.label.replace(/\//g, '-')}/` : '';
+}
+
+/**
+ * Normalizes a folder URL so equivalent spellings compare equal
+ * @param {string} url - Folder URL
+ * @returns {string} URL without query/hash and with a trailing slash
+ */
+function normalizeFolderUrl(url) {
+  const parsed = new URL(url);
+  parsed.search = '';
+  parsed.hash = '';
+
+  if (!parsed.pathname.endsWith('/')) {
+    parsed.pathname += '/';
+  }
+
+  return parsed.toString();
+}
+
+/**
+ * Builds the path of an entry relative to the crawl root
+ * @param {string} fileUrl - Absolute URL of the entry
+ * @param {string} root - Normalized root URL
+ * @param {string} filename - Fallback when the entry lives outside the root
+ * @returns {string} Relative path such as 'Depositions/Ewell.pdf'
+ */
+function getRelativePath(fileUrl, root, filename) {
+  if (!fileUrl.startsWith(root)) {
+    return filename;
+  }
+
+  const relative = fileUrl.substring(root.length);
+
+  try {
+    return decodeURIComponent(relative);
+  } catch {
+    return relative;
+  }
+}
@@ -1,32 +1,50 @@
 // src/utils/directoryParser.js
 // This module handles parsing the HTML directory listing into structured data
 
+import { detectListingParser, getListingParser } from './listingParsers.js';
+import { matchPeople } from './peopleRegistry.js';
+import { classifyDocument, getKindKeywords } from './documentKinds.js';
+import { extractFilenameDate } from './documentDates.js';
+
 /**
- * Parses Apache directory listing HTML into structured file data
- * @param {string} htmlContent - Raw HTML from directory listing
+ * Parses a directory listing page into structured file data
+ * The listing format (Apache, nginx, lighttpd, IIS, nginx JSON or a custom
+ * registered parser) is detected automatically unless one is named.
+ * @param {string} htmlContent - Raw HTML (or JSON) from directory listing
  * @param {string} baseUrl - Base URL for the directory (e.g., 'https://www.rasmusen.org/special/jackson/')
+ * @param {Object} options - Parsing options
+ * @param {Function} options.DOMParser - DOMParser constructor; pass jsdom's when running under Node
+ * @param {string} options.format - Listing parser name, or 'auto' to detect it
+ * @param {string} options.parentPath - Folder the listing belongs to, used as a hint for document kinds
  * @returns {Array} Array of file objects with standardized properties
  */
-export function parseDirectoryListing(htmlContent, baseUrl) {
+export function parseDirectoryListing(htmlContent, baseUrl, options = {}) {
+  const { DOMParser: DOMParserImpl = window.DOMParser, format = 'auto', parentPath = '' } = options;
+
   // Create a DOM parser to work with the HTML
-  const parser = new window.DOMParser();
+  const parser = new DOMParserImpl();
   const doc = parser.parseFromString(htmlContent, 'text/html');
-  
-  // Find all anchor tags that represent files (they contain href attributes)
-  const fileLinks = doc.querySelectorAll('pre a[href]');
+
+  // Pick the parser for this server's listing format
+  const listingParser = format === 'auto'
+    ? detectListingParser(htmlContent, doc)
+    : getListingParser(format);
+
+  if (!listingParser) {
+    console.warn(format === 'auto' ? 'Unrecognized directory listing format' : `Unknown listing parser: ${format}`);
+    return [];
+  }
+
   const files = [];
   
-  fileLinks.forEach(link => {
-    const href = link.getAttribute('href');
-    const filename = link.textContent.trim();
-    
+  listingParser.parse(htmlContent, doc).forEach(entry => {
     // Skip navigation links (parent directory, sorting controls)
-    if (isNavigationLink(href, filename)) {
+    if (isNavigationLink(entry.href, entry.name)) {
       return;
     }
     
-    // Extract file metadata from the directory listing
-    const fileData = extractFileMetadata(link, filename, href, baseUrl);
+    // Build the file object from the raw listing entry
+    const fileData = extractFileMetadata(entry, baseUrl, parentPath);
     
     // Only add files that we successfully parsed
     if (fileData) {
@@ -63,20 +81,18 @@ function isNavigationLink(href, filename) {
 }
 
 /**
- * Extracts metadata for a single file from the directory listing
- * @param {Element} linkElement - The anchor element
- * @param {string} filename - Display name of the file
- * @param {string} href - The href attribute
+ * Builds the file object for a single listing entry
+ * @param {Object} entry - Raw entry from a listing parser: { href, name, date, size }
  * @param {string} baseUrl - Base directory URL
+ * @param {string} parentPath - Folder path of the listing
  * @returns {Object|null} File data object or null if parsing fails
  */
-function extractFileMetadata(linkElement, filename, href, baseUrl) {
+function extractFileMetadata(entry, baseUrl, parentPath) {
+  const { href, name: filename } = entry;
+
   try {
-    // Get the full text content of the parent element (usually contains date/size info)
-    const parentText = linkElement.parentElement ? linkElement.parentElement.textContent : '';
-    
-    // Parse the directory listing line to extract date and size
-    const metadata = parseListingLine(parentText, filename);
+    // Convert the listing size into display and sortable forms
+    const metadata = parseEntrySize(entry.size);
     
     // Build the complete URL
     const fullUrl = new URL(href, baseUrl).toString();
@@ -84,20 +100,28 @@ function extractFileMetadata(linkElement, filename, href, baseUrl) {
     // Determine file type from extension and characteristics
     const fileType = determineFileType(filename, href);
     
-    // Extract person name from filename where possible
-    const person = extractPersonFromFilename(filename);
+    // Find the people the filename refers to (see src/config/people.json)
+    const people = matchPeople(filename);
+    const persons = people.map(match => match.name);
+    const person = persons.length > 0 ? persons[0] : 'Unknown';
+    
+    // Classify the document (see src/config/documentKinds.json); folders have no kind
+    const kind = fileType === 'folder' ? null : classifyDocument(filename, parentPath);
     
     return {
-      id: generateFileId(filename, href), // Unique identifier for React keys
       filename: filename,
       displayName: cleanDisplayName(filename), // Human-readable title
       url: fullUrl,
       type: fileType,
-      person: person,
-      date: metadata.date,
+      person: person, // Highest-priority match, used for sorting
+      persons: persons, // Everyone the filename names; empty when unknown
+      roles: [...new Set(people.map(match => match.role).filter(Boolean))],
+      kind: kind, // 'deposition', 'motion', ... or 'other'
+      date: entry.date || 'Unknown', // Server modification time, usually the upload
+      documentDate: fileType === 'folder' ? null : extractFilenameDate(filename), // See documentDates.js
       size: metadata.size,
       sizeBytes: metadata.sizeBytes, // For sorting purposes
-      keywords: generateKeywords(filename, fileType, person) // For search
+      keywords: generateKeywords(filename, fileType, persons, kind) // For search
     };
   } catch (error) {
     console.warn(`Failed to parse file metadata for ${filename}:`, error);
@@ -106,45 +130,20 @@ function extractFileMetadata(linkElement, filename, href, baseUrl) {
 }
 
 /**
- * Parses a single line from the directory listing to extract date and size
- * @param {string} lineText - Full text of the directory listing line
- * @param {string} filename - The filename to help locate metadata
- * @returns {Object} Object containing date, size, and sizeBytes
+ * Converts a raw listing size into display and byte values
+ * @param {string} sizeStr - Size from the listing ('1.2M', '12345', '-' or 'Unknown')
+ * @returns {Object} Object containing size and sizeBytes
  */
-function parseListingLine(lineText, filename) {
-  // Directory listing format is typically: filename, date, size
-  // We need to extract the parts after the filename
-  
-  // Find where the filename ends in the line
-  const filenameIndex = lineText.indexOf(filename);
-  if (filenameIndex === -1) {
-    return { date: 'Unknown', size: 'Unknown', sizeBytes: 0 };
+function parseEntrySize(sizeStr) {
+  if (!sizeStr || sizeStr === 'Unknown') {
+    return { size: 'Unknown', sizeBytes: 0 };
   }
   
-  // Get the text after the filename
-  const afterFilename = lineText.substring(filenameIndex + filename.length);
-  
-  // Extract date (format: YYYY-MM-DD HH:MM)
-  const dateMatch = afterFilename.match(/(\d{4}-\d{2}-\d{2}\s+\d{2}:\d{2})/);
-  const date = dateMatch ? dateMatch[1] : 'Unknown';
-  
-  // Extract size (format: number followed by unit like K, M, G, or just -)
-  const sizeMatch = afterFilename.match(/\s+(\d+(?:\.\d+)?[KMG]?|\d+|-)\s*$/);
-  let size = 'Unknown';
-  let sizeBytes = 0;
-  
-  if (sizeMatch) {
-    const sizeStr = sizeMatch[1];
-    if (sizeStr === '-') {
-      size = 'Directory';
-      sizeBytes = 0;
-    } else {
-      size = sizeStr;
-      sizeBytes = convertSizeToBytes(sizeStr);
-    }
+  if (sizeStr === '-') {
+    return { size: 'Directory', sizeBytes: 0 };
   }
   
-  return { date, size, sizeBytes };
+  return { size: sizeStr, sizeBytes: convertSizeToBytes(sizeStr) };
 }
 
 /**
@@ -203,68 +202,6 @@ function determineFileType(filename, href) {
   return typeMap[extension] || 'document';
 }
 
-/**
- * Extracts person name from filename using pattern recognition
- * @param {string} filename - The filename to analyze
- * @returns {string} Extracted person name or 'Unknown'
- */
-function extractPersonFromFilename(filename) {
-  // Remove file extension for cleaner analysis
-  const nameWithoutExt = filename.replace(/\.[^.]+$/, '');
-  
-  // Known patterns and mappings
-  const patterns = [
-    { regex: /^TJ\d+/, name: 'Timothy Jackson' },
-    { regex: /Jackson/i, name: 'Timothy Jackson' },
-    { regex: /Ewell/i, name: 'Philip Ewell' },
-    { regex: /Walls/i, name: 'Levi Walls' },
-    { regex: /Brand/i, name: 'Benjamin Brand' },
-    { regex: /Graf/i, name: 'Benjamin Graf' },
-    { regex: /Gain/i, name: 'Rachel Gain' },
-    { regex: /Heidlberger/i, name: 'Frank Heidlberger' },
-    { regex: /Rebecca.*Schwinden/i, name: 'Rebecca Dowd Geoffroy-Schwinden' },
-    { regex: /Cowley/i, name: 'Jennifer Cowley' },
-    { regex: /Ishiyama/i, name: 'John Ishiyama' },
-    { regex: /Slottow/i, name: 'Stephen Slottow' },
-    { regex: /Chung/i, name: 'Andrew Chung' },
-    { regex: /Bakulina/i, name: 'Ellen Bakulina' },
-    { regex: /Kohanski/i, name: 'Peter Kohanski' },
-    { regex: /Chaouat/i, name: 'Bruno Chaouat' }
-  ];
-  
-  // Check each pattern
-  for (const pattern of patterns) {
-    if (pattern.regex.test(nameWithoutExt)) {
-      return pattern.name;
-    }
-  }
-  
-  // If it's a folder name (underscore separated), try to extract
-  if (nameWithoutExt.includes('_')) {
-    const parts = nameWithoutExt.split('_');
-    if (parts.length >= 2) {
-      // Convert underscore format like "Rachel_Gain" to "Rachel Gain"
-      return parts.map(part => 
-        part.charAt(0).toUpperCase() + part.slice(1).toLowerCase()
-      ).join(' ');
-    }
-  }
-  
-  return 'Unknown';
-}
-
-/**
- * Generates a unique ID for the file
- * @param {string} filename - The filename
- * @param {string} href - The href value
- * @returns {string} Unique identifier
- */
-function generateFileId(filename, href) {
-  // Use filename + href hash to ensure uniqueness
-  const combined = filename + href;
-  return btoa(combined).replace(/[^a-zA-Z0-9]/g, '').substring(0, 16);
-}
-
 /**
  * Cleans up filename for display purposes
  * @param {string} filename - Raw filename
@@ -290,10 +227,11 @@ function cleanDisplayName(filename) {
  * Generates searchable keywords from file information
  * @param {string} filename - The filename
  * @param {string} fileType - The file type
- * @param {string} person - The associated person
+ * @param {Array} persons - Names of the associated people
+ * @param {string|null} kind - Document kind id
  * @returns {Array} Array of searchable keywords
  */
-function generateKeywords(filename, fileType, person) {
+function generateKeywords(filename, fileType, persons, kind) {
   const keywords = [];
   
   // Add filename words
@@ -308,20 +246,13 @@ function generateKeywords(filename, fileType, person) {
   keywords.push(fileType);
   
   // Add person name parts
-  if (person !== 'Unknown') {
-    const personWords = person.toLowerCase().split(/\s+/);
-    keywords.push(...personWords);
-  }
+  persons.forEach(person => {
+    keywords.push(...person.toLowerCase().split(/\s+/));
+  });
   
-  // Add common legal/academic terms based on filename
-  if (filename.toLowerCase().includes('deposition')) {
-    keywords.push('testimony', 'legal', 'court');
-  }
-  if (filename.toLowerCase().includes('motion')) {
-    keywords.push('legal', 'court', 'filing');
-  }
-  if (filename.toLowerCase().includes('exhibit')) {
-    keywords.push('evidence', 'legal', 'court');
+  // Add the document kind and its related terms
+  if (kind) {
+    keywords.push(...getKindKeywords(kind));
   }
   
   return [...new Set(keywords)]; // Remove duplicates
@@ -0,0 +1,179 @@
+// src/utils/documentDates.js
+// Finds when a document was filed or took place, as opposed to the server's modification time
+//
+// File objects carry documentDate: { value: 'YYYY-MM-DD', confidence, source }, or null
+//   confidence  'high'    Unambiguous: ISO dates, written-out months, court "Filed" stamps
+//               'medium'  Numeric dates read in US month/day/year order, compact YYYYMMDD,
+//                         written-out dates found elsewhere on the first page
+//               'low'     PDF creation dates, which often record when a copy was scanned
+//   source      'filename', 'header' (first page text) or 'metadata' (PDF information)
+
+export const DATE_CONFIDENCES = ['high', 'medium', 'low'];
+
+// Values of the document date filter (?dated=), see matchesDateConfidence
+export const DATED_FILTERS = ['all', ...DATE_CONFIDENCES, 'unknown'];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const SEPARATOR = '[\\s_.,-]*';
+const ORDINAL = '(?:st|nd|rd|th)?';
+
+// Filename patterns, strongest first; each returns [year, month, day] from its match
+const FILENAME_PATTERNS = [
+  {
+    confidence: 'high', // 2021-03-05, 2021_03_05, 2021.3.5
+    regex: /(?<!\d)((?:19|20)\d{2})[-_.](\d{1,2})[-_.](\d{1,2})(?!\d)/g,
+    read: match => [match[1], match[2], match[3]]
+  },
+  {
+    confidence: 'high', // March 5 2021, Mar_5_2021, March5th,2021
+    regex: new RegExp(`(?<![a-z])${MONTH_NAME}${SEPARATOR}(\\d{1,2})${ORDINAL}${SEPARATOR}((?:19|20)\\d{2})(?!\\d)`, 'gi'),
+    read: match => [match[3], monthNumber(match[1]), match[2]]
+  },
+  {
+    confidence: 'high', // 5 March 2021, 5th-Mar-2021
+    regex: new RegExp(`(?<!\\d)(\\d{1,2})${ORDINAL}${SEPARATOR}${MONTH_NAME}${SEPARATOR}((?:19|20)\\d{2})(?!\\d)`, 'gi'),
+    read: match => [match[3], monthNumber(match[2]), match[1]]
+  },
+  {
+    confidence: 'medium', // 03.05.21, 3-5-2021; day/month/year when the first number can't be a month
+    regex: /(?<!\d)(\d{1,2})[-_.](\d{1,2})[-_.]((?:19|20)\d{2}|\d{2})(?!\d)/g,
+    read: match => (Number(match[1]) > 12 ? [match[3], match[2], match[1]] : [match[3], match[1], match[2]])
+  },
+  {
+    confidence: 'medium', // 20210305
+    regex: /(?<!\d)((?:19|20)\d{2})(\d{2})(\d{2})(?!\d)/g,
+    read: match => [match[1], match[2], match[3]]
+  }
+];
+
+// CM/ECF stamps every filed page: "Case 1:21-cv-00123 Document 45 Filed 03/05/21 Page 1 of 20"
+const FILED_STAMP = /\bFiled:?\s*(\d{1,2})\/(\d{1,2})\/((?:19|20)\d{2}|\d{2})(?!\d)/i;
+const WRITTEN_DATE = new RegExp(`(?<![a-z])${MONTH_NAME}\\.?\\s+(\\d{1,2})${ORDINAL},?\\s+((?:19|20)\\d{2})(?!\\d)`, 'i');
+
+/**
+ * Finds a date written in a filename
+ * @param {string} filename - Filename, with or without extension
+ * @returns {Object|null} { value, confidence, source: 'filename' }, or null
+ */
+export function extractFilenameDate(filename) {
+  const nameWithoutExt = filename.replace(/\.[^.]+$/, '');
+  let best = null;
+
+  FILENAME_PATTERNS.forEach(pattern => {
+    for (const match of nameWithoutExt.matchAll(pattern.regex)) {
+      const value = toIsoDate(...pattern.read(match));
+      if (!value) continue;
+
+      const rank = DATE_CONFIDENCES.indexOf(pattern.confidence);
+      if (!best || rank < best.rank || (rank === best.rank && match.index < best.index)) {
+        best = { value, confidence: pattern.confidence, rank, index: match.index };
+      }
+    }
+  });
+
+  return best ? { value: best.value, confidence: best.confidence, source: 'filename' } : null;
+}
+
+/**
+ * Finds a date in the text of a document's first page
+ * A court "Filed" stamp is trusted; any other written-out date is only a likely candidate.
+ * @param {string} text - First page text
+ * @returns {Object|null} { value, confidence, source: 'header' }, or null
+ */
+export function extractHeaderDate(text) {
+  if (!text) return null;
+
+  const stamp = text.match(FILED_STAMP);
+  const stampDate = stamp && toIsoDate(stamp[3], stamp[1], stamp[2]);
+  if (stampDate) {
+    return { value: stampDate, confidence: 'high', source: 'header' };
+  }
+
+  const written = text.match(WRITTEN_DATE);
+  const writtenDate = written && toIsoDate(written[3], monthNumber(written[1]), written[2]);
+  return writtenDate ? { value: writtenDate, confidence: 'medium', source: 'header' } : null;
+}
+
+/**
+ * Reads a PDF information dictionary date such as "D:20210305093000-05'00'"
+ * @param {string} pdfDate - CreationDate from the PDF
+ * @returns {Object|null} { value, confidence: 'low', source: 'metadata' }, or null
+ */
+export function parsePdfMetadataDate(pdfDate) {
+  const match = (pdfDate || '').match(/^(?:D:)?(\d{4})(\d{2})(\d{2})/);
+  const value = match && toIsoDate(match[1], match[2], match[3]);
+  return value ? { value, confidence: 'low', source: 'metadata' } : null;
+}
+
+/**
+ * Picks the most trustworthy of several candidate dates
+ * @param {...Object} candidates - documentDate values or null; earlier ones win ties
+ * @returns {Object|null} The chosen documentDate
+ */
+export function pickDocumentDate(...candidates) {
+  return candidates.reduce((best, candidate) => {
+    if (!candidate) return best;
+    if (!best) return candidate;
+    return DATE_CONFIDENCES.indexOf(candidate.confidence) < DATE_CONFIDENCES.indexOf(best.confidence) ? candidate : best;
+  }, null);
+}
+
+/**
+ * Keeps dates found inside documents when files are re-parsed from a listing
+ * Listings only reveal filename dates; header and metadata dates come from the snapshot.
+ * @param {Array} previousFiles - Files shown so far
+ * @param {Array} files - Freshly parsed files
+ * @returns {Array} files, with earlier document-derived dates merged in
+ */
+export function carryOverDocumentDates(previousFiles, files) {
+  const previousDates = new Map(previousFiles
+    .filter(file => file.documentDate && file.documentDate.source !== 'filename')
+    .map(file => [file.url, file.documentDate]));
+
+  if (previousDates.size === 0) return files;
+
+  return files.map(file => {
+    const previous = previousDates.get(file.url);
+    return previous ? { ...file, documentDate: pickDocumentDate(file.documentDate, previous) } : file;
+  });
+}
+
+/**
+ * Checks whether a file's document date is at least as confident as required
+ * Values other than those in DATED_FILTERS, e.g. from an old link, filter nothing out.
+ * @param {Object} file - File object
+ * @param {string} dated - 'all', 'high', 'medium', 'low' (any date) or 'unknown' (no date)
+ * @returns {boolean} True if the file passes
+ */
+export function matchesDateConfidence(file, dated) {
+  if (dated === 'all' || !DATED_FILTERS.includes(dated)) return true;
+  if (dated === 'unknown') return !file.documentDate;
+  return Boolean(file.documentDate) && DATE_CONFIDENCES.indexOf(file.documentDate.confidence) <= DATE_CONFIDENCES.indexOf(dated);
+}
+
+function monthNumber(name) {
+  return MONTHS.indexOf(name.substring(0, 3).toLowerCase()) + 1;
+}
+
+/**
+ * Validates a date and formats it as YYYY-MM-DD
+ * Two-digit years are read as 1950-2049.
+ * @returns {string|null} ISO date, or null if the parts don't form a real date
+ */
+function toIsoDate(year, month, day) {
+  let y = Number(year);
+  const m = Number(month);
+  const d = Number(day);
+
+  if (String(year).length === 2) {
+    y += y < 50 ? 2000 : 1900;
+  }
+
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (m < 1 || date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) {
+    return null;
+  }
+
+  return date.toISOString().substring(0, 10);
+}
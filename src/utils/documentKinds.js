@@ -0,0 +1,102 @@
+// src/utils/documentKinds.js
+// Rule-based classification of files into legal document kinds (src/config/documentKinds.json)
+//
+// Rule entries:
+//   id, label      Kind id stored on files and its display name
+//   color          Color that marks the kind in the timeline
+//   keywords       Words that mark the kind; matched as whole words, case-insensitively
+//   patterns       Regular expressions tested against the filename (case-insensitive)
+//   relatedTerms   Extra search keywords added to files of this kind
+//
+// A keyword or pattern in the filename counts twice as much as a keyword in the
+// folder path. The kind with the highest score wins; ties go to the kind whose
+// match comes first in the filename, then to the kind listed first.
+
+import config from '../config/documentKinds.json' with { type: 'json' };
+import { tokenizeName } from './nameTokens.js';
+
+export const DOCUMENT_KINDS = config.kinds;
+
+// Kind given to files no rule matches
+export const OTHER_KIND = { id: 'other', label: 'Other', color: '#adb5bd' };
+
+/**
+ * Builds a classifier from rule entries
+ * @param {Array} kinds - Entries shaped like documentKinds.json's `kinds`
+ * @returns {Function} (filename, folderPath) => kind id, or 'other'
+ */
+export function createDocumentClassifier(kinds) {
+  const rules = kinds.map((kind, order) => ({
+    id: kind.id,
+    order: order,
+    keywords: new Set((kind.keywords || []).map(keyword => keyword.toLowerCase())),
+    patterns: (kind.patterns || []).map(pattern => new RegExp(pattern, 'i'))
+  }));
+
+  return (filename, folderPath = '') => {
+    const nameWithoutExt = filename.replace(/\.[^.]+$/, '');
+    const nameTokens = tokenizeName(nameWithoutExt).map(token => token.toLowerCase());
+    const folderTokens = new Set(tokenizeName(folderPath).map(token => token.toLowerCase()));
+
+    let best = null;
+
+    rules.forEach(rule => {
+      const position = nameTokens.findIndex(token => rule.keywords.has(token));
+      const patternMatched = rule.patterns.some(pattern => pattern.test(nameWithoutExt));
+      const inFolder = [...folderTokens].some(token => rule.keywords.has(token));
+
+      const score = (position !== -1 || patternMatched ? 2 : 0) + (inFolder ? 1 : 0);
+      if (score === 0) return;
+
+      const candidate = {
+        id: rule.id,
+        score: score,
+        position: patternMatched ? 0 : position === -1 ? Infinity : position,
+        order: rule.order
+      };
+
+      if (!best ||
+        candidate.score > best.score ||
+        (candidate.score === best.score && candidate.position < best.position) ||
+        (candidate.score === best.score && candidate.position === best.position && candidate.order < best.order)) {
+        best = candidate;
+      }
+    });
+
+    return best ? best.id : OTHER_KIND.id;
+  };
+}
+
+// Classifier for the bundled rules
+export const classifyDocument = createDocumentClassifier(DOCUMENT_KINDS);
+
+/**
+ * Looks up the label of a kind id
+ * @param {string} kindId - Kind id such as 'deposition'
+ * @returns {string} Label, or the id itself if it is unknown
+ */
+export function getKindLabel(kindId) {
+  const kind = DOCUMENT_KINDS.find(candidate => candidate.id === kindId);
+  if (kind) return kind.label;
+  return kindId === OTHER_KIND.id ? OTHER_KIND.label : kindId;
+}
+
+/**
+ * Looks up the color of a kind id
+ * @param {string} kindId - Kind id such as 'deposition'
+ * @returns {string} CSS color; unknown kinds share the 'other' color
+ */
+export function getKindColor(kindId) {
+  const kind = DOCUMENT_KINDS.find(candidate => candidate.id === kindId);
+  return kind && kind.color ? kind.color : OTHER_KIND.color;
+}
+
+/**
+ * Extra search keywords for a kind
+ * @param {string} kindId - Kind id
+ * @returns {Array} Related terms from the configuration
+ */
+export function getKindKeywords(kindId) {
+  const kind = DOCUMENT_KINDS.find(candidate => candidate.id === kindId);
+  return kind ? [kind.id, ...(kind.relatedTerms || [])] : [];
+}
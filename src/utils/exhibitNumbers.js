@@ -0,0 +1,34 @@
+// src/utils/exhibitNumbers.js
+// Reads Bates and exhibit numbers from filenames for the exhibit number sort
+//
+// Recognized:
+//   Bates prefixes from the people registry (filePrefixes) at the start of the
+//   filename, e.g. TJ000123 is number 123 in series TJ
+//   Exhibit labels anywhere in the filename: "Exhibit 12", "Exh. 12", "Ex_12" (series EX),
+//   "PX-3" (plaintiff's exhibits, PX) and "DX 7" (defendant's exhibits, DX)
+
+import { FILE_PREFIXES } from './peopleRegistry.js';
+
+const EXHIBIT_LABEL = /(?:^|[^a-z])(px|dx|exhibit|exh|ex)[-_. ]*(\d+)/i;
+
+/**
+ * Finds the Bates or exhibit number in a filename
+ * @param {string} filename - Filename
+ * @returns {Object|null} { series, number }, e.g. { series: 'TJ', number: 123 }, or null
+ */
+export function getExhibitNumber(filename) {
+  for (const prefix of FILE_PREFIXES) {
+    const digits = filename.startsWith(prefix) && filename.substring(prefix.length).match(/^\d+/);
+    if (digits) {
+      return { series: prefix.toUpperCase(), number: parseInt(digits[0], 10) };
+    }
+  }
+
+  const label = filename.match(EXHIBIT_LABEL);
+  if (label) {
+    const series = label[1].toUpperCase();
+    return { series: series === 'PX' || series === 'DX' ? series : 'EX', number: parseInt(label[2], 10) };
+  }
+
+  return null;
+}
@@ -0,0 +1,94 @@
+// src/utils/fileExport.js
+// Turns the listed files into CSV or JSON and hands downloads to the browser
+
+import { toCsv } from './csv.js';
+import { getFilePersons } from './queryEngine.js';
+import { getKindLabel } from './documentKinds.js';
+import { getRoleLabel } from './peopleRegistry.js';
+import { getAnnotation } from './annotations.js';
+
+const CSV_COLUMNS = [
+  ['name', file => file.displayName],
+  ['filename', file => file.filename],
+  ['path', file => file.path || file.filename],
+  ['url', file => file.url],
+  ['persons', file => getFilePersons(file).join('; ')],
+  ['roles', file => file.roles.map(getRoleLabel).join('; ')],
+  ['type', file => file.type],
+  ['kind', file => (file.kind ? getKindLabel(file.kind) : '')],
+  ['document_date', file => (file.documentDate ? file.documentDate.value : '')],
+  ['document_date_confidence', file => (file.documentDate ? file.documentDate.confidence : '')],
+  ['modified', file => (file.date === 'Unknown' ? '' : file.date)],
+  ['size', file => file.size],
+  ['size_bytes', file => file.sizeBytes],
+  ['source', file => file.sourceLabel || file.source],
+  ['tags', (file, annotations) => getAnnotation(annotations, file).tags.join('; ')],
+  ['note', (file, annotations) => getAnnotation(annotations, file).note]
+];
+
+/**
+ * Formats files as a CSV table, one row per file in the given order
+ * @param {Array} files - File objects
+ * @param {Map} annotations - Optional reviewers' annotations by file id, for the tags and note columns
+ * @returns {string} CSV text with a header row
+ */
+export function filesToCsv(files, annotations = null) {
+  return toCsv([
+    CSV_COLUMNS.map(([name]) => name),
+    ...files.map(file => CSV_COLUMNS.map(([, getValue]) => getValue(file, annotations)))
+  ]);
+}
+
+/**
+ * Formats files as JSON, with the search and filters that selected them
+ * @param {Array} files - File objects, written in full
+ * @param {Object} criteria - Search, filter and sort state at the time of export
+ * @returns {string} JSON text: { exportedAt, criteria, count, files }
+ */
+export function filesToJson(files, criteria = {}) {
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    criteria,
+    count: files.length,
+    files
+  }, null, 2) + '\n';
+}
+
+/**
+ * Whether the browser can write a download to disk while it is being built
+ * (the File System Access API; Chrome and Edge at the time of writing)
+ * @returns {boolean} True if showSaveFilePicker is available
+ */
+export function canSaveAsStream() {
+  return typeof window.showSaveFilePicker === 'function';
+}
+
+/**
+ * Asks where to save a file and opens it for writing
+ * Call it straight from a click: browsers only show the picker in response to one.
+ * @param {string} filename - Suggested name
+ * @param {Object} fileType - { description, accept } as showSaveFilePicker takes it
+ * @returns {Promise<FileSystemWritableFileStream>} The open file; rejects with an AbortError if the user cancels
+ */
+export async function openSaveStream(filename, fileType) {
+  const handle = await window.showSaveFilePicker({ suggestedName: filename, types: [fileType] });
+  return handle.createWritable();
+}
+
+/**
+ * Offers a blob to the user as a download
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested name
+ */
+export function saveBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser time to start reading before the blob is released
+  setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+}
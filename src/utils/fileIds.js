@@ -0,0 +1,166 @@
+// src/utils/fileIds.js
+// Stable, URL-safe identifiers for files, and migration of keys made before them
+//
+// An id is the filename as a slug followed by a hash of the file's source and its
+// path inside that source, e.g. 'brand-depo-pdf-2j8fk3l0q9xz'. It comes out the
+// same on every fetch, in snapshots and in the browser, and does not change when a
+// second source moves the tree under a source folder. Same-named files in
+// different folders differ in the hash; ensureUniqueFileIds settles the (very
+// unlikely) case of two paths hashing alike.
+//
+// Data stored under a file id (annotations, bookmarked links) should keep the
+// file's URL, path, source and size next to it: createFileKeyResolver uses them to
+// find the file again after it moves to another folder, and to migrate keys made
+// with the old filename + href ids. A filename alone is not enough to call a file
+// moved, since the same name often turns up in several folders.
+
+const SLUG_LENGTH = 40; // Characters of the filename kept in an id
+
+/**
+ * Builds the id of a file
+ * @param {string} sourceId - Id of the source the file was crawled from
+ * @param {string} relativePath - Decoded path inside the source, e.g. 'Depositions/Brand.pdf'
+ * @returns {string} Id made of lower-case letters, digits and dashes
+ */
+export function createFileId(sourceId, relativePath) {
+  const normalizedPath = relativePath.normalize('NFC').replace(/\/+$/, '');
+  const filename = normalizedPath.split('/').pop();
+  const slug = filename
+    .normalize('NFKD')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .substring(0, SLUG_LENGTH)
+    .replace(/^-+|-+$/g, '');
+
+  const hash = hashText(`${sourceId}\n${normalizedPath}`).toString(36).padStart(11, '0');
+  return slug ? `${slug}-${hash}` : hash;
+}
+
+/**
+ * Makes ids unique within a list by suffixing repeats with -2, -3, ...
+ * Repeats are numbered in URL order, so the result does not depend on crawl order.
+ * @param {Array} files - File objects with ids
+ * @returns {Array} The same files, with copies for any that were renamed
+ */
+export function ensureUniqueFileIds(files) {
+  const byId = new Map();
+  files.forEach(file => byId.set(file.id, [...(byId.get(file.id) || []), file]));
+
+  const renamed = new Map();
+  byId.forEach((group, id) => {
+    if (group.length < 2) return;
+    [...group]
+      .sort((a, b) => (a.url < b.url ? -1 : a.url > b.url ? 1 : 0))
+      .forEach((file, index) => {
+        if (index > 0) renamed.set(file, `${id}-${index + 1}`);
+      });
+  });
+
+  return renamed.size === 0 ? files : files.map(file => (renamed.has(file) ? { ...file, id: renamed.get(file) } : file));
+}
+
+/**
+ * Recreates the id the directory parser used to give a file (snapshot version 5 and
+ * earlier): the first 16 letters and digits of base64(filename + href)
+ * The href is taken to be the last segment of the URL, as server listings write it.
+ * @param {Object} file - File object
+ * @returns {string|null} The old id, or null if it cannot be rebuilt
+ */
+export function getLegacyFileId(file) {
+  const segment = file.url.replace(/\/$/, '').split('/').pop();
+  const href = file.type === 'folder' ? `${segment}/` : segment;
+
+  try {
+    return btoa(file.filename + href).replace(/[^a-zA-Z0-9]/g, '').substring(0, 16);
+  } catch {
+    return null; // btoa only takes Latin-1; the parser dropped such files
+  }
+}
+
+/**
+ * Prepares a lookup from stored keys to the ids of the files listed now
+ * @param {Array} files - Current file objects
+ * @returns {Function} (key, { url, path, source, sizeBytes }) => current file id, or null if
+ *   the file is gone or cannot be told apart from another. Tries, in order: the key as a
+ *   current id, the stored URL, the key as an old-style id, then a file moved to another
+ *   folder: the only one with the stored path's filename, size and (if stored) source.
+ *   Records without a known size never match a moved file.
+ */
+export function createFileKeyResolver(files) {
+  const byId = new Map(files.map(file => [file.id, file]));
+  const byUrl = new Map(files.map(file => [file.url, file]));
+  const byLegacyId = indexUnique(files, getLegacyFileId);
+  const byFilename = new Map();
+  files.filter(file => file.type !== 'folder').forEach(file => {
+    byFilename.set(file.filename, [...(byFilename.get(file.filename) || []), file]);
+  });
+
+  return (key, { url = null, path = null, source = null, sizeBytes = null } = {}) => {
+    const file = byId.get(key)
+      || (url && byUrl.get(url))
+      || byLegacyId.get(key)
+      || findMovedFile(byFilename, path, source, sizeBytes);
+    return file ? file.id : null;
+  };
+}
+
+/**
+ * Finds the one file that a stored record's file could have moved to
+ * @param {Map} byFilename - Files by filename
+ * @param {string|null} path - Stored path
+ * @param {string|null} source - Stored source id; any source matches if unknown
+ * @param {number|null} sizeBytes - Stored size; without a known size nothing matches
+ * @returns {Object|null} The file, or null if there is no candidate or more than one
+ */
+function findMovedFile(byFilename, path, source, sizeBytes) {
+  if (!path || !(sizeBytes > 0)) return null; // Listings without sizes give 0
+
+  const candidates = (byFilename.get(path.split('/').pop()) || [])
+    .filter(file => file.sizeBytes === sizeBytes && (!source || file.source === source));
+  return candidates.length === 1 ? candidates[0] : null;
+}
+
+/**
+ * Indexes files by a key, leaving out keys that more than one file shares
+ * @param {Array} files - File objects
+ * @param {Function} getKey - (file) => key or null
+ * @returns {Map} key => file
+ */
+function indexUnique(files, getKey) {
+  const index = new Map();
+  const shared = new Set();
+
+  files.forEach(file => {
+    const key = getKey(file);
+    if (key === null || shared.has(key)) return;
+    if (index.has(key)) {
+      index.delete(key);
+      shared.add(key);
+    } else {
+      index.set(key, file);
+    }
+  });
+
+  return index;
+}
+
+/**
+ * 53-bit string hash (cyrb53); plenty to keep a few million paths apart
+ * @param {string} text - Text to hash
+ * @returns {number} Non-negative integer below 2^53
+ */
+function hashText(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+  return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+}
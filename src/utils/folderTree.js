@@ -0,0 +1,105 @@
+// src/utils/folderTree.js
+// This module turns the flat crawled file list into a folder hierarchy
+
+/**
+ * Builds a nested folder tree from crawled file entries
+ * @param {Array} files - File objects carrying `path`, `parentPath` and `type`
+ * @returns {Object} Root node: { name, path, children, fileCount, totalFileCount }
+ */
+export function buildFolderTree(files) {
+  const root = createNode('Home', '');
+  const nodesByPath = new Map([['', root]]);
+
+  /**
+   * Returns the node for a folder path, creating missing ancestors on the way
+   */
+  const ensureNode = (folderPath) => {
+    if (nodesByPath.has(folderPath)) {
+      return nodesByPath.get(folderPath);
+    }
+
+    const segments = getPathSegments(folderPath);
+    const name = segments[segments.length - 1];
+    const parent = ensureNode(getParentPath(folderPath));
+    const node = createNode(name, folderPath);
+
+    parent.children.push(node);
+    nodesByPath.set(folderPath, node);
+    return node;
+  };
+
+  files.forEach(file => {
+    if (file.type === 'folder') {
+      ensureNode(file.path || '');
+      return;
+    }
+
+    const parent = ensureNode(file.parentPath || '');
+    parent.fileCount++;
+  });
+
+  finalizeNode(root);
+  return root;
+}
+
+/**
+ * Checks whether a file lives in a folder
+ * @param {Object} file - File object with `parentPath`
+ * @param {string} folderPath - Folder path such as 'Depositions/' ('' for the root)
+ * @param {boolean} recursive - Whether files in nested subfolders count as well
+ * @returns {boolean} True if the file belongs to the folder
+ */
+export function isInFolder(file, folderPath, recursive = false) {
+  const parentPath = file.parentPath || '';
+  return recursive ? parentPath.startsWith(folderPath) : parentPath === folderPath;
+}
+
+/**
+ * Splits a folder path into breadcrumb entries
+ * @param {string} folderPath - Folder path such as 'Depositions/2021/'
+ * @returns {Array} [{ name, path }] starting with the root
+ */
+export function getBreadcrumbs(folderPath) {
+  const crumbs = [{ name: 'Home', path: '' }];
+  let path = '';
+
+  getPathSegments(folderPath).forEach(segment => {
+    path += segment + '/';
+    crumbs.push({ name: segment, path });
+  });
+
+  return crumbs;
+}
+
+/**
+ * Returns the path of the folder containing the given folder
+ * @param {string} folderPath - Folder path ending in '/'
+ * @returns {string} Parent folder path ('' for top-level folders)
+ */
+export function getParentPath(folderPath) {
+  const segments = getPathSegments(folderPath);
+  segments.pop();
+  return segments.length > 0 ? segments.join('/') + '/' : '';
+}
+
+function createNode(name, path) {
+  return { name, path, children: [], fileCount: 0, totalFileCount: 0 };
+}
+
+function getPathSegments(folderPath) {
+  return folderPath.split('/').filter(Boolean);
+}
+
+/**
+ * Sorts children by name and fills in recursive file counts
+ * @param {Object} node - Tree node to finalize
+ * @returns {number} Total file count for the node's subtree
+ */
+function finalizeNode(node) {
+  node.children.sort((a, b) => a.name.localeCompare(b.name));
+  node.totalFileCount = node.children.reduce(
+    (total, child) => total + finalizeNode(child),
+    node.fileCount
+  );
+  return node.totalFileCount;
+}
@@ -0,0 +1,128 @@
+// src/utils/fuzzyMatch.js
+// Typo-tolerant matching of a search term against a piece of text
+
+/**
+ * Finds the best match of a term in a text, allowing small typos in single words
+ * An exact substring always wins; otherwise each word of the text (and its
+ * prefix, so partially typed words still match) is compared by edit distance.
+ * @param {string} text - Text to search, e.g. a display name
+ * @param {string} term - Search term
+ * @returns {Object|null} { score, start, end } with score in (0, 1], or null if nothing is close enough
+ */
+export function findFuzzyMatch(text, term) {
+  if (!text || !term) return null;
+
+  const lowerText = text.toLowerCase();
+  const lowerTerm = term.toLowerCase();
+
+  const index = lowerText.indexOf(lowerTerm);
+  if (index !== -1) {
+    // Matches at the start of a word rank slightly above matches inside one
+    const atWordStart = index === 0 || !/[a-z0-9]/.test(lowerText[index - 1]);
+    return { score: atWordStart ? 1 : 0.9, start: index, end: index + lowerTerm.length };
+  }
+
+  const maxDistance = getMaxDistance(lowerTerm);
+  if (maxDistance === 0 || /\s/.test(lowerTerm)) return null;
+
+  let best = null;
+  const wordPattern = /[a-z0-9]+/g;
+  let word;
+
+  while ((word = wordPattern.exec(lowerText)) !== null) {
+    const candidates = [word[0]];
+
+    // Compare against prefixes too, so "heidleb" still finds "Heidelberger"
+    for (let length = lowerTerm.length - 1; length <= lowerTerm.length + 1; length++) {
+      if (length > 0 && length < word[0].length) candidates.push(word[0].substring(0, length));
+    }
+
+    candidates.forEach(candidate => {
+      const distance = getEditDistance(lowerTerm, candidate, maxDistance);
+      if (distance > maxDistance) return;
+
+      const score = 0.8 - 0.2 * (distance - 1);
+      if (!best || score > best.score) {
+        best = { score, start: word.index, end: word.index + candidate.length };
+      }
+    });
+  }
+
+  return best;
+}
+
+/**
+ * Finds the character ranges of a text to highlight for a set of terms
+ * @param {string} text - Text being displayed
+ * @param {Array} terms - Search terms
+ * @returns {Array} Sorted, non-overlapping [start, end] ranges
+ */
+export function getHighlightRanges(text, terms) {
+  const ranges = [];
+
+  terms.forEach(term => {
+    const match = findFuzzyMatch(text, term);
+    if (match) ranges.push([match.start, match.end]);
+  });
+
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * How many typos a term may contain; short terms must match exactly
+ * @param {string} term - Lowercased search term
+ * @returns {number} Allowed edit distance
+ */
+function getMaxDistance(term) {
+  if (term.length < 4) return 0;
+  if (term.length < 8) return 1;
+  return 2;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+ * Gives up early once every path exceeds `limit`.
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} limit - Largest distance of interest
+ * @returns {number} The distance, or limit + 1 if it is larger than limit
+ */
+function getEditDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+      if (previousPrevious && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousPrevious[j - 2] + 1);
+      }
+
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > limit) return limit + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
@@ -0,0 +1,159 @@
+// src/utils/indexedDb.js
+// Minimal promise wrapper around the browser's IndexedDB for local persistence
+
+const DB_NAME = 'unt-files';
+
+// Bump DB_VERSION whenever a store is added to DB_STORES
+const DB_VERSION = 4;
+const DB_STORES = [
+  'catalog', // Last fetched file list (see catalogCache.js)
+  'changelog', // Differences between successive fetches (see changeLog.js)
+  'annotations', // Reviewers' tags and notes, one record per file (see annotations.js)
+  'savedSearches', // Named searches (see savedSearches.js)
+  'collections' // Named, hand-picked lists of files (see collections.js)
+];
+
+let databasePromise = null;
+
+/**
+ * Opens (and on first use creates or upgrades) the app database
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+export function openDatabase() {
+  if (databasePromise) {
+    return databasePromise;
+  }
+
+  databasePromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      DB_STORES.forEach(storeName => {
+        if (!db.objectStoreNames.contains(storeName)) {
+          db.createObjectStore(storeName);
+        }
+      });
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another open tab'));
+  });
+
+  // Allow a later call to retry if opening failed
+  databasePromise.catch(() => {
+    databasePromise = null;
+  });
+
+  return databasePromise;
+}
+
+/**
+ * Runs a single request against an object store
+ * @param {string} storeName - Object store name from DB_STORES
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - (store) => IDBRequest
+ * @returns {Promise<*>} The request result
+ */
+async function runRequest(storeName, mode, makeRequest) {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, mode);
+  const request = makeRequest(transaction.objectStore(storeName));
+
+  return completeTransaction(transaction, () => request.result);
+}
+
+/**
+ * Waits for a transaction to commit
+ * @param {IDBTransaction} transaction - Transaction with its requests already made
+ * @param {Function} getResult - Called once it commits; its return value resolves the promise
+ * @returns {Promise<*>} The result
+ */
+function completeTransaction(transaction, getResult) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve(getResult());
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+  });
+}
+
+/**
+ * Reads one record
+ * @param {string} storeName - Object store name
+ * @param {string} key - Record key
+ * @returns {Promise<*>} The stored value, or undefined
+ */
+export function getRecord(storeName, key) {
+  return runRequest(storeName, 'readonly', store => store.get(key));
+}
+
+/**
+ * Writes one record, replacing any existing value under the key
+ * @param {string} storeName - Object store name
+ * @param {string} key - Record key
+ * @param {*} value - Structured-cloneable value
+ * @returns {Promise<void>}
+ */
+export function putRecord(storeName, key, value) {
+  return runRequest(storeName, 'readwrite', store => store.put(value, key));
+}
+
+/**
+ * Deletes one record
+ * @param {string} storeName - Object store name
+ * @param {string} key - Record key
+ * @returns {Promise<void>}
+ */
+export function deleteRecord(storeName, key) {
+  return runRequest(storeName, 'readwrite', store => store.delete(key));
+}
+
+/**
+ * Reads every record in a store
+ * @param {string} storeName - Object store name
+ * @returns {Promise<Map>} Values by key
+ */
+export async function getAllRecords(storeName) {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, 'readonly');
+  const records = new Map();
+  const request = transaction.objectStore(storeName).openCursor();
+
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (cursor) {
+      records.set(cursor.key, cursor.value);
+      cursor.continue();
+    }
+  };
+
+  return completeTransaction(transaction, () => records);
+}
+
+/**
+ * Writes and deletes several records in one transaction, so either all or none apply
+ * @param {string} storeName - Object store name
+ * @param {Array} entries - [key, value] pairs; a value of null deletes the key
+ * @returns {Promise<void>}
+ */
+export async function putRecords(storeName, entries) {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, 'readwrite');
+  const store = transaction.objectStore(storeName);
+
+  entries.forEach(([key, value]) => {
+    if (value === null) {
+      store.delete(key);
+    } else {
+      store.put(value, key);
+    }
+  });
+
+  return completeTransaction(transaction, () => undefined);
+}
@@ -0,0 +1,364 @@
+// src/utils/listingParsers.js
+// Registry of directory listing formats understood by parseDirectoryListing
+//
+// A listing parser is an object of the form:
+//   {
+//     name: 'nginx',
+//     detect: (content, doc) => boolean,  // Does this page look like our format?
+//     parse: (content, doc) => entries    // [{ href, name, date, size }]
+//   }
+// where `date` is 'YYYY-MM-DD HH:MM' or 'Unknown' and `size` is a listing size
+// string such as '1.2M', '12345', '-' (directory) or 'Unknown'.
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Apache autoindex HTMLTable mode (FancyIndexing with a <table> layout)
+ */
+const apacheTableParser = {
+  name: 'apache-table',
+  detect: (content, doc) => doc.querySelector('table a[href^="?C="]') !== null,
+  parse: (content, doc) => {
+    const entries = [];
+
+    doc.querySelectorAll('table tr').forEach(row => {
+      const link = row.querySelector('a[href]');
+      if (!link) return;
+
+      const cells = [...row.querySelectorAll('td')].map(cell => cell.textContent.trim());
+      const dateIndex = cells.findIndex(text => /^\d{4}-\d{2}-\d{2}\s+\d{2}:\d{2}/.test(text));
+
+      entries.push({
+        href: link.getAttribute('href'),
+        name: link.textContent.trim(),
+        date: dateIndex === -1 ? 'Unknown' : normalizeListingDate(cells[dateIndex]),
+        size: dateIndex === -1 || cells[dateIndex + 1] === undefined ? 'Unknown' : cells[dateIndex + 1] || '-'
+      });
+    });
+
+    return entries;
+  }
+};
+
+/**
+ * lighttpd mod_dirlisting (table with td.n / td.m / td.s cells)
+ */
+const lighttpdParser = {
+  name: 'lighttpd',
+  detect: (content, doc) => doc.querySelector('td.n a[href]') !== null,
+  parse: (content, doc) => {
+    const entries = [];
+
+    doc.querySelectorAll('tr').forEach(row => {
+      const link = row.querySelector('td.n a[href]');
+      if (!link) return;
+
+      const dateCell = row.querySelector('td.m');
+      const sizeCell = row.querySelector('td.s');
+
+      entries.push({
+        href: link.getAttribute('href'),
+        name: link.textContent.trim(),
+        date: dateCell ? normalizeListingDate(dateCell.textContent) : 'Unknown',
+        size: sizeCell ? sizeCell.textContent.trim() || 'Unknown' : 'Unknown'
+      });
+    });
+
+    return entries;
+  }
+};
+
+/**
+ * IIS directory browsing (<pre> where date and size come before each link)
+ */
+const iisParser = {
+  name: 'iis',
+  detect: (content, doc) => {
+    const pre = doc.querySelector('pre');
+    return pre !== null && (
+      pre.textContent.includes('[To Parent Directory]') ||
+      (pre.querySelector('br') !== null && /&lt;dir&gt;|<dir>/i.test(pre.innerHTML))
+    );
+  },
+  parse: (content, doc) => {
+    const entries = [];
+
+    doc.querySelectorAll('pre a[href]').forEach(link => {
+      // Text between the previous <br> and this link, e.g. " 3/1/2021  3:45 PM        12345 "
+      const lineText = getSiblingText(link, 'previousSibling');
+      const match = lineText.match(/^\s*(.+?(?:AM|PM|\d{2}:\d{2}))\s+(&lt;dir&gt;|<dir>|\d+)\s*$/i);
+
+      entries.push({
+        href: link.getAttribute('href'),
+        name: link.textContent.trim(),
+        date: match ? normalizeListingDate(match[1]) : 'Unknown',
+        size: match ? (/dir/i.test(match[2]) ? '-' : match[2]) : 'Unknown'
+      });
+    });
+
+    return entries;
+  }
+};
+
+/**
+ * nginx autoindex_format json
+ */
+const nginxJsonParser = {
+  name: 'nginx-json',
+  detect: (content) => parseJsonListing(content) !== null,
+  parse: (content) => {
+    return parseJsonListing(content).map(item => {
+      const isDirectory = item.type === 'directory';
+
+      return {
+        href: encodeURIComponent(item.name) + (isDirectory ? '/' : ''),
+        name: item.name + (isDirectory ? '/' : ''),
+        date: item.mtime ? normalizeListingDate(item.mtime) : 'Unknown',
+        size: isDirectory ? '-' : (item.size !== undefined ? String(item.size) : 'Unknown')
+      };
+    });
+  }
+};
+
+/**
+ * nginx autoindex HTML (<pre> lines with DD-Mon-YYYY dates and byte sizes)
+ */
+const nginxParser = {
+  name: 'nginx',
+  detect: (content, doc) => {
+    const pre = doc.querySelector('pre');
+    return pre !== null && /\d{2}-[A-Za-z]{3}-\d{4} \d{2}:\d{2}/.test(pre.textContent);
+  },
+  parse: (content, doc) => parsePreLinks(doc)
+};
+
+/**
+ * Apache autoindex default layout (<pre> lines with YYYY-MM-DD dates)
+ * Also the fallback for any other <pre>-based listing
+ */
+const apachePreParser = {
+  name: 'apache',
+  detect: (content, doc) => doc.querySelector('pre a[href]') !== null,
+  parse: (content, doc) => parsePreLinks(doc)
+};
+
+// Checked in order; more specific formats come before the generic <pre> fallback
+const parsers = [
+  nginxJsonParser,
+  lighttpdParser,
+  apacheTableParser,
+  iisParser,
+  nginxParser,
+  apachePreParser
+];
+
+/**
+ * Registers a custom listing parser
+ * Custom parsers are checked before the built-in ones, and a parser registered
+ * under an existing name replaces it.
+ * @param {Object} parser - { name, detect, parse } as described at the top of this module
+ */
+export function registerListingParser(parser) {
+  if (!parser || !parser.name || typeof parser.detect !== 'function' || typeof parser.parse !== 'function') {
+    throw new Error('A listing parser needs a name, a detect function and a parse function');
+  }
+
+  const existingIndex = parsers.findIndex(p => p.name === parser.name);
+  if (existingIndex !== -1) {
+    parsers.splice(existingIndex, 1);
+  }
+
+  parsers.unshift(parser);
+}
+
+/**
+ * Looks up a parser by name
+ * @param {string} name - Parser name such as 'apache' or 'nginx-json'
+ * @returns {Object|null} The parser or null if none is registered under that name
+ */
+export function getListingParser(name) {
+  return parsers.find(parser => parser.name === name) || null;
+}
+
+/**
+ * Lists the names of all registered parsers, in detection order
+ * @returns {Array} Parser names
+ */
+export function getListingParserNames() {
+  return parsers.map(parser => parser.name);
+}
+
+/**
+ * Picks the first registered parser that recognizes the listing
+ * @param {string} content - Raw listing response
+ * @param {Document} doc - The response parsed as HTML
+ * @returns {Object|null} Matching parser or null if the format is unknown
+ */
+export function detectListingParser(content, doc) {
+  return parsers.find(parser => {
+    try {
+      return parser.detect(content, doc);
+    } catch (error) {
+      console.warn(`Listing parser ${parser.name} failed to detect:`, error);
+      return false;
+    }
+  }) || null;
+}
+
+/**
+ * Parses a <pre> listing where each link is followed by "date size" on the same line
+ * nginx and Apache shorten long names to "A_very_long_fi..>"; those are read from the href.
+ * @param {Document} doc - Parsed listing page
+ * @returns {Array} Raw listing entries
+ */
+function parsePreLinks(doc) {
+  const entries = [];
+
+  doc.querySelectorAll('pre a[href]').forEach(link => {
+    const href = link.getAttribute('href');
+    const text = link.textContent.trim();
+    const metadata = parseListingLine(getSiblingText(link, 'nextSibling'));
+
+    entries.push({
+      href: href,
+      name: text.endsWith('..>') ? getNameFromHref(href) : text,
+      date: metadata.date,
+      size: metadata.size
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Parses the text that follows a link on a single directory listing line
+ * @param {string} lineText - Text after the link, e.g. "   2021-03-05 10:15  1.2M"
+ * @returns {Object} Object containing date and size strings
+ */
+export function parseListingLine(lineText) {
+  // Extract date (Apache: YYYY-MM-DD HH:MM, nginx: DD-Mon-YYYY HH:MM)
+  const dateMatch = lineText.match(/(\d{4}-\d{2}-\d{2}\s+\d{2}:\d{2}|\d{2}-[A-Za-z]{3}-\d{4}\s+\d{2}:\d{2})/);
+  const date = dateMatch ? normalizeListingDate(dateMatch[1]) : 'Unknown';
+
+  // Extract size (format: number followed by unit like K, M, G, or just -)
+  const sizeMatch = lineText.match(/\s+(\d+(?:\.\d+)?[KMG]?|\d+|-)\s*$/);
+  const size = sizeMatch ? sizeMatch[1] : 'Unknown';
+
+  return { date, size };
+}
+
+/**
+ * Reads a file or folder name from the last segment of a listing link
+ * @param {string} href - Link such as 'Long%20name.pdf' or 'Long%20folder/'
+ * @returns {string} Decoded name; folders keep their trailing slash
+ */
+function getNameFromHref(href) {
+  const path = href.replace(/[?#].*$/, '');
+  const isDirectory = path.endsWith('/');
+  const segment = path.replace(/\/+$/, '').split('/').pop();
+
+  try {
+    return decodeURIComponent(segment) + (isDirectory ? '/' : '');
+  } catch {
+    return segment + (isDirectory ? '/' : ''); // Not valid percent-encoding; keep it as written
+  }
+}
+
+/**
+ * Collects the text next to a link on the same listing line
+ * @param {Element} link - Anchor element inside a <pre>
+ * @param {string} direction - 'nextSibling' or 'previousSibling'
+ * @returns {string} Text up to the neighbouring link, <br> or newline
+ */
+function getSiblingText(link, direction) {
+  const parts = [];
+  let node = link[direction];
+
+  while (node) {
+    if (node.nodeType === 1 && (node.tagName === 'A' || node.tagName === 'BR')) {
+      break;
+    }
+
+    const text = node.textContent || '';
+    const newlineIndex = direction === 'nextSibling' ? text.indexOf('\n') : text.lastIndexOf('\n');
+
+    if (newlineIndex !== -1) {
+      parts.push(direction === 'nextSibling' ? text.substring(0, newlineIndex) : text.substring(newlineIndex + 1));
+      break;
+    }
+
+    parts.push(text);
+    node = node[direction];
+  }
+
+  if (direction === 'previousSibling') {
+    parts.reverse();
+  }
+
+  return parts.join('');
+}
+
+/**
+ * Parses an nginx JSON listing if the content is one
+ * @param {string} content - Raw listing response
+ * @returns {Array|null} Listing items or null if the content is not a JSON listing
+ */
+function parseJsonListing(content) {
+  const trimmed = content.trim();
+  if (!trimmed.startsWith('[')) {
+    return null;
+  }
+
+  try {
+    const items = JSON.parse(trimmed);
+    const isListing = Array.isArray(items) && items.every(item => item && typeof item.name === 'string' && item.type);
+    return isListing ? items : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Converts the date formats used by different servers to 'YYYY-MM-DD HH:MM'
+ * @param {string} dateText - e.g. '2021-03-05 10:15', '05-Mar-2021 10:15',
+ *   '2021-Mar-05 10:15:00', 'Fri, 05 Mar 2021 10:15:00 GMT', '3/5/2021 10:15 AM'
+ * @returns {string} Normalized date or 'Unknown'
+ */
+export function normalizeListingDate(dateText) {
+  const text = (dateText || '').replace(/\s+/g, ' ').trim();
+  const pad = n => String(n).padStart(2, '0');
+  const monthNumber = name => MONTHS.indexOf(name.toLowerCase().substring(0, 3)) + 1;
+
+  // Apache: 2021-03-05 10:15
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2})/);
+  if (match) {
+    return `${match[1]}-${match[2]}-${match[3]} ${match[4]}:${match[5]}`;
+  }
+
+  // nginx: 05-Mar-2021 10:15
+  match = text.match(/^(\d{2})-([A-Za-z]{3})-(\d{4}) (\d{2}):(\d{2})/);
+  if (match && monthNumber(match[2]) > 0) {
+    return `${match[3]}-${pad(monthNumber(match[2]))}-${match[1]} ${match[4]}:${match[5]}`;
+  }
+
+  // lighttpd: 2021-Mar-05 10:15:00
+  match = text.match(/^(\d{4})-([A-Za-z]{3})-(\d{2}) (\d{2}):(\d{2})/);
+  if (match && monthNumber(match[2]) > 0) {
+    return `${match[1]}-${pad(monthNumber(match[2]))}-${match[3]} ${match[4]}:${match[5]}`;
+  }
+
+  // Anything else the JavaScript date parser understands (RFC 1123, IIS US-style dates)
+  const parsed = new Date(text);
+  if (!text || isNaN(parsed.getTime())) {
+    return 'Unknown';
+  }
+
+  const isUtc = /GMT|UTC|Z$/.test(text);
+  const year = isUtc ? parsed.getUTCFullYear() : parsed.getFullYear();
+  const month = isUtc ? parsed.getUTCMonth() : parsed.getMonth();
+  const day = isUtc ? parsed.getUTCDate() : parsed.getDate();
+  const hours = isUtc ? parsed.getUTCHours() : parsed.getHours();
+  const minutes = isUtc ? parsed.getUTCMinutes() : parsed.getMinutes();
+
+  return `${year}-${pad(month + 1)}-${pad(day)} ${pad(hours)}:${pad(minutes)}`;
+}
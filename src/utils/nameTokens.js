@@ -0,0 +1,11 @@
+// src/utils/nameTokens.js
+// Splits filenames and folder names into words for rule-based matching
+
+/**
+ * Splits text into words on punctuation, spaces, digit runs and camelCase boundaries
+ * @param {string} text - Filename, folder path or registry alias
+ * @returns {Array} Words in their original case, e.g. 'TJ0012_BenBrand' => ['TJ', '0012', 'Ben', 'Brand']
+ */
+export function tokenizeName(text) {
+  return text.match(/[A-Z]+(?![a-z])|[A-Z]?[a-z]+|\d+/g) || [];
+}
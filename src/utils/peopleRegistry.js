@@ -0,0 +1,107 @@
+// src/utils/peopleRegistry.js
+// Matches filenames against the people registry in src/config/people.json
+//
+// Registry entries:
+//   name                  Display name used in filters and on file rows
+//   role                  Optional; one of the ids in `roles`. Leave it unset unless the record
+//                         says what the person's part in the case is
+//   roleSource            Required with role: the filing or docket entry the role comes from
+//   priority              Higher numbers are listed first when a file names several people
+//   aliases               Names matched as whole words, case-insensitively; multi-word aliases
+//                         must appear as consecutive words ("Rachel_Gain", "RachelGain")
+//   caseSensitiveAliases  Surnames that are also ordinary words ("Brand", "Gain") and only
+//                         count when capitalized exactly as given
+//   filePrefixes          Bates-style prefixes: "TJ" matches filenames starting with TJ and digits
+
+import registry from '../config/people.json' with { type: 'json' };
+import { tokenizeName } from './nameTokens.js';
+
+export const PERSON_ROLES = registry.roles;
+
+// Bates-style prefixes of every person, e.g. 'TJ'
+export const FILE_PREFIXES = registry.people.flatMap(person => person.filePrefixes || []);
+
+/**
+ * Builds a matcher from registry entries
+ * @param {Array} people - Entries shaped like people.json's `people`
+ * @param {Array} roles - Allowed roles ({ id, label })
+ * @returns {Function} (filename) => [{ name, role }] ordered by priority, then position in the filename;
+ *   role is null for people without one
+ */
+export function createPeopleMatcher(people, roles = PERSON_ROLES) {
+  const roleIds = new Set(roles.map(role => role.id));
+
+  const entries = people.map(person => {
+    if (person.role !== undefined && !roleIds.has(person.role)) {
+      throw new Error(`Unknown role "${person.role}" for ${person.name} in the people registry`);
+    }
+    if (person.role !== undefined && !person.roleSource) {
+      throw new Error(`Role "${person.role}" for ${person.name} needs a roleSource in the people registry`);
+    }
+
+    return {
+      name: person.name,
+      role: person.role || null,
+      priority: person.priority || 0,
+      aliases: (person.aliases || []).map(alias => tokenizeName(alias).map(token => token.toLowerCase())),
+      caseSensitiveAliases: (person.caseSensitiveAliases || []).map(tokenizeName),
+      prefixes: (person.filePrefixes || []).map(prefix => new RegExp(`^${escapeRegExp(prefix)}\\d+`))
+    };
+  });
+
+  return (filename) => {
+    const nameWithoutExt = filename.replace(/\.[^.]+$/, '');
+    const tokens = tokenizeName(nameWithoutExt);
+    const lowerTokens = tokens.map(token => token.toLowerCase());
+    const matches = [];
+
+    entries.forEach(entry => {
+      const positions = [
+        ...entry.prefixes.map(prefix => (prefix.test(nameWithoutExt) ? 0 : -1)),
+        ...entry.aliases.map(alias => findSequence(lowerTokens, alias)),
+        ...entry.caseSensitiveAliases.map(alias => findSequence(tokens, alias))
+      ].filter(position => position !== -1);
+
+      if (positions.length > 0) {
+        matches.push({ name: entry.name, role: entry.role, priority: entry.priority, position: Math.min(...positions) });
+      }
+    });
+
+    return matches
+      .sort((a, b) => b.priority - a.priority || a.position - b.position)
+      .map(({ name, role }) => ({ name, role }));
+  };
+}
+
+// Matcher for the bundled registry
+export const matchPeople = createPeopleMatcher(registry.people);
+
+/**
+ * Looks up the label of a role id
+ * @param {string} roleId - Role id such as 'plaintiff'
+ * @returns {string} Label, or the id itself if it is not in the registry
+ */
+export function getRoleLabel(roleId) {
+  const role = PERSON_ROLES.find(candidate => candidate.id === roleId);
+  return role ? role.label : roleId;
+}
+
+/**
+ * Finds a run of tokens inside a token list
+ * @returns {number} Index where the run starts, or -1
+ */
+function findSequence(tokens, sequence) {
+  if (sequence.length === 0) return -1;
+
+  for (let i = 0; i + sequence.length <= tokens.length; i++) {
+    if (sequence.every((token, offset) => tokens[i + offset] === token)) {
+      return i;
+    }
+  }
+
+  return -1;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,265 @@
+// src/utils/queryEngine.js
+// Framework-free filtering and sorting shared by the React hooks and scripts/query.js
+//
+// Semantics (the same everywhere the engine is used):
+//   search   Query language from searchQuery.js. Free-text terms match display name,
+//            person, filename, folder and keywords case-insensitively with small typos
+//            tolerated; quoted phrases match exactly (still case-insensitive).
+//   person   Exact person name, or 'all'; matches any of a file's people, and
+//            'Unknown' matches files that name nobody from the people registry
+//   role     Role id from src/config/people.json, or 'all'; matches if any of the
+//            file's people has that role
+//   type     Exact file type ('document', 'video', 'folder', ...), or 'all'
+//   kind     Document kind id from src/config/documentKinds.json, 'other', or 'all';
+//            folders have no kind and never match a specific kind
+//   source   Source id from src/config/sources.js, or 'all'
+//   dated    Document date confidence: 'high', 'medium' (or better), 'low' (any
+//            document date), 'unknown' (none found) or 'all'; any other value is
+//            treated as 'all' rather than hiding every file. See documentDates.js
+//   tag      Reviewer's tag from the file's annotation, or 'all'; tags are matched
+//            in their normalized form (see annotations.js)
+//   sort     'name', 'person', 'type', 'kind', 'source', 'date', 'documentDate',
+//            'exhibit', 'size' or 'relevance'. 'date' is the server's modification
+//            time, 'documentDate' the date the document was filed or took place,
+//            'exhibit' the Bates or exhibit number (see exhibitNumbers.js).
+//   order    'asc' or 'desc'; applies to every sort key, including date and size.
+//            'relevance' is meant to be used with 'desc' (best match first).
+//
+//   Text comparisons are case-insensitive and natural: runs of digits compare by
+//   value, so TJ2 comes before TJ10 and "Exhibit 9" before "Exhibit 10". Everything
+//   else compares by code unit, not locale, so Node and every browser agree.
+//   Files with an 'Unknown' date, no document date or no exhibit number sort after
+//   the others in either order; a missing size counts as 0. Ties are broken by
+//   display name and then URL, both ascending, so results are fully deterministic.
+//
+//   test/fixtures/queries.json pins these rules down; `npm test` runs its cases through
+//   both runQuery and scripts/query.js.
+
+import { parseQuery, compileQuery, compileQueryScore } from './searchQuery.js';
+import { PERSON_ROLES } from './peopleRegistry.js';
+import { DOCUMENT_KINDS, OTHER_KIND, getKindLabel } from './documentKinds.js';
+import { matchesDateConfidence } from './documentDates.js';
+import { getExhibitNumber } from './exhibitNumbers.js';
+import { getAnnotation, normalizeTag } from './annotations.js';
+
+// Values the role and kind criteria can take
+export const ROLE_FILTERS = ['all', ...PERSON_ROLES.map(role => role.id)];
+export const KIND_FILTERS = ['all', ...DOCUMENT_KINDS.map(kind => kind.id), OTHER_KIND.id];
+
+// Keys accepted by sortFiles; anything else sorts by name
+export const SORT_KEYS = ['name', 'person', 'type', 'kind', 'source', 'date', 'documentDate', 'exhibit', 'size', 'relevance'];
+
+export const DEFAULT_CRITERIA = {
+  search: '',
+  person: 'all',
+  role: 'all',
+  type: 'all',
+  kind: 'all',
+  source: 'all',
+  dated: 'all',
+  tag: 'all',
+  sort: 'name',
+  order: 'asc'
+};
+
+/**
+ * Filters files by search query, person, role, type, kind, source, document date and tag
+ * @param {Array} files - File objects
+ * @param {Object} criteria - { search, person, role, type, kind, source, dated, tag }; search may be text or a parseQuery result
+ * @param {Object} context - Optional { textMatchesByTerm, annotations }: full-text matches
+ *   (see useTextIndex) and reviewers' annotations by file id (see useAnnotations)
+ * @returns {Array} Matching files in their original order
+ */
+export function filterFiles(files, criteria = {}, context = {}) {
+  const { search, person, role, type, kind, source, dated, tag } = { ...DEFAULT_CRITERIA, ...criteria };
+  const matchesQuery = compileQuery(getQueryAst(search));
+  const queryContext = getQueryContext(context);
+  const tagFilter = normalizeTag(tag);
+
+  return files.filter(file =>
+    (person === 'all' || getFilePersons(file).includes(person)) &&
+    (role === 'all' || file.roles.includes(role)) &&
+    (type === 'all' || file.type === type) &&
+    (kind === 'all' || file.kind === kind) &&
+    (source === 'all' || file.source === source) &&
+    matchesDateConfidence(file, dated) &&
+    (tag === 'all' || getAnnotation(queryContext.annotations, file).tags.includes(tagFilter)) &&
+    matchesQuery(file, queryContext)
+  );
+}
+
+/**
+ * Scores files against a search query for the relevance sort
+ * @param {Array} files - Files that already passed filterFiles
+ * @param {string|Object} search - Search text, or its parseQuery result
+ * @param {Object} context - Optional { textMatchesByTerm, annotations }
+ * @returns {Map} Relevance score by file URL
+ */
+export function getRelevanceScores(files, search, context = {}) {
+  const score = compileQueryScore(getQueryAst(search));
+  const queryContext = getQueryContext(context);
+
+  return new Map(files.map(file => [file.url, score(file, queryContext) || 0]));
+}
+
+/**
+ * Sorts files by one key
+ * @param {Array} files - File objects (not modified)
+ * @param {string} sortBy - Sort key, see the semantics above
+ * @param {string} sortOrder - 'asc' or 'desc'
+ * @param {Map} relevanceScores - Scores from getRelevanceScores, needed for 'relevance'
+ * @returns {Array} A sorted copy
+ */
+export function sortFiles(files, sortBy = 'name', sortOrder = 'asc', relevanceScores = null) {
+  const direction = sortOrder === 'desc' ? -1 : 1;
+
+  return [...files].sort((a, b) => {
+    const aValue = getSortValue(a, sortBy, relevanceScores);
+    const bValue = getSortValue(b, sortBy, relevanceScores);
+
+    // Missing dates and exhibit numbers stay at the end whichever way the list is sorted
+    if ((aValue === null) !== (bValue === null)) return aValue === null ? 1 : -1;
+
+    const primary = aValue === null ? 0 : compareValues(aValue, bValue);
+    if (primary !== 0) return primary * direction;
+
+    return compareValues(a.displayName.toLowerCase(), b.displayName.toLowerCase()) || compareValues(a.url, b.url);
+  });
+}
+
+/**
+ * Filters then sorts files in one call
+ * @param {Array} files - File objects
+ * @param {Object} criteria - { search, person, role, type, kind, source, dated, tag, sort, order }
+ * @param {Object} context - Optional { textMatchesByTerm, annotations }
+ * @returns {Array} Matching files in result order
+ */
+export function runQuery(files, criteria = {}, context = {}) {
+  const { search, sort, order } = { ...DEFAULT_CRITERIA, ...criteria };
+  const filtered = filterFiles(files, criteria, context);
+  const relevanceScores = sort === 'relevance' ? getRelevanceScores(filtered, search, context) : null;
+
+  return sortFiles(filtered, sort, order, relevanceScores);
+}
+
+/**
+ * Lists the values offered by the person, role, type, kind and source filters
+ * @param {Array} files - File objects
+ * @param {Array} sources - Configured sources, kept in their configured order
+ * @returns {Object} { persons, roles, types, kinds, sources }; roles and kinds keep their configured order
+ */
+export function getFilterOptions(files, sources = []) {
+  const persons = [...new Set(files.flatMap(file => file.persons))].sort();
+  const roleIds = new Set(files.flatMap(file => file.roles));
+  const types = [...new Set(files.map(file => file.type))].sort();
+  const kindIds = new Set(files.map(file => file.kind));
+
+  return {
+    persons,
+    roles: PERSON_ROLES.filter(role => roleIds.has(role.id)),
+    types,
+    kinds: [...DOCUMENT_KINDS, OTHER_KIND].filter(kind => kindIds.has(kind.id)),
+    sources: sources.filter(source => files.some(file => file.source === source.id))
+  };
+}
+
+/**
+ * Names a file is listed under in the person filter
+ * @param {Object} file - File object
+ * @returns {Array} The file's people, or ['Unknown'] if it names nobody
+ */
+export function getFilePersons(file) {
+  return file.persons.length > 0 ? file.persons : ['Unknown'];
+}
+
+function getQueryContext(context) {
+  return { textMatchesByTerm: context.textMatchesByTerm || null, annotations: context.annotations || null };
+}
+
+function getQueryAst(search) {
+  if (!search) return { type: 'all' };
+  return typeof search === 'string' ? parseQuery(search).ast : search.ast;
+}
+
+/**
+ * Extracts the value a file is sorted by
+ * @param {Object} file - File object
+ * @param {string} sortBy - Sort key
+ * @param {Map} relevanceScores - Relevance score by URL
+ * @returns {string|number|null} Comparable value, or null if the file has none
+ */
+function getSortValue(file, sortBy, relevanceScores) {
+  switch (sortBy) {
+    case 'relevance':
+      return relevanceScores ? relevanceScores.get(file.url) || 0 : 0;
+    case 'date':
+      return file.date === 'Unknown' ? null : file.date; // 'YYYY-MM-DD HH:MM' sorts correctly as text
+    case 'documentDate':
+      return file.documentDate ? file.documentDate.value : null;
+    case 'exhibit': {
+      // Series first (TJ, EX, PX, ...), then the number within it
+      const exhibit = getExhibitNumber(file.filename);
+      return exhibit ? `${exhibit.series} ${exhibit.number}` : null;
+    }
+    case 'size':
+      return file.sizeBytes || 0;
+    case 'person':
+      return file.person.toLowerCase();
+    case 'type':
+      return file.type.toLowerCase();
+    case 'kind':
+      return file.kind ? getKindLabel(file.kind).toLowerCase() : ''; // Folders have no kind
+    case 'source':
+      return (file.sourceLabel || '').toLowerCase();
+    case 'name':
+    default:
+      return file.displayName.toLowerCase();
+  }
+}
+
+function compareValues(a, b) {
+  if (typeof a === 'string' && typeof b === 'string') return compareNatural(a, b);
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+/**
+ * Compares text with runs of digits ordered by their value
+ * Other characters compare by code unit; when two strings differ only in leading
+ * zeros ('tj02' and 'tj2') the one with more zeros comes first.
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} Negative, zero or positive
+ */
+export function compareNatural(a, b) {
+  const aParts = a.match(/\d+|\D+/g) || [];
+  const bParts = b.match(/\d+|\D+/g) || [];
+  let zeroTieBreak = 0;
+
+  for (let i = 0; i < aParts.length && i < bParts.length; i++) {
+    const aPart = aParts[i];
+    const bPart = bParts[i];
+    if (aPart === bPart) continue;
+
+    if (isDigits(aPart) && isDigits(bPart)) {
+      const aNumber = aPart.replace(/^0+/, '');
+      const bNumber = bPart.replace(/^0+/, '');
+
+      // A longer run without leading zeros is the larger number
+      if (aNumber.length !== bNumber.length) return aNumber.length < bNumber.length ? -1 : 1;
+      if (aNumber !== bNumber) return aNumber < bNumber ? -1 : 1;
+      if (!zeroTieBreak) zeroTieBreak = aPart.length > bPart.length ? -1 : 1;
+      continue;
+    }
+
+    return aPart < bPart ? -1 : 1;
+  }
+
+  if (aParts.length !== bParts.length) return aParts.length < bParts.length ? -1 : 1;
+  return zeroTieBreak;
+}
+
+function isDigits(text) {
+  return text.charCodeAt(0) >= 48 && text.charCodeAt(0) <= 57;
+}
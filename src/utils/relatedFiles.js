@@ -0,0 +1,45 @@
+// src/utils/relatedFiles.js
+// Finds the files related to one file, for its detail page
+
+import { sortFiles } from './queryEngine.js';
+import { getExhibitNumber } from './exhibitNumbers.js';
+import { getBreadcrumbs } from './folderTree.js';
+
+/**
+ * Groups the other files that share a person, an exhibit number or the folder with a file
+ * @param {Object} file - File the detail page is about
+ * @param {Array} files - Files to look through
+ * @returns {Array} [{ id, label, files }] in that order, one group per person of the file;
+ *   groups are left out when empty, folders never count, and each group is sorted by name
+ */
+export function findRelatedFiles(file, files) {
+  const others = files.filter(other => other.type !== 'folder' && other.id !== file.id);
+  const groups = file.persons.map(person => ({
+    id: `person:${person}`,
+    label: `Also about ${person}`,
+    files: others.filter(other => other.persons.includes(person))
+  }));
+
+  const exhibit = getExhibitNumber(file.filename);
+  if (exhibit) {
+    groups.push({
+      id: 'exhibit',
+      label: `Same exhibit number (${exhibit.series} ${exhibit.number})`,
+      files: others.filter(other => {
+        const otherExhibit = getExhibitNumber(other.filename);
+        return otherExhibit !== null && otherExhibit.series === exhibit.series && otherExhibit.number === exhibit.number;
+      })
+    });
+  }
+
+  const crumbs = getBreadcrumbs(file.parentPath);
+  groups.push({
+    id: 'folder',
+    label: `Also in ${crumbs[crumbs.length - 1].name}`,
+    files: others.filter(other => other.parentPath === file.parentPath)
+  });
+
+  return groups
+    .filter(group => group.files.length > 0)
+    .map(group => ({ ...group, files: sortFiles(group.files, 'name', 'asc') }));
+}
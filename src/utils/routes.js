@@ -0,0 +1,88 @@
+// src/utils/routes.js
+// Paths of the app's pages; the rest of a view (search, filters, page) is in the query string
+//
+//   /                 archive root
+//   /folder/<path>/   a folder, e.g. /folder/Depositions/2021/
+//   /file/<id>        a file's detail page, with ids from fileIds.js
+//
+// All of them sit under the path the app is served from (PUBLIC_PATH at build time),
+// e.g. /archive/folder/Depositions/ for an app deployed at /archive/.
+// The dev server answers unknown paths with index.html (historyApiFallback), so
+// these open directly; a static host needs the same fallback.
+
+const BASE_PATH = process.env.PUBLIC_PATH || '/'; // Injected by webpack DefinePlugin
+const FILE_ROUTE = 'file/';
+const FOLDER_ROUTE = 'folder/';
+
+/**
+ * Reads the folder or file a path points at
+ * @param {string} pathname - window.location.pathname
+ * @returns {Object} { folder, detail }: a folder path such as 'Depositions/' ('' for the
+ *   root) and the id of the file whose detail page is open, or null
+ */
+export function readRoute(pathname) {
+  if (!pathname.startsWith(BASE_PATH)) {
+    return { folder: '', detail: null };
+  }
+  pathname = pathname.substring(BASE_PATH.length);
+
+  if (pathname.startsWith(FILE_ROUTE)) {
+    const id = decodeSegment(pathname.substring(FILE_ROUTE.length).replace(/\/+$/, ''));
+    return { folder: '', detail: id || null };
+  }
+
+  if (pathname.startsWith(FOLDER_ROUTE)) {
+    const segments = pathname.substring(FOLDER_ROUTE.length).split('/').filter(Boolean).map(decodeSegment);
+    return { folder: segments.length > 0 ? segments.join('/') + '/' : '', detail: null };
+  }
+
+  // The root, and any path the app does not know
+  return { folder: '', detail: null };
+}
+
+/**
+ * Builds the path of a folder or detail page
+ * @param {Object} route - { folder, detail } as from readRoute; detail wins
+ * @returns {string} Path such as '/file/brand-depo-pdf-2j8fk3l0q9x' or '/folder/Depositions/'
+ */
+export function formatRoute({ folder = '', detail = null }) {
+  if (detail) {
+    return BASE_PATH + FILE_ROUTE + encodeURIComponent(detail);
+  }
+  if (folder) {
+    return BASE_PATH + FOLDER_ROUTE + folder.split('/').filter(Boolean).map(encodeURIComponent).join('/') + '/';
+  }
+  return BASE_PATH;
+}
+
+/**
+ * Builds the path of a file deployed next to the app, such as index.json
+ * @param {string} filename - File name relative to the app's folder
+ * @returns {string} Path such as '/index.json', or '/archive/index.json' under /archive/
+ */
+export function getAssetPath(filename) {
+  return BASE_PATH + filename;
+}
+
+/**
+ * Builds the shareable address of a file's detail page
+ * @param {Object} file - File object
+ * @param {string} origin - Origin the app is served from, e.g. 'https://example.org'
+ * @returns {string} Absolute URL without view state
+ */
+export function getFilePermalink(file, origin) {
+  return origin + formatRoute({ detail: file.id });
+}
+
+/**
+ * Decodes one path segment, keeping it as written if it is not valid percent-encoding
+ * @param {string} segment - Path segment
+ * @returns {string} Decoded segment
+ */
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
@@ -0,0 +1,94 @@
+// src/utils/savedSearches.js
+// Named searches: the search box, filters and sort kept in the browser for one-click recall
+//
+// A saved search is { name, params, savedAt }, stored under its name in lower case, so
+// saving again under the same name replaces it. params holds every URL parameter in
+// SAVED_SEARCH_PARAMS, defaults included, so recalling one clears filters it did not use.
+
+import { getAllRecords, putRecords } from './indexedDb.js';
+import { getRoleLabel } from './peopleRegistry.js';
+import { getKindLabel } from './documentKinds.js';
+
+const STORE_NAME = 'savedSearches';
+
+// URL parameters (see useUrlState.js) that make up a search
+export const SAVED_SEARCH_PARAMS = ['search', 'person', 'role', 'type', 'kind', 'source', 'dated', 'tag', 'changed', 'sort', 'order', 'scope'];
+
+/**
+ * Gets the key a saved search is stored under
+ * @param {string} name - Name as typed
+ * @returns {string} Trimmed, lower-case name with single spaces
+ */
+export function getSavedSearchKey(name) {
+  return name.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Captures the current search under a name
+ * @param {string} name - Name for the search
+ * @param {Object} urlParams - Current URL parameters
+ * @returns {Object} Saved search
+ */
+export function createSavedSearch(name, urlParams) {
+  return {
+    name: name.trim().replace(/\s+/g, ' '),
+    params: Object.fromEntries(SAVED_SEARCH_PARAMS.map(key => [key, urlParams[key]])),
+    savedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Checks whether a saved search is the one on screen
+ * @param {Object} savedSearch - Saved search
+ * @param {Object} urlParams - Current URL parameters
+ * @returns {boolean} True if every saved parameter matches
+ */
+export function isSavedSearchActive(savedSearch, urlParams) {
+  return SAVED_SEARCH_PARAMS.every(key => savedSearch.params[key] === urlParams[key]);
+}
+
+/**
+ * Sums up what a saved search selects, for its tooltip
+ * @param {Object} savedSearch - Saved search
+ * @returns {string} e.g. 'Search "deposition" • Person: Tom Ewell • Sorted by date, descending'
+ */
+export function describeSavedSearch(savedSearch) {
+  const { search, person, role, type, kind, source, dated, tag, changed, sort, order, scope } = savedSearch.params;
+  const parts = [];
+
+  if (search) parts.push(`Search "${search}"`);
+  if (person !== 'all') parts.push(`Person: ${person}`);
+  if (role !== 'all') parts.push(`Role: ${getRoleLabel(role)}`);
+  if (type !== 'all') parts.push(`Type: ${type}`);
+  if (kind !== 'all') parts.push(`Kind: ${getKindLabel(kind)}`);
+  if (source !== 'all') parts.push(`Source: ${source}`);
+  if (dated !== 'all') parts.push(`Document date: ${dated}`);
+  if (tag !== 'all') parts.push(`Tag: ${tag}`);
+  if (changed) parts.push('New or changed since last visit');
+  if (scope === 'all') parts.push('Everywhere');
+  parts.push(`Sorted by ${sort}, ${order === 'desc' ? 'descending' : 'ascending'}`);
+
+  return parts.join(' • ');
+}
+
+/**
+ * Reads every saved search
+ * @returns {Promise<Map>} Saved searches by key; empty if storage is unavailable
+ */
+export async function readSavedSearches() {
+  try {
+    return await getAllRecords(STORE_NAME);
+  } catch (err) {
+    console.warn('Could not read saved searches:', err.message);
+    return new Map();
+  }
+}
+
+/**
+ * Stores or deletes saved searches
+ * @param {Array} entries - [key, saved search] pairs; null deletes the key
+ * @returns {Promise<void>} Rejects if storage is unavailable
+ */
+export function writeSavedSearches(entries) {
+  return putRecords(STORE_NAME, entries);
+}
@@ -0,0 +1,465 @@
+// src/utils/searchQuery.js
+// Parses the search box query language and compiles it into file predicates and relevance scores
+//
+// Syntax:
+//   ewell deposition         Both words must match (name, person, folder, keywords or the file's note); small typos are tolerated
+//   "expert report"          Quoted phrase, matched exactly
+//   -draft                   Negation; also -person:ewell and -(a OR b)
+//   motion OR brief          Either side may match; binds looser than AND
+//   (motion OR brief) ewell  Parentheses group
+//   person:ewell             Field qualifiers: person, role, type, kind, ext, folder, source
+//   tag:reviewed             Reviewers' tags and notes (see annotations.js): tag, note
+//   date:2021-01..2021-06    Date ranges: YYYY, YYYY-MM or YYYY-MM-DD, with `..`, >, >=, <, <=
+//   docdate:2021-03          The same for the date a document was filed or took place
+//   size:>5M                 Size comparisons with B, K, M or G units, or a `..` range
+
+import { findFuzzyMatch } from './fuzzyMatch.js';
+import { getAnnotation, normalizeTag } from './annotations.js';
+
+const FIELDS = ['person', 'role', 'type', 'kind', 'ext', 'folder', 'source', 'tag', 'note', 'date', 'docdate', 'size'];
+
+/**
+ * Parses a query string into an expression tree
+ * Invalid pieces are reported in `errors` and left out of the tree, so a
+ * half-typed query still filters on everything that is valid.
+ * @param {string} input - Raw search box text
+ * @returns {Object} { ast, errors: [{ message, start, end }], textTerms }
+ */
+export function parseQuery(input) {
+  const errors = [];
+  const tokens = tokenize(input || '', errors);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  // orExpr := andExpr ('OR' andExpr)*
+  const parseOr = () => {
+    const first = parseAnd();
+    const children = [first];
+
+    while (peek() && peek().type === 'or') {
+      const orToken = next();
+      const right = parseAnd();
+      if (children[children.length - 1].type === 'all' || right.type === 'all') {
+        errors.push({ message: 'OR needs a term on both sides', start: orToken.start, end: orToken.end });
+      }
+      children.push(right);
+    }
+
+    // An empty side of OR would otherwise match every file
+    const terms = children.filter(child => child.type !== 'all');
+    if (terms.length === 0) return first;
+    return terms.length === 1 ? terms[0] : { type: 'or', children: terms };
+  };
+
+  // andExpr := unary*
+  const parseAnd = () => {
+    const children = [];
+
+    while (peek() && peek().type !== 'or' && peek().type !== 'rparen') {
+      const node = parseUnary();
+      if (node) children.push(node);
+    }
+
+    if (children.length === 0) return { type: 'all' };
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  // unary := '-' unary | '(' orExpr ')' | term
+  const parseUnary = () => {
+    const token = next();
+
+    if (token.type === 'not') {
+      if (!peek() || peek().type === 'or' || peek().type === 'rparen') {
+        errors.push({ message: 'Nothing to exclude after "-"', start: token.start, end: token.end });
+        return null;
+      }
+      const child = parseUnary();
+      return child ? { type: 'not', child } : null;
+    }
+
+    if (token.type === 'lparen') {
+      const inner = parseOr();
+      if (peek() && peek().type === 'rparen') {
+        next();
+      } else {
+        errors.push({ message: 'Missing closing parenthesis', start: token.start, end: token.end });
+      }
+      return inner;
+    }
+
+    return buildTermNode(token, errors);
+  };
+
+  let ast = parseOr();
+
+  // Anything left over can only be stray closing parentheses
+  while (peek()) {
+    const token = next();
+    errors.push({ message: 'Unexpected closing parenthesis', start: token.start, end: token.end });
+    const rest = parseOr();
+    ast = rest.type === 'all' ? ast : { type: 'and', children: [ast, rest] };
+  }
+
+  return { ast, errors, textTerms: collectTextTerms(ast) };
+}
+
+// How much a hit in each field counts towards relevance; titles rank highest
+export const FIELD_WEIGHTS = {
+  displayName: 10,
+  person: 8,
+  filename: 6,
+  parentPath: 3,
+  note: 4, // Reviewer's note, from the file's annotation
+  keywords: 2,
+  text: 1 // Inside the document, from the full-text index
+};
+
+/**
+ * Compiles an expression tree into a predicate
+ * @param {Object} ast - Tree from parseQuery
+ * @returns {Function} (file, context) => boolean, where context.textMatchesByTerm
+ *   optionally maps each free-text term to full-text matches by file URL and
+ *   context.annotations holds reviewers' annotations by file id
+ */
+export function compileQuery(ast) {
+  const score = compileQueryScore(ast);
+  return (file, context) => score(file, context) !== null;
+}
+
+/**
+ * Compiles an expression tree into a relevance scorer
+ * AND adds up its terms, OR keeps its best branch; negations and field
+ * qualifiers decide whether a file matches but do not add to its score.
+ * @param {Object} ast - Tree from parseQuery
+ * @returns {Function} (file, context) => number, or null if the file does not match
+ */
+export function compileQueryScore(ast) {
+  switch (ast.type) {
+    case 'and': {
+      const children = ast.children.map(compileQueryScore);
+      return (file, context) => {
+        let total = 0;
+        for (const child of children) {
+          const childScore = child(file, context);
+          if (childScore === null) return null;
+          total += childScore;
+        }
+        return total;
+      };
+    }
+    case 'or': {
+      const children = ast.children.map(compileQueryScore);
+      return (file, context) => children.reduce((best, child) => {
+        const childScore = child(file, context);
+        return childScore !== null && (best === null || childScore > best) ? childScore : best;
+      }, null);
+    }
+    case 'not': {
+      const child = compileQueryScore(ast.child);
+      return (file, context) => (child(file, context) === null ? 0 : null);
+    }
+    case 'text':
+      return (file, context = {}) => {
+        const textMatches = context.textMatchesByTerm && context.textMatchesByTerm.get(ast.value);
+        const inDocument = Boolean(textMatches && textMatches.has(file.url));
+        const { note } = getAnnotation(context.annotations, file);
+        return scoreSearchText(file, ast.value, { exact: ast.phrase, inDocument, note });
+      };
+    case 'field': {
+      const matches = compileField(ast);
+      return (file, context = {}) => (matches(file, context) ? 0 : null);
+    }
+    case 'all':
+    default:
+      return () => 0;
+  }
+}
+
+/**
+ * Weighted, typo-tolerant match across the fields the search box covers
+ * @param {Object} file - File object
+ * @param {string} term - Search text
+ * @param {Object} options - Match options
+ * @param {boolean} options.exact - Require the exact text (quoted phrases)
+ * @param {boolean} options.inDocument - Whether the full-text index found the term in the file
+ * @param {string} options.note - The file's annotation note, if any
+ * @returns {number|null} Relevance score, or null if no field matches
+ */
+export function scoreSearchText(file, term, { exact = false, inDocument = false, note = '' } = {}) {
+  const matchField = (text) => {
+    if (exact) {
+      return text.toLowerCase().includes(term.toLowerCase()) ? 1 : 0;
+    }
+    const match = findFuzzyMatch(text, term);
+    return match ? match.score : 0;
+  };
+
+  const score =
+    matchField(file.displayName) * FIELD_WEIGHTS.displayName +
+    Math.max(0, ...file.persons.map(matchField)) * FIELD_WEIGHTS.person +
+    matchField(file.filename) * FIELD_WEIGHTS.filename +
+    matchField(file.parentPath || '') * FIELD_WEIGHTS.parentPath +
+    (note ? matchField(note) * FIELD_WEIGHTS.note : 0) +
+    Math.max(0, ...file.keywords.map(matchField)) * FIELD_WEIGHTS.keywords +
+    (inDocument ? FIELD_WEIGHTS.text : 0);
+
+  return score > 0 ? score : null;
+}
+
+/**
+ * Splits the query into tokens with their character positions
+ * @param {string} input - Raw query
+ * @param {Array} errors - Collects tokenizer errors
+ * @returns {Array} Tokens: { type: 'lparen'|'rparen'|'or'|'not'|'term', value, field, phrase, start, end }
+ */
+function tokenize(input, errors) {
+  const tokens = [];
+  let i = 0;
+
+  const readPhrase = (start) => {
+    const close = input.indexOf('"', start + 1);
+    if (close === -1) {
+      errors.push({ message: 'Missing closing quote', start, end: input.length });
+      return { text: input.substring(start + 1), end: input.length };
+    }
+    return { text: input.substring(start + 1, close), end: close + 1 };
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char === '(' ? 'lparen' : 'rparen', start: i, end: i + 1 });
+      i++;
+    } else if (char === '-' && i + 1 < input.length && !/\s/.test(input[i + 1]) && (i === 0 || /[\s(]/.test(input[i - 1]))) {
+      tokens.push({ type: 'not', start: i, end: i + 1 });
+      i++;
+    } else if (char === '"') {
+      const phrase = readPhrase(i);
+      tokens.push({ type: 'term', value: phrase.text, phrase: true, start: i, end: phrase.end });
+      i = phrase.end;
+    } else {
+      const start = i;
+      while (i < input.length && !/[\s()"]/.test(input[i])) i++;
+      const word = input.substring(start, i);
+      const colon = word.indexOf(':');
+
+      if (word === 'OR') {
+        tokens.push({ type: 'or', start, end: i });
+      } else if (colon > 0 && FIELDS.includes(word.substring(0, colon).toLowerCase())) {
+        // field:value or field:"quoted value"
+        let value = word.substring(colon + 1);
+        if (value === '' && input[i] === '"') {
+          const phrase = readPhrase(i);
+          value = phrase.text;
+          i = phrase.end;
+        }
+        tokens.push({ type: 'term', field: word.substring(0, colon).toLowerCase(), value, start, end: i });
+      } else if (colon > 0 && /^[a-z]+$/i.test(word.substring(0, colon))) {
+        errors.push({
+          message: `Unknown field "${word.substring(0, colon)}". Use ${FIELDS.join(', ')}`,
+          start,
+          end: i
+        });
+      } else {
+        tokens.push({ type: 'term', value: word, start, end: i });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Turns a term token into a text or field node, validating field values
+ * @param {Object} token - Term token
+ * @param {Array} errors - Collects validation errors
+ * @returns {Object|null} Expression node, or null if the term is invalid
+ */
+function buildTermNode(token, errors) {
+  if (token.type === 'or' || token.type === 'rparen') {
+    return null;
+  }
+
+  if (!token.field) {
+    return token.value.trim() ? { type: 'text', value: token.value.trim(), phrase: Boolean(token.phrase) } : null;
+  }
+
+  const value = token.value.trim();
+  const fail = (message) => {
+    errors.push({ message, start: token.start, end: token.end });
+    return null;
+  };
+
+  if (!value) {
+    return fail(`${token.field}: needs a value`);
+  }
+
+  if (token.field === 'date' || token.field === 'docdate') {
+    const range = parseRange(value, parseDateBound);
+    const field = token.field;
+    return range ? { type: 'field', field, value, range } : fail(`Invalid date "${value}". Try ${field}:2021-03, ${field}:>2021-01-15 or ${field}:2021-01..2021-06`);
+  }
+
+  if (token.field === 'size') {
+    const range = parseRange(value, parseSizeBound);
+    if (range && range.exact) {
+      return fail(`Compare sizes with size:>${value}, size:<${value} or a range like size:1M..${value}`);
+    }
+    return range ? { type: 'field', field: 'size', value, range } : fail(`Invalid size "${value}". Try size:>5M or size:100K..2M`);
+  }
+
+  return { type: 'field', field: token.field, value: value.toLowerCase() };
+}
+
+/**
+ * Builds the predicate for a field qualifier, mirroring the existing filters
+ * @param {Object} node - Field node
+ * @returns {Function} (file, context) => boolean
+ */
+function compileField(node) {
+  const { field, value, range } = node;
+
+  switch (field) {
+    case 'person':
+      return file => file.persons.some(person => person.toLowerCase().includes(value));
+    case 'role':
+      return file => file.roles.includes(value);
+    case 'type':
+      return file => file.type.toLowerCase() === value;
+    case 'kind':
+      return file => file.kind === value;
+    case 'ext':
+      return file => file.type !== 'folder' && getExtension(file.filename) === value.replace(/^\./, '');
+    case 'folder':
+      return file => (file.parentPath || '').toLowerCase().includes(value);
+    case 'source':
+      return file => (file.source || '').toLowerCase() === value || (file.sourceLabel || '').toLowerCase().includes(value);
+    case 'tag':
+      return (file, context) => getAnnotation(context.annotations, file).tags.includes(normalizeTag(value));
+    case 'note':
+      return (file, context) => getAnnotation(context.annotations, file).note.toLowerCase().includes(value);
+    case 'date':
+      return file => {
+        const time = parseFileDate(file.date);
+        return time !== null && inRange(time, range);
+      };
+    case 'docdate':
+      return file => {
+        const time = file.documentDate ? parseFileDate(file.documentDate.value) : null;
+        return time !== null && inRange(time, range);
+      };
+    case 'size':
+      return file => file.type !== 'folder' && inRange(file.sizeBytes || 0, range);
+    default:
+      return () => true;
+  }
+}
+
+/**
+ * Parses "a..b", ">a", ">=a", "<a", "<=a" or a single value into bounds
+ * @param {string} value - Range text
+ * @param {Function} parseBound - (text) => { start, end } half-open interval, or null
+ * @returns {Object|null} { min, max, exact } where min is inclusive and max exclusive
+ */
+function parseRange(value, parseBound) {
+  const rangeMatch = value.match(/^(.*)\.\.(.*)$/);
+  if (rangeMatch) {
+    const from = rangeMatch[1] ? parseBound(rangeMatch[1]) : { start: -Infinity };
+    const to = rangeMatch[2] ? parseBound(rangeMatch[2]) : { end: Infinity };
+    return from && to ? { min: from.start, max: to.end } : null;
+  }
+
+  const comparison = value.match(/^(>=|<=|>|<)(.+)$/);
+  if (comparison) {
+    const bound = parseBound(comparison[2]);
+    if (!bound) return null;
+
+    switch (comparison[1]) {
+      case '>': return { min: bound.end, max: Infinity };
+      case '>=': return { min: bound.start, max: Infinity };
+      case '<': return { min: -Infinity, max: bound.start };
+      case '<=': return { min: -Infinity, max: bound.end };
+    }
+  }
+
+  const bound = parseBound(value);
+  return bound ? { min: bound.start, max: bound.end, exact: true } : null;
+}
+
+/**
+ * Parses YYYY, YYYY-MM or YYYY-MM-DD into the UTC interval it covers
+ * @param {string} text - Date text
+ * @returns {Object|null} { start, end } in milliseconds
+ */
+function parseDateBound(text) {
+  const match = text.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+  if (!match) return null;
+
+  const year = Number(match[1]);
+  const month = match[2] ? Number(match[2]) - 1 : null;
+  const day = match[3] ? Number(match[3]) : null;
+
+  if (month !== null && (month < 0 || month > 11)) return null;
+  if (day !== null && (day < 1 || day > 31)) return null;
+
+  if (day !== null) return { start: Date.UTC(year, month, day), end: Date.UTC(year, month, day + 1) };
+  if (month !== null) return { start: Date.UTC(year, month, 1), end: Date.UTC(year, month + 1, 1) };
+  return { start: Date.UTC(year, 0, 1), end: Date.UTC(year + 1, 0, 1) };
+}
+
+/**
+ * Parses a size like 5M, 100K, 2.5MB or 512 into bytes
+ * @param {string} text - Size text
+ * @returns {Object|null} { start, end } covering exactly that byte count; end is exclusive, as in parseDateBound
+ */
+function parseSizeBound(text) {
+  const match = text.match(/^(\d+(?:\.\d+)?)\s*([KMG]?)B?$/i);
+  if (!match) return null;
+
+  const multipliers = { '': 1, K: 1024, M: 1024 * 1024, G: 1024 * 1024 * 1024 };
+  const bytes = Math.floor(parseFloat(match[1]) * multipliers[match[2].toUpperCase()]);
+  return { start: bytes, end: bytes + 1 };
+}
+
+function inRange(number, range) {
+  return number >= range.min && number < range.max;
+}
+
+/**
+ * Converts a listing date ('YYYY-MM-DD HH:MM') or document date ('YYYY-MM-DD') to UTC milliseconds
+ * @param {string} date - File date
+ * @returns {number|null} Milliseconds, or null for 'Unknown'
+ */
+function parseFileDate(date) {
+  const match = (date || '').match(/^(\d{4})-(\d{2})-(\d{2})(?:\s+(\d{2}):(\d{2}))?/);
+  if (!match) return null;
+  return Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]), Number(match[4] || 0), Number(match[5] || 0));
+}
+
+function getExtension(filename) {
+  const dotIndex = filename.lastIndexOf('.');
+  return dotIndex === -1 ? '' : filename.substring(dotIndex + 1).toLowerCase();
+}
+
+/**
+ * Lists the free-text terms that are not negated, for full-text lookup and highlighting
+ * @param {Object} ast - Expression tree
+ * @returns {Array} Unique terms
+ */
+function collectTextTerms(ast) {
+  const terms = new Set();
+
+  const visit = (node) => {
+    if (node.type === 'text') terms.add(node.value);
+    if (node.type === 'and' || node.type === 'or') node.children.forEach(visit);
+    // Negated terms are deliberately skipped
+  };
+
+  visit(ast);
+  return [...terms];
+}
@@ -0,0 +1,63 @@
+// src/utils/snapshot.js
+// This module defines the static index.json snapshot shared by the CLI and the app
+
+// Bump whenever the shape of the snapshot or of the file objects changes
+export const SNAPSHOT_VERSION = 6;
+
+/**
+ * Wraps a crawled file list in a versioned snapshot object
+ * @param {Array} files - Parsed file objects
+ * @param {Object} meta - Snapshot details
+ * @param {Array} meta.sources - Sources that were crawled ({ id, label, url })
+ * @param {Array} meta.errors - Subfolders that failed to load during the crawl
+ * @returns {Object} Snapshot ready to be serialized as index.json
+ */
+export function createSnapshot(files, { sources, errors = [] }) {
+  return {
+    version: SNAPSHOT_VERSION,
+    generatedAt: new Date().toISOString(),
+    sources: sources.map(({ id, label, url }) => ({ id, label, url })),
+    fileCount: files.length,
+    errors: errors,
+    files: files
+  };
+}
+
+/**
+ * Validates a parsed index.json and returns it if the app can use it
+ * @param {Object} data - Parsed JSON content
+ * @returns {Object|null} The snapshot, or null if it is missing or from another version
+ */
+export function readSnapshot(data) {
+  if (!data || typeof data !== 'object') {
+    return null;
+  }
+
+  if (data.version !== SNAPSHOT_VERSION) {
+    console.warn(`Ignoring snapshot version ${data.version}, expected ${SNAPSHOT_VERSION}`);
+    return null;
+  }
+
+  if (!Array.isArray(data.files) || data.files.length === 0) {
+    return null;
+  }
+
+  return data;
+}
+
+/**
+ * Compares two listings of the same folder by URL, date and size
+ * @param {Array} previous - File objects from the snapshot
+ * @param {Array} current - File objects parsed from the live server
+ * @returns {boolean} True if any entry was added, removed or modified
+ */
+export function hasListingChanged(previous, current) {
+  const signature = file => `${file.url}|${file.date}|${file.size}`;
+  const previousSignatures = new Set(previous.map(signature));
+
+  if (previousSignatures.size !== current.length) {
+    return true;
+  }
+
+  return current.some(file => !previousSignatures.has(signature(file)));
+}
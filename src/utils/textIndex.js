@@ -0,0 +1,101 @@
+// src/utils/textIndex.js
+// This module defines the full-text index written by the snapshot CLI and searches it
+
+// Bump whenever the shape of text-index.json changes
+export const TEXT_INDEX_VERSION = 1;
+
+const SNIPPET_RADIUS = 60; // Characters of context on each side of a match
+const MAX_MATCHES_PER_FILE = 3;
+
+/**
+ * Wraps extracted document text in a versioned index object
+ * @param {Object} documents - { [file url]: { pages: [text, ...] } }
+ * @param {Array} errors - Documents whose text could not be extracted ({ url, message })
+ * @returns {Object} Index ready to be serialized as text-index.json
+ */
+export function createTextIndex(documents, errors = []) {
+  return {
+    version: TEXT_INDEX_VERSION,
+    generatedAt: new Date().toISOString(),
+    documentCount: Object.keys(documents).length,
+    errors: errors,
+    documents: documents
+  };
+}
+
+/**
+ * Validates a parsed text-index.json and prepares it for searching
+ * @param {Object} data - Parsed JSON content
+ * @returns {Object|null} { generatedAt, documentCount, documents: Map(url => pages) } or null
+ */
+export function readTextIndex(data) {
+  if (!data || data.version !== TEXT_INDEX_VERSION || !data.documents) {
+    return null;
+  }
+
+  const documents = new Map();
+  Object.entries(data.documents).forEach(([url, document]) => {
+    documents.set(url, document.pages.map(text => ({ text, lowerText: text.toLowerCase() })));
+  });
+
+  return {
+    generatedAt: data.generatedAt,
+    documentCount: documents.size,
+    documents: documents
+  };
+}
+
+/**
+ * Finds a search term in every indexed document
+ * @param {Object} textIndex - Result of readTextIndex
+ * @param {string} searchTerm - Text to look for (case-insensitive)
+ * @returns {Map} url => [{ page, before, match, after }] with at most a few matches per file
+ */
+export function searchTextIndex(textIndex, searchTerm) {
+  const results = new Map();
+  const term = searchTerm.trim().toLowerCase();
+
+  if (!textIndex || term.length < 2) {
+    return results;
+  }
+
+  textIndex.documents.forEach((pages, url) => {
+    const matches = [];
+
+    for (let pageIndex = 0; pageIndex < pages.length && matches.length < MAX_MATCHES_PER_FILE; pageIndex++) {
+      const { text, lowerText } = pages[pageIndex];
+      let position = lowerText.indexOf(term);
+
+      while (position !== -1 && matches.length < MAX_MATCHES_PER_FILE) {
+        matches.push(buildSnippet(text, position, term.length, pageIndex + 1));
+        position = lowerText.indexOf(term, position + term.length + SNIPPET_RADIUS);
+      }
+    }
+
+    if (matches.length > 0) {
+      results.set(url, matches);
+    }
+  });
+
+  return results;
+}
+
+/**
+ * Cuts a snippet of text around a match
+ * @param {string} text - Page text
+ * @param {number} start - Index of the match
+ * @param {number} length - Length of the match
+ * @param {number} page - 1-based page number; text files are a single page
+ * @returns {Object} { page, before, match, after }
+ */
+function buildSnippet(text, start, length, page) {
+  const snippetStart = Math.max(0, start - SNIPPET_RADIUS);
+  const snippetEnd = Math.min(text.length, start + length + SNIPPET_RADIUS);
+
+  return {
+    page: page,
+    before: (snippetStart > 0 ? '…' : '') + text.substring(snippetStart, start),
+    match: text.substring(start, start + length),
+    after: text.substring(start + length, snippetEnd) + (snippetEnd < text.length ? '…' : '')
+  };
+}
@@ -0,0 +1,75 @@
+// src/utils/timeline.js
+// This module groups files into periods for the chronological timeline view
+//
+// A file is placed by its document date (when it was filed or took place) if one
+// was found, otherwise by the server's modification date. Files with neither go in
+// a final "Undated" group. Folders are left out.
+
+import { compareNatural } from './queryEngine.js';
+
+// Grouping granularities, widest first; zooming in moves right
+export const TIMELINE_ZOOMS = ['year', 'month', 'day'];
+
+const UNDATED_KEY = 'undated';
+
+// Distinct, readable colors handed out to people by name
+const PERSON_COLORS = ['#1f77b4', '#d62728', '#2ca02c', '#9467bd', '#ff7f0e', '#17becf', '#8c564b', '#e377c2', '#bcbd22', '#393b79'];
+const UNKNOWN_PERSON_COLOR = '#adb5bd';
+
+/**
+ * Picks the date a file is placed at on the timeline
+ * @param {Object} file - File object
+ * @returns {Object|null} { value: 'YYYY-MM-DD', source: 'document' | 'modified' }, or null if undated
+ */
+export function getTimelineDate(file) {
+  if (file.documentDate) {
+    return { value: file.documentDate.value, source: 'document' };
+  }
+
+  const match = (file.date || '').match(/^\d{4}-\d{2}-\d{2}/);
+  return match ? { value: match[0], source: 'modified' } : null;
+}
+
+/**
+ * Groups files into chronological periods
+ * @param {Array} files - File objects
+ * @param {string} zoom - 'year', 'month' or 'day'
+ * @param {string} order - 'asc' for oldest first, 'desc' for newest first
+ * @returns {Array} [{ key, files: [{ file, date }] }]; key is 'YYYY', 'YYYY-MM', 'YYYY-MM-DD' or 'undated'
+ */
+export function buildTimeline(files, zoom = 'month', order = 'asc') {
+  const keyLength = { year: 4, month: 7, day: 10 }[zoom] || 7;
+  const direction = order === 'desc' ? -1 : 1;
+  const groups = new Map();
+
+  files
+    .filter(file => file.type !== 'folder')
+    .map(file => ({ file, date: getTimelineDate(file) }))
+    .sort((a, b) => {
+      if (!a.date !== !b.date) return a.date ? -1 : 1; // Undated files go last either way
+      const byDate = a.date ? compareNatural(a.date.value, b.date.value) * direction : 0;
+      return byDate || compareNatural(a.file.displayName.toLowerCase(), b.file.displayName.toLowerCase());
+    })
+    .forEach(entry => {
+      const key = entry.date ? entry.date.value.substring(0, keyLength) : UNDATED_KEY;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(entry);
+    });
+
+  return [...groups].map(([key, entries]) => ({ key, files: entries }));
+}
+
+/**
+ * Color that marks a person throughout the timeline
+ * @param {string} name - Person name; 'Unknown' gets a neutral grey
+ * @returns {string} CSS color
+ */
+export function getPersonColor(name) {
+  if (!name || name === 'Unknown') return UNKNOWN_PERSON_COLOR;
+
+  let hash = 0;
+  for (let i = 0; i < name.length; i++) {
+    hash = (hash * 31 + name.charCodeAt(i)) >>> 0;
+  }
+  return PERSON_COLORS[hash % PERSON_COLORS.length];
+}
@@ -0,0 +1,186 @@
+// src/utils/zipWriter.js
+// Writes ZIP archives piece by piece to an output, such as a file being saved to disk
+//
+// Entries are stored uncompressed: the archive's PDFs and videos are already
+// compressed, and storing lets each chunk be written out as it downloads. Sizes and
+// checksums follow each entry in a data descriptor, so nothing has to be known
+// up front. Archives are limited to 4 GiB and 65,535 entries (no ZIP64).
+//
+// Outputs have the shape of a FileSystemWritableFileStream: write(part), close()
+// and abort(). createBlobOutput collects the archive in memory for browsers that
+// cannot write to disk as it is built.
+
+const MAX_ZIP_BYTES = 0xffffffff;
+const MAX_ZIP_ENTRIES = 0xffff;
+const FLAGS = 0x0808; // Sizes in a data descriptor, UTF-8 names
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Creates an archive that entries are streamed into one after another
+ * @param {Object} output - Receives the archive's bytes in order, see createBlobOutput
+ * @returns {Object} { addEntry, addText, getSize, finish }
+ */
+export function createZipArchive(output) {
+  const centralDirectory = [];
+  const encoder = new TextEncoder();
+  let offset = 0;
+
+  const push = async (part, length) => {
+    if (offset + length > MAX_ZIP_BYTES) {
+      throw new Error('The archive would be larger than 4 GB; select fewer files');
+    }
+    await output.write(part);
+    offset += length;
+  };
+
+  /**
+   * Adds one file, writing its contents out chunk by chunk
+   * If reading fails the entry is left out of the central directory, so the
+   * archive stays valid; the bytes already written are skipped by unzip tools.
+   * @param {string} name - Path inside the archive
+   * @param {AsyncIterable} chunks - Uint8Array chunks, e.g. from a fetch response body
+   * @param {Date} modified - Modification time recorded for the entry
+   * @param {Function} onChunk - Called with the byte length of every chunk read
+   * @returns {Promise<number>} Bytes stored
+   */
+  const addEntry = async (name, chunks, modified = new Date(), onChunk = () => {}) => {
+    if (centralDirectory.length >= MAX_ZIP_ENTRIES) {
+      throw new Error(`An archive can hold at most ${MAX_ZIP_ENTRIES} files`);
+    }
+
+    const nameBytes = encoder.encode(name);
+    const { time, date } = toDosDateTime(modified);
+    const headerOffset = offset;
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true);
+    header.setUint16(4, 20, true); // Version needed to extract
+    header.setUint16(6, FLAGS, true);
+    header.setUint16(8, 0, true); // Stored
+    header.setUint16(10, time, true);
+    header.setUint16(12, date, true);
+    header.setUint16(26, nameBytes.length, true);
+    await push(header.buffer, 30);
+    await push(nameBytes, nameBytes.length);
+
+    let crc = 0xffffffff;
+    let size = 0;
+    for await (const chunk of chunks) {
+      for (let i = 0; i < chunk.length; i++) {
+        crc = CRC_TABLE[(crc ^ chunk[i]) & 0xff] ^ (crc >>> 8);
+      }
+      await push(chunk, chunk.length);
+      size += chunk.length;
+      onChunk(chunk.length);
+    }
+    crc = (crc ^ 0xffffffff) >>> 0;
+
+    const descriptor = new DataView(new ArrayBuffer(16));
+    descriptor.setUint32(0, 0x08074b50, true);
+    descriptor.setUint32(4, crc, true);
+    descriptor.setUint32(8, size, true);
+    descriptor.setUint32(12, size, true);
+    await push(descriptor.buffer, 16);
+
+    centralDirectory.push({ nameBytes, time, date, crc, size, headerOffset });
+    return size;
+  };
+
+  /**
+   * Adds a text file such as a manifest
+   * @param {string} name - Path inside the archive
+   * @param {string} text - Contents, stored as UTF-8
+   * @returns {Promise<number>} Bytes stored
+   */
+  const addText = (name, text) => addEntry(name, [encoder.encode(text)]);
+
+  /**
+   * Writes the central directory; the caller then closes the output
+   * @returns {Promise<void>}
+   */
+  const finish = async () => {
+    const directoryOffset = offset;
+    const parts = [];
+    let directorySize = 0;
+
+    centralDirectory.forEach(entry => {
+      const record = new DataView(new ArrayBuffer(46));
+      record.setUint32(0, 0x02014b50, true);
+      record.setUint16(4, 20, true); // Version made by
+      record.setUint16(6, 20, true); // Version needed to extract
+      record.setUint16(8, FLAGS, true);
+      record.setUint16(10, 0, true); // Stored
+      record.setUint16(12, entry.time, true);
+      record.setUint16(14, entry.date, true);
+      record.setUint32(16, entry.crc, true);
+      record.setUint32(20, entry.size, true);
+      record.setUint32(24, entry.size, true);
+      record.setUint16(28, entry.nameBytes.length, true);
+      record.setUint32(42, entry.headerOffset, true);
+
+      parts.push(new Uint8Array(record.buffer), entry.nameBytes);
+      directorySize += 46 + entry.nameBytes.length;
+    });
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, centralDirectory.length, true);
+    end.setUint16(10, centralDirectory.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, directoryOffset, true);
+    parts.push(new Uint8Array(end.buffer));
+
+    // One write for the whole directory; a file on disk gets it in one go
+    await push(new Blob(parts), directorySize + 22);
+  };
+
+  return {
+    addEntry,
+    addText,
+    getSize: () => offset,
+    finish
+  };
+}
+
+/**
+ * Collects an archive in memory, for browsers that cannot save it as it is built
+ * Chunks are kept as they arrive, so the whole archive has to fit in the tab's memory.
+ * @param {string} type - MIME type of the finished file
+ * @returns {Object} { write, close, abort }; close resolves to the finished Blob
+ */
+export function createBlobOutput(type = 'application/zip') {
+  let parts = [];
+
+  return {
+    write: (part) => {
+      parts.push(part);
+    },
+    close: async () => new Blob(parts, { type }),
+    abort: async () => {
+      parts = [];
+    }
+  };
+}
+
+/**
+ * Converts a date to the MS-DOS time and date fields ZIP headers use
+ * @param {Date} value - Local time; years before 1980 are clamped
+ * @returns {Object} { time, date }
+ */
+function toDosDateTime(value) {
+  const year = Math.max(1980, value.getFullYear());
+  return {
+    time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+  };
+}
@@ -0,0 +1,21 @@
+// test/csv.test.js
+// Checks CSV quoting and the guard against spreadsheet formulas in exported text
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsv } from '../src/utils/csv.js';
+
+test('fields with commas, quotes or line breaks are quoted', () => {
+  assert.equal(toCsv([['a,b', 'say "hi"', 'two\nlines', null]]), '"a,b","say ""hi""","two\nlines",\r\n');
+});
+
+test('text that would run as a formula is prefixed with an apostrophe', () => {
+  assert.equal(
+    toCsv([['=HYPERLINK("http://x")', '+1', '-draft.pdf', '@SUM(A1)', '\tcmd']]),
+    `"'=HYPERLINK(""http://x"")",'+1,'-draft.pdf,'@SUM(A1),'\tcmd\r\n`
+  );
+});
+
+test('numbers are written as they are', () => {
+  assert.equal(toCsv([[-5, 0, 1258291]]), '-5,0,1258291\r\n');
+});
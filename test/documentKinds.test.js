@@ -0,0 +1,24 @@
+// test/documentKinds.test.js
+// Checks the bundled document kind rules against filenames seen in the case files
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyDocument } from '../src/utils/documentKinds.js';
+
+test('transcript abbreviations need a number after "Tr"', () => {
+  for (const filename of ['Hrg_Tr_2021-03-05.pdf', 'TR-12.pdf', 'Tr. 3.pdf', 'Hearing Tr 45.pdf']) {
+    assert.equal(classifyDocument(filename, ''), 'transcript', filename);
+  }
+});
+
+test('a lone "tr" token does not make a transcript', () => {
+  assert.equal(classifyDocument('Tr_Walls.pdf', ''), 'other');
+  assert.equal(classifyDocument('Letter_tr_notes.pdf', ''), 'correspondence');
+  assert.equal(classifyDocument('Str 5.pdf', ''), 'other');
+  assert.equal(classifyDocument('Trial_2.pdf', ''), 'other');
+});
+
+test('folder names count when the filename says nothing', () => {
+  assert.equal(classifyDocument('Day_1.pdf', 'Hearings/Transcripts'), 'transcript');
+  assert.equal(classifyDocument('Brand_Depo_03.05.20.pdf', 'Transcripts'), 'deposition');
+});
@@ -0,0 +1,78 @@
+// test/fileIds.test.js
+// Checks how stored keys are matched to the files listed now, and how annotations follow them
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFileId, createFileKeyResolver, getLegacyFileId } from '../src/utils/fileIds.js';
+import { migrateAnnotationKeys } from '../src/utils/annotations.js';
+import { createCollection, resolveCollection } from '../src/utils/collections.js';
+
+const BASE = 'https://example.org/case/';
+
+function makeFile(path, sizeBytes, source = 'fixture') {
+  return {
+    id: createFileId(source, path),
+    filename: path.split('/').pop(),
+    url: BASE + path,
+    type: 'document',
+    path,
+    source,
+    sizeBytes
+  };
+}
+
+const transcript = makeFile('Depositions/Transcript.pdf', 2097152);
+const depositionList = makeFile('Depositions/Exhibit_List.pdf', 40960);
+const trialList = makeFile('Trial/Exhibit_List.pdf', 51200);
+const files = [transcript, depositionList, trialList];
+
+test('keys resolve by current id, stored URL and old-style id', () => {
+  const resolveKey = createFileKeyResolver(files);
+  assert.equal(resolveKey(transcript.id), transcript.id);
+  assert.equal(resolveKey('gone', { url: transcript.url }), transcript.id);
+  assert.equal(resolveKey(getLegacyFileId(transcript)), transcript.id);
+  assert.equal(resolveKey('gone', { url: BASE + 'Gone.pdf' }), null);
+});
+
+test('a moved file is found by filename only when its size and source match', () => {
+  const resolveKey = createFileKeyResolver(files);
+  const stored = { url: BASE + 'Transcript.pdf', path: 'Transcript.pdf', source: 'fixture', sizeBytes: 2097152 };
+
+  assert.equal(resolveKey('old', stored), transcript.id);
+  assert.equal(resolveKey('old', { ...stored, source: null }), transcript.id);
+  assert.equal(resolveKey('old', { ...stored, sizeBytes: 1024 }), null);
+  assert.equal(resolveKey('old', { ...stored, source: 'other' }), null);
+  assert.equal(resolveKey('old', { ...stored, sizeBytes: null }), null);
+});
+
+test('a filename shared by other folders needs the size to tell them apart', () => {
+  const resolveKey = createFileKeyResolver(files);
+  const stored = { url: BASE + 'Exhibit_List.pdf', path: 'Exhibit_List.pdf', source: 'fixture' };
+
+  assert.equal(resolveKey('old', { ...stored, sizeBytes: 51200 }), trialList.id);
+  assert.equal(resolveKey('old', stored), null);
+
+  const sameSize = createFileKeyResolver([...files, makeFile('Hearings/Exhibit_List.pdf', 51200)]);
+  assert.equal(sameSize('old', { ...stored, sizeBytes: 51200 }), null);
+});
+
+test('migrated annotations keep their record under the old key', () => {
+  const annotation = { tags: ['key evidence'], note: '', url: BASE + 'Transcript.pdf', path: 'Transcript.pdf', source: 'fixture', sizeBytes: 2097152, updatedAt: '2024-01-01T00:00:00.000Z' };
+  const entries = new Map(migrateAnnotationKeys(new Map([['old-key', annotation]]), files));
+
+  assert.deepEqual(entries.get(transcript.id).tags, ['key evidence']);
+  assert.equal(entries.get(transcript.id).url, transcript.url);
+  assert.deepEqual(entries.get('old-key'), { ...annotation, movedTo: transcript.id });
+});
+
+test('annotations whose file cannot be told apart stay where they are', () => {
+  const annotation = { tags: ['reviewed'], note: '', url: BASE + 'Exhibit_List.pdf', path: 'Exhibit_List.pdf', source: 'fixture', sizeBytes: null, updatedAt: null };
+  assert.deepEqual(migrateAnnotationKeys(new Map([['old-key', annotation]]), files), []);
+});
+
+test('collections find moved files the same way', () => {
+  const collection = createCollection('Exhibits', [makeFile('Exhibit_List.pdf', 51200), makeFile('Notes.pdf', 40960)]);
+  const { files: found, missing } = resolveCollection(collection, files);
+  assert.deepEqual(found, [trialList]);
+  assert.equal(missing, 1);
+});
@@ -0,0 +1,31 @@
+// test/listingParsers.test.js
+// Checks that listings saved from real server formats parse into the right names
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+import { parseDirectoryListing } from '../src/utils/directoryParser.js';
+import { detectListingParser } from '../src/utils/listingParsers.js';
+
+const { DOMParser } = new JSDOM().window;
+const readFixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+test('nginx listings with shortened names are detected as nginx', () => {
+  const html = readFixture('nginx-truncated.html');
+  assert.equal(detectListingParser(html, new DOMParser().parseFromString(html, 'text/html')).name, 'nginx');
+});
+
+test('names nginx shortens to "..>" are read from the href', () => {
+  const files = parseDirectoryListing(readFixture('nginx-truncated.html'), 'https://example.org/case/', { DOMParser });
+
+  assert.deepEqual(files.map(file => file.filename), [
+    'A_very_long_filename_that_nginx_truncates_in_listings.pdf',
+    'Deposition of Benjamin Brand, volume 2 (redacted).pdf',
+    'Hearing exhibits admitted on the second day of trial/',
+    'Motion_to_Dismiss.pdf'
+  ]);
+  assert.deepEqual(files.map(file => file.sizeBytes), [1048576, 5242880, 0, 204800]);
+  assert.equal(files[2].type, 'folder');
+  assert.equal(files[0].url, 'https://example.org/case/A_very_long_filename_that_nginx_truncates_in_listings.pdf');
+});
@@ -0,0 +1,30 @@
+// test/peopleRegistry.test.js
+// Checks how the people registry matches filenames and what it requires of roles
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPeopleMatcher } from '../src/utils/peopleRegistry.js';
+
+const ROLES = [{ id: 'plaintiff', label: 'Plaintiff' }];
+
+test('people without a role match with a null role', () => {
+  const match = createPeopleMatcher([{ name: 'Philip Ewell', aliases: ['Ewell'] }], ROLES);
+  assert.deepEqual(match('Ewell_Notes.pdf'), [{ name: 'Philip Ewell', role: null }]);
+});
+
+test('a role needs a roleSource and must be a known role', () => {
+  assert.throws(() => createPeopleMatcher([{ name: 'A', role: 'plaintiff' }], ROLES), /needs a roleSource/);
+  assert.throws(() => createPeopleMatcher([{ name: 'A', role: 'other', roleSource: 'Complaint' }], ROLES), /Unknown role "other"/);
+
+  const match = createPeopleMatcher([{ name: 'A B', role: 'plaintiff', roleSource: 'Complaint', aliases: ['A B'] }], ROLES);
+  assert.deepEqual(match('A_B.pdf'), [{ name: 'A B', role: 'plaintiff' }]);
+});
+
+test('higher priority comes first, then position in the filename', () => {
+  const match = createPeopleMatcher([
+    { name: 'Low', priority: 1, aliases: ['Low'] },
+    { name: 'High', priority: 5, aliases: ['High'] },
+    { name: 'Other', priority: 1, aliases: ['Other'] }
+  ], ROLES);
+  assert.deepEqual(match('Other_Low_High.pdf').map(person => person.name), ['High', 'Other', 'Low']);
+});
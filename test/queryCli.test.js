@@ -0,0 +1,53 @@
+// test/queryCli.test.js
+// Runs the cases in fixtures/queries.json through scripts/query.js, so the CLI is held
+// to the same results as the query engine the app's hooks use
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { runQuery } from '../src/utils/queryEngine.js';
+
+const run = promisify(execFile);
+const scriptPath = fileURLToPath(new URL('../scripts/query.js', import.meta.url));
+const fixturePath = (name) => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+const readFixture = (name) => JSON.parse(readFileSync(fixturePath(name), 'utf8'));
+
+const { cases } = readFixture('queries.json');
+
+/**
+ * Runs scripts/query.js with --json
+ * @param {string} input - Fixture snapshot name
+ * @param {Object} criteria - Query criteria; search becomes the query argument, the rest flags
+ * @returns {Promise<Array>} Matching file objects
+ */
+async function runCli(input, { search, ...flags }) {
+  const args = [scriptPath, '--input', fixturePath(input), '--json'];
+  Object.entries(flags).forEach(([key, value]) => args.push(`--${key}`, value));
+  if (search) args.push(search);
+
+  const { stdout } = await run(process.execPath, args);
+  return JSON.parse(stdout);
+}
+
+for (const { name, input, criteria, expected } of cases) {
+  test(`scripts/query.js: ${name}`, async () => {
+    const results = await runCli(input, criteria);
+    assert.deepEqual(results.map(file => file.path), expected);
+    assert.deepEqual(results, runQuery(readFixture(input).files, criteria));
+  });
+}
+
+test('scripts/query.js reports a bad query and still runs the valid rest', async () => {
+  const args = [scriptPath, '--input', fixturePath('basic.index.json'), 'dismiss size:5M'];
+  const { stdout, stderr } = await run(process.execPath, args);
+  assert.match(stderr, /Query: Compare sizes with size:>5M/);
+  assert.match(stdout, /^Motion_to_Dismiss\.pdf\t/);
+});
+
+test('scripts/query.js rejects values the engine does not know', async () => {
+  const args = [scriptPath, '--input', fixturePath('basic.index.json'), '--dated', 'hihg'];
+  await assert.rejects(run(process.execPath, args), /Unknown document date confidence: hihg/);
+});
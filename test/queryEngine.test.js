@@ -0,0 +1,71 @@
+// test/queryEngine.test.js
+// Checks the query engine against the fixture snapshots and the cases in fixtures/queries.json
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { filterFiles, sortFiles, runQuery, getRelevanceScores, compareNatural } from '../src/utils/queryEngine.js';
+import { parseQuery } from '../src/utils/searchQuery.js';
+
+const readFixture = (name) => JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+const paths = (files) => files.map(file => file.path);
+
+const { cases } = readFixture('queries.json');
+const basicFiles = readFixture('basic.index.json').files;
+
+for (const { name, input, criteria, expected } of cases) {
+  test(`runQuery: ${name}`, () => {
+    assert.deepEqual(paths(runQuery(readFixture(input).files, criteria)), expected);
+  });
+}
+
+test('filterFiles keeps the original order', () => {
+  const matches = filterFiles(basicFiles, { search: 'pdf' });
+  assert.deepEqual(paths(matches), paths(basicFiles.filter(file => matches.includes(file))));
+});
+
+test('filterFiles matches keywords whatever their case in the query', () => {
+  for (const search of ['testimony', 'Testimony', 'TESTIMONY']) {
+    assert.deepEqual(paths(filterFiles(basicFiles, { search })), ['Ewell_Deposition_2021-01-10.pdf']);
+  }
+});
+
+test('filterFiles accepts a parsed query as well as text', () => {
+  assert.deepEqual(filterFiles(basicFiles, { search: parseQuery('folder:depositions') }), filterFiles(basicFiles, { search: 'folder:depositions' }));
+});
+
+test('sortFiles returns a sorted copy and leaves its input alone', () => {
+  const before = paths(basicFiles);
+  const sorted = sortFiles(basicFiles, 'size', 'desc');
+  assert.notEqual(sorted, basicFiles);
+  assert.deepEqual(paths(basicFiles), before);
+  assert.equal(sorted[0].path, 'Ewell_Deposition_2021-01-10.pdf');
+});
+
+test('sortFiles ranks by relevance scores', () => {
+  const matches = filterFiles(basicFiles, { search: 'ewell' });
+  const scores = getRelevanceScores(matches, 'ewell');
+  const [best, next] = sortFiles(matches, 'relevance', 'desc', scores);
+  assert.ok(scores.get(best.url) > scores.get(next.url));
+  assert.deepEqual(paths(sortFiles(matches, 'relevance', 'asc', scores)), [next.path, best.path]);
+});
+
+test('sortFiles is deterministic whatever the input order', () => {
+  const reversed = [...basicFiles].reverse();
+  for (const sortBy of ['name', 'date', 'documentDate', 'size', 'kind', 'exhibit', 'person', 'type', 'source']) {
+    for (const order of ['asc', 'desc']) {
+      assert.deepEqual(paths(sortFiles(reversed, sortBy, order)), paths(sortFiles(basicFiles, sortBy, order)), `${sortBy} ${order}`);
+    }
+  }
+});
+
+test('compareNatural orders runs of digits by value', () => {
+  const sorted = ['tj10', 'tj2', 'tj000001', 'exhibit 10', 'exhibit 9'].sort(compareNatural);
+  assert.deepEqual(sorted, ['exhibit 9', 'exhibit 10', 'tj000001', 'tj2', 'tj10']);
+  assert.ok(compareNatural('tj02', 'tj2') < 0);
+  assert.equal(compareNatural('tj2', 'tj2'), 0);
+});
+
+test('an unknown document date filter hides nothing', () => {
+  assert.deepEqual(filterFiles(basicFiles, { dated: 'hihg' }), basicFiles);
+});
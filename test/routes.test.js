@@ -0,0 +1,28 @@
+// test/routes.test.js
+// Checks that page paths and snapshot files resolve under the path the app is served from
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Set as webpack's DefinePlugin would for a build with PUBLIC_PATH=/archive/
+process.env.PUBLIC_PATH = '/archive/';
+const { readRoute, formatRoute, getAssetPath, getFilePermalink } = await import('../src/utils/routes.js');
+
+test('routes are formatted under the public path', () => {
+  assert.equal(formatRoute({}), '/archive/');
+  assert.equal(formatRoute({ folder: 'Depositions/2021/' }), '/archive/folder/Depositions/2021/');
+  assert.equal(formatRoute({ detail: 'brand-depo-pdf-2j8fk3l0q9x' }), '/archive/file/brand-depo-pdf-2j8fk3l0q9x');
+  assert.equal(getFilePermalink({ id: 'a b' }, 'https://example.org'), 'https://example.org/archive/file/a%20b');
+});
+
+test('routes are read back from under the public path', () => {
+  assert.deepEqual(readRoute('/archive/'), { folder: '', detail: null });
+  assert.deepEqual(readRoute('/archive/folder/Trial%20Exhibits/Day%201/'), { folder: 'Trial Exhibits/Day 1/', detail: null });
+  assert.deepEqual(readRoute('/archive/file/a%20b'), { folder: '', detail: 'a b' });
+  assert.deepEqual(readRoute('/folder/Depositions/'), { folder: '', detail: null });
+});
+
+test('snapshot files are requested next to the app', () => {
+  assert.equal(getAssetPath('index.json'), '/archive/index.json');
+  assert.equal(getAssetPath('text-index.json'), '/archive/text-index.json');
+});
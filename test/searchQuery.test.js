@@ -0,0 +1,74 @@
+// test/searchQuery.test.js
+// Checks the errors parseQuery reports, and that the valid rest of a query still applies
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuery, compileQuery } from '../src/utils/searchQuery.js';
+
+const messages = (query) => parseQuery(query).errors.map(error => error.message);
+
+// Files just under, at and just over 5M (5242880 bytes)
+const sizedFiles = [5242879, 5242880, 5242881].map(sizeBytes => ({ type: 'pdf', sizeBytes }));
+const matchingSizes = (query) => sizedFiles.filter(file => compileQuery(parseQuery(query).ast)(file, {})).map(file => file.sizeBytes);
+
+test('a bare size asks for a comparison', () => {
+  assert.deepEqual(messages('size:5M'), ['Compare sizes with size:>5M, size:<5M or a range like size:1M..5M']);
+});
+
+test('sizes that do not parse are reported', () => {
+  assert.deepEqual(messages('size:abc'), ['Invalid size "abc". Try size:>5M or size:100K..2M']);
+  assert.deepEqual(messages('size:5M..x'), ['Invalid size "5M..x". Try size:>5M or size:100K..2M']);
+});
+
+test('bad date ranges are reported', () => {
+  for (const value of ['2021-13', '2021-01..2021-02-40', '>', 'yesterday']) {
+    assert.deepEqual(messages(`date:${value}`), [`Invalid date "${value}". Try date:2021-03, date:>2021-01-15 or date:2021-01..2021-06`]);
+  }
+  assert.match(messages('docdate:2021-00')[0], /^Invalid date "2021-00"\. Try docdate:/);
+});
+
+test('fields need a value and must be known', () => {
+  assert.deepEqual(messages('person:'), ['person: needs a value']);
+  assert.match(messages('foo:bar')[0], /^Unknown field "foo"/);
+});
+
+test('unbalanced quotes, parentheses and OR are reported', () => {
+  assert.deepEqual(messages('"expert report'), ['Missing closing quote']);
+  assert.deepEqual(messages('(motion'), ['Missing closing parenthesis']);
+  assert.deepEqual(messages('motion)'), ['Unexpected closing parenthesis']);
+  assert.deepEqual(messages('motion OR'), ['OR needs a term on both sides']);
+});
+
+test('errors point at the offending text', () => {
+  const query = 'motion size:5M';
+  const [error] = parseQuery(query).errors;
+  assert.equal(query.substring(error.start, error.end), 'size:5M');
+});
+
+test('invalid terms are left out and the rest still filters', () => {
+  const { ast, errors, textTerms } = parseQuery('motion size:5M');
+  assert.equal(errors.length, 1);
+  assert.deepEqual(ast, { type: 'text', value: 'motion', phrase: false });
+  assert.deepEqual(textTerms, ['motion']);
+  assert.deepEqual(parseQuery('size:5M').ast, { type: 'all' });
+});
+
+test('valid queries report no errors', () => {
+  for (const query of ['size:>5M', 'size:100K..2M', 'date:2021-01..2021-06', 'docdate:>=2021-03', '-draft (motion OR brief)', '"expert report"']) {
+    assert.deepEqual(messages(query), [], query);
+  }
+});
+
+test('size comparisons are exact at the boundary', () => {
+  assert.deepEqual(matchingSizes('size:>5M'), [5242881]);
+  assert.deepEqual(matchingSizes('size:>=5M'), [5242880, 5242881]);
+  assert.deepEqual(matchingSizes('size:<5M'), [5242879]);
+  assert.deepEqual(matchingSizes('size:<=5M'), [5242879, 5242880]);
+});
+
+test('size ranges include both ends', () => {
+  assert.deepEqual(matchingSizes('size:5M..5M'), [5242880]);
+  assert.deepEqual(matchingSizes('size:5242879..5M'), [5242879, 5242880]);
+  assert.deepEqual(matchingSizes('size:5M..'), [5242880, 5242881]);
+  assert.deepEqual(matchingSizes('size:..5M'), [5242879, 5242880]);
+});
@@ -0,0 +1,29 @@
+// test/textIndex.test.js
+// Checks where full-text matches are found and which page their snippets point at
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTextIndex, readTextIndex, searchTextIndex } from '../src/utils/textIndex.js';
+
+const textIndex = readTextIndex(createTextIndex({
+  'https://example.org/case/Order.pdf': { pages: ['The motion to dismiss is denied.'] },
+  'https://example.org/case/Transcript.pdf': { pages: ['Opening statements.', 'Q. Did you review the motion?'] },
+  'https://example.org/case/Notes.txt': { pages: ['No motions were filed that week.'] }
+}));
+
+test('every snippet carries its page, one-page documents included', () => {
+  const matches = searchTextIndex(textIndex, 'motion');
+
+  assert.deepEqual(matches.get('https://example.org/case/Order.pdf').map(snippet => snippet.page), [1]);
+  assert.deepEqual(matches.get('https://example.org/case/Transcript.pdf').map(snippet => snippet.page), [2]);
+  assert.deepEqual(matches.get('https://example.org/case/Notes.txt').map(snippet => snippet.page), [1]);
+});
+
+test('snippets show the match with its context', () => {
+  const [snippet] = searchTextIndex(textIndex, 'DISMISS').get('https://example.org/case/Order.pdf');
+  assert.deepEqual(snippet, { page: 1, before: 'The motion to ', match: 'dismiss', after: ' is denied.' });
+});
+
+test('terms shorter than two characters find nothing', () => {
+  assert.equal(searchTextIndex(textIndex, 'a').size, 0);
+});
@@ -1,6 +1,47 @@
+const fs = require('fs');
 const path = require('path');
+const webpack = require('webpack');
 const HtmlWebpackPlugin = require('html-webpack-plugin');
 
+// Listing proxy the app fetches through, e.g. 'http://localhost:8787/proxy?url='.
+// The dev server mounts its own at /proxy; builds fall back to public CORS proxies unless set.
+const LISTING_PROXY_URL = process.env.LISTING_PROXY_URL
+  || (process.env.WEBPACK_SERVE ? '/proxy?url=' : '');
+
+// File relay used by "Download selected as ZIP", e.g. 'http://localhost:8787/file-proxy?url='.
+// Without one, files are fetched directly, which only works if their server allows CORS.
+const FILE_PROXY_URL = process.env.FILE_PROXY_URL
+  || (process.env.WEBPACK_SERVE ? '/file-proxy?url=' : '');
+
+// Path the app is served under, e.g. '/archive/' for https://example.org/archive/.
+// Page routes, index.json and text-index.json are resolved against it.
+const PUBLIC_PATH = (process.env.PUBLIC_PATH || '/').replace(/^\/*/, '/').replace(/\/*$/, '/');
+
+// Written to public/ by `npm run snapshot`; builds include them so dist/ can be deployed as is
+const SNAPSHOT_FILES = ['index.json', 'text-index.json'];
+
+/**
+ * Emits the snapshot files that exist in public/ next to the built index.html
+ */
+class CopySnapshotPlugin {
+  apply(compiler) {
+    compiler.hooks.thisCompilation.tap('CopySnapshotPlugin', (compilation) => {
+      compilation.hooks.processAssets.tap(
+        { name: 'CopySnapshotPlugin', stage: webpack.Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL },
+        () => {
+          SNAPSHOT_FILES.forEach((name) => {
+            const file = path.join(__dirname, 'public', name);
+            compilation.fileDependencies.add(file); // Rebuild when a new snapshot is written
+            if (fs.existsSync(file)) {
+              compilation.emitAsset(name, new webpack.sources.RawSource(fs.readFileSync(file)));
+            }
+          });
+        }
+      );
+    });
+  }
+}
+
 module.exports = {
   entry: './src/index.js',
   mode: 'development',
@@ -8,17 +49,41 @@ module.exports = {
     filename: 'bundle.js', // Changed from main.js
     path: path.resolve(__dirname, 'dist'),
     clean: true,
-    publicPath: '/' // This is important for dev server
+    publicPath: PUBLIC_PATH // This is important for dev server
   },
   devServer: {
-    static: {
-      directory: path.join(__dirname, 'dist'),
-    },
+    static: [
+      {
+        directory: path.join(__dirname, 'dist'),
+        publicPath: PUBLIC_PATH
+      },
+      {
+        directory: path.join(__dirname, 'public'), // Serves index.json and text-index.json written by `npm run snapshot`
+        publicPath: PUBLIC_PATH
+      }
+    ],
     compress: true,
     port: 3000,
     hot: true,
     open: true,
-    historyApiFallback: true, // Important for SPAs
+    historyApiFallback: { index: PUBLIC_PATH + 'index.html' }, // Important for SPAs
+    setupMiddlewares: (middlewares, devServer) => {
+      // The proxy module is ESM, so load it lazily from this CommonJS config
+      const proxies = import('./server/listingProxy.js')
+        .then(({ createListingProxy, createFileProxy }) => ({
+          listing: createListingProxy(),
+          file: createFileProxy()
+        }));
+
+      devServer.app.use('/proxy', (req, res, next) => {
+        proxies.then(({ listing }) => listing(req, res, next)).catch(next);
+      });
+      devServer.app.use('/file-proxy', (req, res, next) => {
+        proxies.then(({ file }) => file(req, res, next)).catch(next);
+      });
+
+      return middlewares;
+    },
   },
   module: {
     rules: [
@@ -42,9 +107,15 @@ module.exports = {
     extensions: ['.js', '.jsx']
   },
   plugins: [
+    new webpack.DefinePlugin({
+      'process.env.LISTING_PROXY_URL': JSON.stringify(LISTING_PROXY_URL),
+      'process.env.FILE_PROXY_URL': JSON.stringify(FILE_PROXY_URL),
+      'process.env.PUBLIC_PATH': JSON.stringify(PUBLIC_PATH)
+    }),
     new HtmlWebpackPlugin({
       template: './public/index.html',
       filename: 'index.html'
-    })
+    }),
+    new CopySnapshotPlugin()
   ]
 };
\ No newline at end of file